@@ -35,26 +35,41 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { TRUST_PROXY } = require("./config");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { trackRequest } = require("./middleware/requestContext");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const searchRoutes = require("./routes/search");
+const apiKeysRoutes = require("./routes/apiKeys");
+const invitationsRoutes = require("./routes/invitations");
+const adminRoutes = require("./routes/admin");
+const skillsRoutes = require("./routes/skills");
 
 const morgan = require("morgan");
 
 const app = express();
 
+app.set("trust proxy", TRUST_PROXY);
+
 app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
+app.use(trackRequest);
 app.use(authenticateJWT);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/search", searchRoutes);
+app.use("/api-keys", apiKeysRoutes);
+app.use("/invitations", invitationsRoutes);
+app.use("/admin", adminRoutes);
+app.use("/skills", skillsRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -67,6 +82,7 @@ app.use(function (err, req, res, next) {
   if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter !== undefined) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
     error: { message, status },
@@ -21,10 +21,82 @@ function getDatabaseUri() {
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+// Access tokens are short-lived (in jsonwebtoken's format, e.g. "15m");
+// clients trade a refresh token at POST /auth/refresh for a new one
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+// Password reset links go to the front end, which posts the token back to
+// POST /auth/password-reset/confirm
+const PASSWORD_RESET_URL =
+    process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password";
+const PASSWORD_RESET_TTL_MINUTES = +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
+// Likewise for the link that verifies a new account's email address
+const EMAIL_VERIFICATION_URL =
+    process.env.EMAIL_VERIFICATION_URL || "http://localhost:3000/verify-email";
+const EMAIL_VERIFICATION_TTL_HOURS =
+    +process.env.EMAIL_VERIFICATION_TTL_HOURS || 48;
+
+// And for the link that invites someone to help run a company's jobs
+const COMPANY_INVITATION_URL =
+    process.env.COMPANY_INVITATION_URL || "http://localhost:3000/invitations";
+const COMPANY_INVITATION_TTL_DAYS =
+    +process.env.COMPANY_INVITATION_TTL_DAYS || 7;
+
+// Failed logins: after this many in a row, an account is locked (or an IP
+// address blocked from logging in) for LOGIN_LOCKOUT_MINUTES
+const LOGIN_MAX_FAILURES = +process.env.LOGIN_MAX_FAILURES || 5;
+const LOGIN_MAX_FAILURES_PER_IP = +process.env.LOGIN_MAX_FAILURES_PER_IP || 20;
+const LOGIN_LOCKOUT_MINUTES = +process.env.LOGIN_LOCKOUT_MINUTES || 15;
+
+// Express's "trust proxy" setting, which decides the client IP address that
+// failed logins are counted against. Behind a load balancer or reverse
+// proxy, set it (e.g. to "1", the number of proxies in front of the app, or
+// to their addresses) or every client shares the proxy's address; leave it
+// unset otherwise, or clients can claim any address with X-Forwarded-For.
+// See https://expressjs.com/en/guide/behind-proxies.html
+function getTrustProxy(value = process.env.TRUST_PROXY) {
+  if (value === undefined || value === "" || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return +value;
+  return value;
+}
+
+const TRUST_PROXY = getTrustProxy();
+
+// Two-factor authentication: the name authenticator apps show, and whether
+// admins must use it (until they enroll, they get only a user's access)
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Jobly";
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === "true";
+
+// Deleted companies, jobs and users can be restored for this long before
+// `npm run purge` removes them for good
+const TRASH_RETENTION_DAYS = +process.env.TRASH_RETENTION_DAYS || 30;
+
+// Salaries are compared as yearly amounts in this currency, converted with
+// the rates in the exchange_rates table
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "USD").toUpperCase();
+
+// The server checks users' saved searches for new jobs, and sends queued
+// notifications of jobs from companies they follow, this often. Only one
+// process should: when running several servers, set it to 0 on all but one
+// (or on all of them, and run `npm run alerts` on a schedule instead)
+const SEARCH_ALERTS_INTERVAL_MINUTES =
+    process.env.SEARCH_ALERTS_INTERVAL_MINUTES === undefined
+        ? 60
+        : +process.env.SEARCH_ALERTS_INTERVAL_MINUTES;
+
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.localhost>";
+
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("ACCESS_TOKEN_EXPIRES_IN".yellow, ACCESS_TOKEN_EXPIRES_IN);
+console.log("REQUIRE_ADMIN_2FA".yellow, REQUIRE_ADMIN_2FA);
+console.log("TRUST_PROXY".yellow, TRUST_PROXY);
 console.log("Database:".yellow, getDatabaseUri());
 console.log("---");
 
@@ -32,5 +104,24 @@ module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  PASSWORD_RESET_URL,
+  PASSWORD_RESET_TTL_MINUTES,
+  EMAIL_VERIFICATION_URL,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  COMPANY_INVITATION_URL,
+  COMPANY_INVITATION_TTL_DAYS,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+  TRUST_PROXY,
+  TOTP_ISSUER,
+  REQUIRE_ADMIN_2FA,
+  TRASH_RETENTION_DAYS,
+  BASE_CURRENCY,
+  SEARCH_ALERTS_INTERVAL_MINUTES,
+  MAIL_FROM,
   getDatabaseUri,
+  getTrustProxy,
 };
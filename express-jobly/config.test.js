@@ -23,5 +23,14 @@ describe("config can come from env", function () {
 
     expect(config.getDatabaseUri()).toEqual("jobly_test");
   });
+
+  test("trust proxy", function () {
+    const { getTrustProxy } = require("./config");
+    expect(getTrustProxy(undefined)).toEqual(false);
+    expect(getTrustProxy("false")).toEqual(false);
+    expect(getTrustProxy("true")).toEqual(true);
+    expect(getTrustProxy("2")).toEqual(2);
+    expect(getTrustProxy("loopback, 10.0.0.1")).toEqual("loopback, 10.0.0.1");
+  });
 })
 
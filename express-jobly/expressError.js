@@ -44,10 +44,30 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 423 LOCKED error; retryAfter is how many seconds until the lock ends. */
+
+class LockedError extends ExpressError {
+  constructor(message = "Locked", retryAfter) {
+    super(message, 423);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** 429 TOO MANY REQUESTS error; retryAfter is how many seconds to wait. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  LockedError,
+  TooManyRequestsError,
 };
\ No newline at end of file
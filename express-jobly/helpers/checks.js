@@ -0,0 +1,22 @@
+"use strict";
+
+/** Existence checks models share, before acting on rows that refer to
+ * something else. */
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Throw NotFoundError unless there's a user `username` (not in the trash). */
+
+async function checkUser(username) {
+  const userCheck = await db.query(
+        `SELECT username
+         FROM users
+         WHERE username = $1 AND deleted_at IS NULL`, [username]);
+
+  if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+}
+
+module.exports = {
+  checkUser,
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { checkUser } = require("./checks");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+
+describe("checkUser", function () {
+  test("works", async function () {
+    await checkUser("u1");
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await checkUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if user is in the trash", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    try {
+      await checkUser("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
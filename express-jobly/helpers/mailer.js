@@ -0,0 +1,43 @@
+"use strict";
+
+const db = require("../db");
+const { MAIL_FROM } = require("../config");
+
+/** Sending email.
+ *
+ * A transport is an async function taking { from, to, subject, text }. The
+ * default one doesn't send anything: it writes each message to the
+ * mail_outbox table, so dev and tests work without an SMTP server. Use
+ * setTransport to deliver mail for real, e.g. with nodemailer:
+ *
+ *   const smtp = nodemailer.createTransport(...);
+ *   setTransport(message => smtp.sendMail(message));
+ */
+
+async function outboxTransport({ from, to, subject, text }) {
+  await db.query(
+        `INSERT INTO mail_outbox (from_address, to_address, subject, body)
+         VALUES ($1, $2, $3, $4)`,
+      [from, to, subject, text]);
+}
+
+let transport = outboxTransport;
+
+/** Use `newTransport` for all mail from now on; with no argument, go back
+ * to the outbox. */
+
+function setTransport(newTransport = outboxTransport) {
+  transport = newTransport;
+}
+
+/** Send a plain-text email from MAIL_FROM; returns undefined. */
+
+async function sendMail({ to, subject, text }) {
+  await transport({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  outboxTransport,
+  setTransport,
+  sendMail,
+};
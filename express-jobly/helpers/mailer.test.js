@@ -0,0 +1,41 @@
+"use strict";
+
+const db = require("../db");
+const { sendMail, setTransport } = require("./mailer");
+const { MAIL_FROM } = require("../config");
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+  setTransport();
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+
+describe("sendMail", function () {
+  test("works: writes to outbox by default", async function () {
+    await sendMail({ to: "a@b.com", subject: "Hi", text: "Hello" });
+    const res = await db.query(
+        "SELECT from_address, to_address, subject, body FROM mail_outbox");
+    expect(res.rows).toEqual([
+      { from_address: MAIL_FROM, to_address: "a@b.com", subject: "Hi", body: "Hello" },
+    ]);
+  });
+
+  test("works: custom transport", async function () {
+    const sent = [];
+    setTransport(async message => sent.push(message));
+    await sendMail({ to: "a@b.com", subject: "Hi", text: "Hello" });
+    expect(sent).toEqual([
+      { from: MAIL_FROM, to: "a@b.com", subject: "Hi", text: "Hello" },
+    ]);
+    const res = await db.query("SELECT id FROM mail_outbox");
+    expect(res.rows).toEqual([]);
+  });
+});
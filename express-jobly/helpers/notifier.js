@@ -0,0 +1,38 @@
+"use strict";
+
+const { sendMail } = require("./mailer");
+
+/** Telling users about things, like new jobs for their saved searches.
+ *
+ * A notifier is an async function taking { username, email, subject, text }.
+ * The default one emails the user, which (see mailer.js) lands in the
+ * mail_outbox table unless a mail transport is set. Use setNotifier to
+ * deliver notifications some other way, e.g. as push messages:
+ *
+ *   setNotifier(({ username, subject }) => push.send(username, subject));
+ */
+
+async function emailNotifier({ email, subject, text }) {
+  await sendMail({ to: email, subject, text });
+}
+
+let notifier = emailNotifier;
+
+/** Use `newNotifier` for all notifications from now on; with no argument,
+ * go back to email. */
+
+function setNotifier(newNotifier = emailNotifier) {
+  notifier = newNotifier;
+}
+
+/** Notify a user; returns undefined. */
+
+async function notify({ username, email, subject, text }) {
+  await notifier({ username, email, subject, text });
+}
+
+module.exports = {
+  emailNotifier,
+  setNotifier,
+  notify,
+};
@@ -0,0 +1,42 @@
+"use strict";
+
+const db = require("../db");
+const { notify, setNotifier } = require("./notifier");
+
+beforeEach(async function () {
+  await db.query("BEGIN");
+});
+
+afterEach(async function () {
+  await db.query("ROLLBACK");
+  setNotifier();
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+
+describe("notify", function () {
+  test("works: emails to the outbox by default", async function () {
+    await notify(
+        { username: "u1", email: "a@b.com", subject: "Hi", text: "Hello" });
+    const res = await db.query(
+        "SELECT to_address, subject, body FROM mail_outbox");
+    expect(res.rows).toEqual([
+      { to_address: "a@b.com", subject: "Hi", body: "Hello" },
+    ]);
+  });
+
+  test("works: custom notifier", async function () {
+    const sent = [];
+    setNotifier(async notification => sent.push(notification));
+    await notify(
+        { username: "u1", email: "a@b.com", subject: "Hi", text: "Hello" });
+    expect(sent).toEqual([
+      { username: "u1", email: "a@b.com", subject: "Hi", text: "Hello" },
+    ]);
+    const res = await db.query("SELECT id FROM mail_outbox");
+    expect(res.rows).toEqual([]);
+  });
+});
@@ -0,0 +1,256 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+
+/** Page size used by list routes when the client doesn't ask for one. */
+
+const DEFAULT_LIMIT = 20;
+
+/** Parse a sort string like "-salary,title" into sort keys.
+ *
+ * sortable maps the JS field names clients may sort on to their SQL
+ * expressions and the type of their values in rows ("number" or "string";
+ * Postgres returns NUMERIC and dates as strings), e.g.
+ *   { title: { col: "j.title", type: "string" },
+ *     salary: { col: "j.salary", type: "number" } }
+ * A leading "-" sorts that field descending.
+ *
+ * tiebreaker (a unique field in sortable) is appended when it isn't already
+ * listed, so the ordering is total and a cursor always points at one row.
+ *
+ * Returns [{ field, col, type, desc }, ...]
+ *
+ * Throws BadRequestError if a field isn't in sortable.
+ */
+
+function parseSort(sort, sortable, tiebreaker) {
+  const sortKeys = sort.split(",").map(part => {
+    const desc = part.startsWith("-");
+    const field = desc ? part.slice(1) : part;
+    if (!sortable.hasOwnProperty(field)) {
+      throw new BadRequestError(`Cannot sort by: ${field}`);
+    }
+    return { field, ...sortable[field], desc };
+  });
+
+  if (!sortKeys.some(k => k.field === tiebreaker)) {
+    sortKeys.push({ field: tiebreaker, ...sortable[tiebreaker], desc: false });
+  }
+
+  return sortKeys;
+}
+
+/** Make an opaque cursor pointing just after ("next") or before ("prev")
+ * the row whose sort key values are `values`. */
+
+function encodeCursor(dir, sortKeys, values) {
+  const fields = sortKeys.map(k => (k.desc ? "-" : "") + k.field);
+  return Buffer.from(JSON.stringify({ d: dir, s: fields, v: values }))
+      .toString("base64url");
+}
+
+/** Decode a cursor made by encodeCursor for the same sort keys.
+ *
+ * Returns { dir, values }
+ *
+ * Throws BadRequestError if the cursor is malformed (including values that
+ * aren't null or of their sort key's type) or was made for a different
+ * sort.
+ */
+
+function decodeCursor(cursor, sortKeys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  const fields = sortKeys.map(k => (k.desc ? "-" : "") + k.field);
+  if (!decoded
+      || (decoded.d !== "next" && decoded.d !== "prev")
+      || !Array.isArray(decoded.s) || decoded.s.join(",") !== fields.join(",")
+      || !Array.isArray(decoded.v) || decoded.v.length !== sortKeys.length
+      || !decoded.v.every(
+          (v, idx) => v === null || typeof v === sortKeys[idx].type)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  return { dir: decoded.d, values: decoded.v };
+}
+
+/** Build the WHERE expression selecting rows after `values` in sort order.
+ *
+ * NULLs follow Postgres's defaults: last when ascending, first when
+ * descending. Values are pushed onto queryValues.
+ *
+ * e.g. for sort keys (salary DESC, id) and values [100, 7]:
+ *   (j.salary < $1) OR (j.salary = $2 AND j.id > $3)
+ */
+
+function sqlForKeyset(sortKeys, values, queryValues) {
+  const orExpressions = [];
+
+  sortKeys.forEach((key, idx) => {
+    const andExpressions = [];
+
+    for (let i = 0; i < idx; i++) {
+      if (values[i] === null) {
+        andExpressions.push(`${sortKeys[i].col} IS NULL`);
+      } else {
+        queryValues.push(values[i]);
+        andExpressions.push(`${sortKeys[i].col} = $${queryValues.length}`);
+      }
+    }
+
+    const value = values[idx];
+    if (key.desc) {
+      if (value === null) {
+        andExpressions.push(`${key.col} IS NOT NULL`);
+      } else {
+        queryValues.push(value);
+        andExpressions.push(`${key.col} < $${queryValues.length}`);
+      }
+    } else {
+      // nothing sorts after NULL when ascending, except by a later key
+      if (value === null) return;
+      queryValues.push(value);
+      andExpressions.push(
+          `(${key.col} > $${queryValues.length} OR ${key.col} IS NULL)`);
+    }
+
+    orExpressions.push(`(${andExpressions.join(" AND ")})`);
+  });
+
+  return orExpressions.length > 0 ? `(${orExpressions.join(" OR ")})` : "FALSE";
+}
+
+/** Run a sorted, optionally paginated, query.
+ *
+ * - select: "SELECT ... FROM ..." with no WHERE clause
+ * - whereExpressions, queryValues: the filters, as built by a model's findAll
+ * - sortKeys: from parseSort
+ * - options (all optional):
+ *   - limit: page size
+ *   - page: 1-based page number (offset pagination)
+ *   - cursor: from a previous page's nextCursor/prevCursor (keyset pagination)
+ *
+ * Returns { rows, total, nextCursor, prevCursor }
+ *   where total counts all rows matching the filters, and the cursors are
+ *   null when there is no such page
+ *
+ * Throws BadRequestError if both page and cursor are given.
+ */
+
+async function paginate(select, whereExpressions, queryValues, sortKeys,
+                        { limit, page, cursor } = {}) {
+  if (page !== undefined && cursor !== undefined) {
+    throw new BadRequestError("Cannot use both page and cursor");
+  }
+
+  const filterSql = whereExpressions.length > 0
+      ? " WHERE " + whereExpressions.join(" AND ")
+      : "";
+
+  const countRes = await db.query(
+      `SELECT COUNT(*)::integer AS total FROM (${select}${filterSql}) AS q`,
+      queryValues);
+  const total = countRes.rows[0].total;
+
+  const decoded = cursor !== undefined ? decodeCursor(cursor, sortKeys) : null;
+  const backward = decoded !== null && decoded.dir === "prev";
+
+  // walking backward is walking forward in the reverse order
+  const orderKeys = backward
+      ? sortKeys.map(k => ({ ...k, desc: !k.desc }))
+      : sortKeys;
+
+  const pageWhere = [...whereExpressions];
+  const pageValues = [...queryValues];
+
+  if (decoded !== null) {
+    pageWhere.push(sqlForKeyset(orderKeys, decoded.values, pageValues));
+  }
+
+  let query = select;
+  if (pageWhere.length > 0) query += " WHERE " + pageWhere.join(" AND ");
+  query += " ORDER BY " +
+      orderKeys.map(k => k.col + (k.desc ? " DESC" : "")).join(", ");
+
+  // fetch one extra row to learn whether there's another page
+  if (limit !== undefined) {
+    pageValues.push(limit + 1);
+    query += ` LIMIT $${pageValues.length}`;
+    if (page !== undefined) {
+      pageValues.push((page - 1) * limit);
+      query += ` OFFSET $${pageValues.length}`;
+    }
+  }
+
+  const result = await db.query(query, pageValues);
+  let rows = result.rows;
+
+  const hasMore = limit !== undefined && rows.length > limit;
+  if (hasMore) rows = rows.slice(0, limit);
+  if (backward) rows.reverse();
+
+  const hasNext = backward ? decoded !== null : hasMore;
+  const hasPrev = backward ? hasMore : decoded !== null;
+  const keyValues = row => sortKeys.map(k => row[k.field]);
+
+  return {
+    rows,
+    total,
+    nextCursor: hasNext && rows.length > 0
+        ? encodeCursor("next", sortKeys, keyValues(rows[rows.length - 1]))
+        : null,
+    prevCursor: hasPrev && rows.length > 0
+        ? encodeCursor("prev", sortKeys, keyValues(rows[0]))
+        : null,
+  };
+}
+
+/** Build next/prev links for a page returned by paginate.
+ *
+ * Links repeat the request's query string, swapping in the page number
+ * (when paging by page) or the cursor (otherwise).
+ *
+ * Returns { next, prev }, each a URL path or null.
+ */
+
+function pageLinks(req, { total, nextCursor, prevCursor }, { limit, page }) {
+  const path = req.baseUrl + (req.path === "/" ? "" : req.path);
+
+  function link(changes) {
+    const params = new URLSearchParams();
+    const query = { ...req.query, ...changes };
+    for (let [key, value] of Object.entries(query)) {
+      if (value === undefined) continue;
+      for (let v of [].concat(value)) params.append(key, v);
+    }
+    return `${path}?${params}`;
+  }
+
+  if (page !== undefined) {
+    return {
+      next: page * limit < total ? link({ page: page + 1 }) : null,
+      prev: page > 1 ? link({ page: page - 1 }) : null,
+    };
+  }
+
+  return {
+    next: nextCursor ? link({ cursor: nextCursor }) : null,
+    prev: prevCursor ? link({ cursor: prevCursor }) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  sqlForKeyset,
+  paginate,
+  pageLinks,
+};
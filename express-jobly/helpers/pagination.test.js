@@ -0,0 +1,96 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const {
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  sqlForKeyset,
+} = require("./pagination");
+
+afterAll(async function () {
+  await db.end();
+});
+
+const sortable = {
+  title: { col: "j.title", type: "string" },
+  salary: { col: "j.salary", type: "number" },
+  id: { col: "j.id", type: "number" },
+};
+
+
+describe("parseSort", function () {
+  test("works: adds tiebreaker", function () {
+    expect(parseSort("-salary,title", sortable, "id")).toEqual([
+      { field: "salary", col: "j.salary", type: "number", desc: true },
+      { field: "title", col: "j.title", type: "string", desc: false },
+      { field: "id", col: "j.id", type: "number", desc: false },
+    ]);
+  });
+
+  test("works: tiebreaker already listed", function () {
+    expect(parseSort("-id", sortable, "id")).toEqual([
+      { field: "id", col: "j.id", type: "number", desc: true },
+    ]);
+  });
+
+  test("bad request on unknown field", function () {
+    expect(() => parseSort("password", sortable, "id"))
+        .toThrow(BadRequestError);
+  });
+});
+
+
+describe("encodeCursor/decodeCursor", function () {
+  const sortKeys = parseSort("-salary", sortable, "id");
+
+  test("works: round trip", function () {
+    const cursor = encodeCursor("next", sortKeys, [null, 3]);
+    expect(decodeCursor(cursor, sortKeys)).toEqual({
+      dir: "next",
+      values: [null, 3],
+    });
+  });
+
+  test("bad request for another sort", function () {
+    const cursor = encodeCursor("next", sortKeys, [100, 3]);
+    expect(() => decodeCursor(cursor, parseSort("salary", sortable, "id")))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request for values of the wrong type", function () {
+    for (const values of [["100", 3], [100, "3"], [100, { id: 3 }], [[100], 3]]) {
+      const cursor = encodeCursor("next", sortKeys, values);
+      expect(() => decodeCursor(cursor, sortKeys)).toThrow(BadRequestError);
+    }
+
+    const titleKeys = parseSort("title", sortable, "id");
+    const cursor = encodeCursor("next", titleKeys, [7, 3]);
+    expect(() => decodeCursor(cursor, titleKeys)).toThrow(BadRequestError);
+  });
+
+  test("bad request for garbage", function () {
+    expect(() => decodeCursor("nope", sortKeys)).toThrow(BadRequestError);
+  });
+});
+
+
+describe("sqlForKeyset", function () {
+  test("works: ascending and descending", function () {
+    const queryValues = ["x"];
+    const sql = sqlForKeyset(
+        parseSort("-salary", sortable, "id"), [100, 7], queryValues);
+    expect(sql).toEqual(
+        "((j.salary < $2) OR (j.salary = $3 AND (j.id > $4 OR j.id IS NULL)))");
+    expect(queryValues).toEqual(["x", 100, 100, 7]);
+  });
+
+  test("works: null values", function () {
+    const queryValues = [];
+    const sql = sqlForKeyset(
+        parseSort("salary", sortable, "id"), [null, 7], queryValues);
+    expect(sql).toEqual("((j.salary IS NULL AND (j.id > $1 OR j.id IS NULL)))");
+    expect(queryValues).toEqual([7]);
+  });
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+/** Roles, and the permissions each grants.
+ *
+ * Roles are site-wide: a recruiter can act on every company's jobs and
+ * applications. Company members (see CompanyMember) can do much the same,
+ * but only for their own company; routes allow either (see
+ * requirePermissionOrMembership in middleware/auth.js).
+ *
+ * - super-admin: everything. This is the role of users with is_admin set.
+ * - recruiter: manages jobs, sees who applied to them, and moves
+ *   applications through the pipeline. They can also add and edit skills
+ *   for jobs to ask for, but not delete them (which takes them off every
+ *   job and user).
+ * - company-editor: manages companies.
+ * - candidate: users with no other role; they act only on their own
+ *   account and applications, which needs no permissions.
+ */
+
+const ROLE_PERMISSIONS = {
+  "super-admin": ["*"],
+  "recruiter": [
+    "jobs:create",
+    "jobs:update",
+    "jobs:delete",
+    "jobs:read",
+    "applications:read",
+    "applications:update",
+    "skills:create",
+    "skills:update",
+  ],
+  "company-editor": [
+    "companies:create",
+    "companies:update",
+    "companies:delete",
+    "companies:read",
+  ],
+  "candidate": [],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/** The permissions granted to API keys by each scope. */
+
+const SCOPE_PERMISSIONS = {
+  "companies:read": ["companies:read"],
+  "companies:write": ["companies:create", "companies:update", "companies:delete"],
+  "jobs:read": ["jobs:read"],
+  "jobs:write": ["jobs:create", "jobs:update", "jobs:delete"],
+  "applications:read": ["applications:read"],
+};
+
+/** Does user (res.locals.user: a token payload, or an API key) have
+ * `permission`? Returns true/false. */
+
+function hasPermission(user, permission) {
+  if (!user) return false;
+  if (user.isAdmin) return true;
+
+  const granted = user.apiKeyId !== undefined
+      ? (user.scopes || []).flatMap(s => SCOPE_PERMISSIONS[s] || [])
+      : (user.roles || []).flatMap(r => ROLE_PERMISSIONS[r] || []);
+
+  return granted.includes("*") || granted.includes(permission);
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  SCOPE_PERMISSIONS,
+  hasPermission,
+};
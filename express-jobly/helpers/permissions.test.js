@@ -0,0 +1,44 @@
+"use strict";
+
+const { hasPermission } = require("./permissions");
+
+describe("hasPermission", function () {
+  test("admins can do anything", function () {
+    expect(hasPermission({ username: "a", isAdmin: true }, "jobs:update")).toEqual(true);
+    expect(hasPermission({ username: "a", isAdmin: false, roles: ["super-admin"] },
+        "roles:assign")).toEqual(true);
+  });
+
+  test("by role", function () {
+    const recruiter = { username: "r", isAdmin: false, roles: ["recruiter"] };
+    expect(hasPermission(recruiter, "jobs:update")).toEqual(true);
+    expect(hasPermission(recruiter, "applications:read")).toEqual(true);
+    expect(hasPermission(recruiter, "applications:update")).toEqual(true);
+    expect(hasPermission(recruiter, "skills:update")).toEqual(true);
+    expect(hasPermission(recruiter, "skills:delete")).toEqual(false);
+    expect(hasPermission(recruiter, "companies:update")).toEqual(false);
+
+    const both = { username: "b", isAdmin: false, roles: ["recruiter", "company-editor"] };
+    expect(hasPermission(both, "companies:update")).toEqual(true);
+
+    const editor = { username: "e", isAdmin: false, roles: ["company-editor"] };
+    expect(hasPermission(editor, "applications:read")).toEqual(false);
+  });
+
+  test("candidates and tokens without roles have none", function () {
+    expect(hasPermission({ username: "c", isAdmin: false, roles: ["candidate"] },
+        "jobs:read")).toEqual(false);
+    expect(hasPermission({ username: "c", isAdmin: false }, "jobs:read")).toEqual(false);
+  });
+
+  test("API keys by scope, ignoring roles", function () {
+    const key = { apiKeyId: 1, scopes: ["jobs:write"], isAdmin: false, roles: ["super-admin"] };
+    expect(hasPermission(key, "jobs:create")).toEqual(true);
+    expect(hasPermission(key, "jobs:read")).toEqual(false);
+    expect(hasPermission(key, "applications:update")).toEqual(false);
+  });
+
+  test("nobody", function () {
+    expect(hasPermission(undefined, "jobs:read")).toEqual(false);
+  });
+});
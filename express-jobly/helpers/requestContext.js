@@ -0,0 +1,29 @@
+"use strict";
+
+/** Per-request context, available anywhere in the code handling a request
+ * (including models) without passing it down.
+ *
+ * The context is { requestId, user }, where user is res.locals.user; see
+ * middleware/requestContext.js.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/** Call fn() with `context` as the current context; returns its result. */
+
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/** The current request's context, or {} outside of a request. */
+
+function getContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+};
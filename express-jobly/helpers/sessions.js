@@ -0,0 +1,60 @@
+"use strict";
+
+const Role = require("../models/role");
+const Session = require("../models/session");
+const RefreshToken = require("../models/refreshToken");
+const TwoFactor = require("../models/twoFactor");
+const { createToken } = require("./tokens");
+
+/** Issuing access tokens to users. Every token is issued here, so that each
+ * carries the roles the user has now, and the 2FA policy applies to all of
+ * them. */
+
+/** Returns the user to issue tokens for: user with their roles.
+ *
+ * When 2FA is required of user but they haven't enabled it, they lose the
+ * super-admin role until they do.
+ */
+
+async function tokenUser(user) {
+  const roles = await Role.findForUser(user.username);
+
+  if (TwoFactor.isRequiredFor(user) && !await TwoFactor.isEnabled(user.username)) {
+    const otherRoles = roles.filter(r => r !== "super-admin");
+    return {
+      ...user,
+      isAdmin: false,
+      roles: otherRoles.length > 0 ? otherRoles : ["candidate"],
+    };
+  }
+
+  return { ...user, roles };
+}
+
+/** Start a session for user, returning { token, refreshToken } for it.
+ *
+ * The token carries user's roles (see tokenUser). If they've lost
+ * super-admin until they set up 2FA, the result also has
+ * twoFactorSetupRequired: true.
+ */
+
+async function startSession(user, req) {
+  const sessionUser = await tokenUser(user);
+  const sessionId = await Session.create(user.username, req.get("user-agent"));
+  const token = createToken(sessionUser, sessionId);
+  const refreshToken = await RefreshToken.create(user.username, sessionId);
+
+  if (sessionUser.isAdmin !== user.isAdmin) {
+    return { token, refreshToken, twoFactorSetupRequired: true };
+  }
+  return { token, refreshToken };
+}
+
+/** Returns a new access token for user's session `sessionId`, with the
+ * roles they have now (see tokenUser). */
+
+async function sessionToken(user, sessionId) {
+  return createToken(await tokenUser(user), sessionId);
+}
+
+module.exports = { startSession, sessionToken };
@@ -0,0 +1,69 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+const db = require("../db");
+const config = require("../config");
+const Session = require("../models/session");
+const { startSession, sessionToken } = require("./sessions");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(async function () {
+  await commonAfterEach();
+  config.REQUIRE_ADMIN_2FA = false;
+});
+afterAll(commonAfterAll);
+
+/** A stand-in for an Express request. */
+
+const req = { get: () => "test-agent" };
+
+/************************************** startSession */
+
+describe("startSession", function () {
+  test("works: the token carries the user's roles", async function () {
+    await db.query(
+        "INSERT INTO user_roles (username, role) VALUES ('u1', 'recruiter')");
+    const { token, refreshToken, twoFactorSetupRequired } =
+        await startSession({ username: "u1", isAdmin: false }, req);
+
+    const payload = jwt.decode(token);
+    expect(payload).toEqual(expect.objectContaining(
+        { username: "u1", isAdmin: false, roles: ["recruiter"] }));
+    expect(await Session.isActive(payload.jti)).toEqual(true);
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(twoFactorSetupRequired).toBeUndefined();
+  });
+
+  test("admins without 2FA lose super-admin when it's required", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    config.REQUIRE_ADMIN_2FA = true;
+    const { token, twoFactorSetupRequired } =
+        await startSession({ username: "u1", isAdmin: true }, req);
+
+    expect(jwt.decode(token)).toEqual(expect.objectContaining(
+        { isAdmin: false, roles: ["candidate"] }));
+    expect(twoFactorSetupRequired).toEqual(true);
+  });
+});
+
+/************************************** sessionToken */
+
+describe("sessionToken", function () {
+  test("works: with the user's roles now", async function () {
+    const { token } = await startSession({ username: "u1", isAdmin: false }, req);
+    const { jti } = jwt.decode(token);
+    await db.query(
+        "INSERT INTO user_roles (username, role) VALUES ('u1', 'recruiter')");
+
+    const newToken = await sessionToken({ username: "u1", isAdmin: false }, jti);
+    expect(jwt.decode(newToken)).toEqual(expect.objectContaining(
+        { username: "u1", jti, roles: ["recruiter"] }));
+  });
+});
@@ -1,18 +1,48 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data; it expires after ACCESS_TOKEN_EXPIRES_IN.
+ *
+ * The token carries the user's roles (from Role.findForUser), which decide
+ * their permissions; without them, they're ["super-admin"] for admins and
+ * ["candidate"] for everyone else. Issue users' tokens through
+ * helpers/sessions.js, which looks their roles up.
+ *
+ * sessionId (from Session.create) becomes the token's jti, so revoking the
+ * session revokes the token. It's required: a token that couldn't be
+ * revoked would be rejected (see authenticateJWT).
+ */
 
-function createToken(user) {
+function createToken(user, sessionId) {
   console.assert(user.isAdmin !== undefined,
       "createToken passed user without isAdmin property");
+  if (sessionId === undefined) throw new Error("createToken needs a sessionId");
 
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    roles: user.roles || (user.isAdmin ? ["super-admin"] : ["candidate"]),
+    jti: sessionId,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
-module.exports = { createToken };
+/** return a random, URL-safe token for storing (hashed) server-side. */
+
+function createRandomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return the SHA-256 hash of a random token, as stored in the database.
+ *
+ * Random tokens are long enough that a fast hash is safe, and unlike bcrypt
+ * it lets us look the token up by its hash.
+ */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createRandomToken, hashToken };
@@ -1,36 +1,83 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, createRandomToken, hashToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
   test("works: not admin", function () {
-    const token = createToken({ username: "test", is_admin: false });
+    const token = createToken({ username: "test", is_admin: false }, "abc");
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      roles: ["candidate"],
+      jti: "abc",
     });
   });
 
   test("works: admin", function () {
-    const token = createToken({ username: "test", isAdmin: true });
+    const token = createToken({ username: "test", isAdmin: true }, "abc");
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: true,
+      roles: ["super-admin"],
+      jti: "abc",
     });
   });
 
   test("works: default no admin", function () {
     // given the security risk if this didn't work, checking this specifically
-    const token = createToken({ username: "test" });
+    const token = createToken({ username: "test" }, "abc");
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      roles: ["candidate"],
+      jti: "abc",
     });
   });
+
+  test("works: with roles", function () {
+    const token = createToken(
+        { username: "test", isAdmin: false, roles: ["recruiter"] }, "abc");
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.roles).toEqual(["recruiter"]);
+  });
+
+  test("works: with session", function () {
+    const token = createToken({ username: "test" }, "abc");
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.jti).toEqual("abc");
+  });
+
+  test("fails without a session", function () {
+    expect(() => createToken({ username: "test", isAdmin: false })).toThrow();
+  });
+
+  test("works: expires", function () {
+    const token = createToken({ username: "test", isAdmin: false }, "abc");
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+});
+
+describe("createRandomToken", function () {
+  test("works", function () {
+    const token = createRandomToken();
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(createRandomToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    expect(hashToken("abc")).toEqual(
+        "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  });
 });
@@ -0,0 +1,125 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/** Time-based one-time passwords (RFC 6238), as used by authenticator apps:
+ * 6 digits, HMAC-SHA1, 30 second steps. Secrets are base32 strings. */
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/** Encode a buffer as unpadded base32. */
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+
+  for (let byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return out;
+}
+
+/** Decode base32, ignoring case, spaces and padding. */
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (let char of str.toUpperCase().replace(/[\s=]/g, "")) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/** Make a new random secret (160 bits, as RFC 4226 recommends). */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** The time step `time` (ms since the epoch) falls in. */
+
+function stepAt(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/** The code for secret at a time step (RFC 4226's HOTP). */
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret))
+      .update(counter)
+      .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/** Check code against secret, allowing for `window` steps of clock drift
+ * either way.
+ *
+ * Returns the matching time step (so callers can refuse to accept the same
+ * code twice), or null if it doesn't match.
+ */
+
+function verifyCode(secret, code, { time = Date.now(), window = 1 } = {}) {
+  const now = stepAt(time);
+  const candidate = Buffer.from(String(code));
+
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = Buffer.from(codeAt(secret, step));
+    if (expected.length === candidate.length
+        && crypto.timingSafeEqual(expected, candidate)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/** Make the otpauth:// URI an authenticator app scans (as a QR code) to
+ * add the account. */
+
+function otpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  stepAt,
+  codeAt,
+  verifyCode,
+  otpauthUri,
+};
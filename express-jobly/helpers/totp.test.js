@@ -0,0 +1,71 @@
+"use strict";
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  stepAt,
+  codeAt,
+  verifyCode,
+  otpauthUri,
+} = require("./totp");
+
+// the SHA1 secret from RFC 6238's test vectors, "12345678901234567890"
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("base32", function () {
+  test("round trips", function () {
+    const buf = Buffer.from("12345678901234567890");
+    expect(base32Encode(buf)).toEqual(RFC_SECRET);
+    expect(base32Decode(RFC_SECRET)).toEqual(buf);
+  });
+
+  test("decode ignores case, spaces and padding", function () {
+    expect(base32Decode("mzxw 6===")).toEqual(Buffer.from("foo"));
+  });
+});
+
+describe("generateSecret", function () {
+  test("works", function () {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toEqual(secret);
+  });
+});
+
+describe("codeAt", function () {
+  test("matches RFC 6238 test vectors", function () {
+    // the RFC's 8 digit codes, truncated to 6
+    expect(codeAt(RFC_SECRET, stepAt(59 * 1000))).toEqual("287082");
+    expect(codeAt(RFC_SECRET, stepAt(1111111109 * 1000))).toEqual("081804");
+    expect(codeAt(RFC_SECRET, stepAt(1234567890 * 1000))).toEqual("005924");
+    expect(codeAt(RFC_SECRET, stepAt(20000000000 * 1000))).toEqual("353130");
+  });
+});
+
+describe("verifyCode", function () {
+  const time = 1111111109 * 1000;
+
+  test("works", function () {
+    expect(verifyCode(RFC_SECRET, "081804", { time })).toEqual(stepAt(time));
+  });
+
+  test("allows one step of drift", function () {
+    const code = codeAt(RFC_SECRET, stepAt(time) - 1);
+    expect(verifyCode(RFC_SECRET, code, { time })).toEqual(stepAt(time) - 1);
+  });
+
+  test("null for wrong or stale codes", function () {
+    const stale = codeAt(RFC_SECRET, stepAt(time) - 2);
+    expect(verifyCode(RFC_SECRET, stale, { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, "12345", { time })).toBeNull();
+  });
+});
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(otpauthUri(RFC_SECRET, "u1", "Jobly")).toEqual(
+        "otpauth://totp/Jobly%3Au1?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+        + "&issuer=Jobly&algorithm=SHA1&digits=6&period=30");
+  });
+});
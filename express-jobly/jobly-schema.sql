@@ -3,9 +3,23 @@ CREATE TABLE companies (
   name TEXT UNIQUE NOT NULL,
   num_employees INTEGER CHECK (num_employees >= 0),
   description TEXT NOT NULL,
-  logo_url TEXT
+  logo_url TEXT,
+  city TEXT,
+  region TEXT,
+  country TEXT,
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  workplace_type TEXT CHECK (workplace_type IN ('remote', 'hybrid', 'onsite')),
+  deleted_at TIMESTAMPTZ,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')
+  ) STORED,
+  CHECK ((latitude IS NULL) = (longitude IS NULL))
 );
 
+CREATE INDEX companies_search_idx ON companies USING GIN (search_vector);
+
 CREATE TABLE users (
   username VARCHAR(25) PRIMARY KEY,
   password TEXT NOT NULL,
@@ -13,22 +27,343 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  email_verified_at TIMESTAMPTZ,
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  deleted_at TIMESTAMPTZ
 );
 
 CREATE TABLE jobs (
   id SERIAL PRIMARY KEY,
   title TEXT NOT NULL,
-  salary INTEGER CHECK (salary >= 0),
+  salary_min INTEGER CHECK (salary_min >= 0),
+  salary_max INTEGER CHECK (salary_max >= salary_min),
+  currency CHAR(3) NOT NULL DEFAULT 'USD' CHECK (currency ~ '^[A-Z]{3}$'),
+  pay_period TEXT NOT NULL DEFAULT 'yearly'
+    CHECK (pay_period IN ('hourly', 'monthly', 'yearly')),
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'published', 'closed', 'filled')),
+  expires_at TIMESTAMPTZ,
+  city TEXT,
+  region TEXT,
+  country TEXT,
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  workplace_type TEXT CHECK (workplace_type IN ('remote', 'hybrid', 'onsite')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  deleted_at TIMESTAMPTZ,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', title), 'A')
+  ) STORED,
+  CHECK ((latitude IS NULL) = (longitude IS NULL))
 );
 
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
+
 CREATE TABLE applications (
   username VARCHAR(25)
     REFERENCES users ON DELETE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing', 'offered',
+                     'accepted', 'rejected', 'withdrawn')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, job_id)
+);
+
+CREATE TABLE application_transitions (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX sessions_username_idx ON sessions (username);
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  session_id TEXT NOT NULL
+    REFERENCES sessions ON DELETE CASCADE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX refresh_tokens_session_idx ON refresh_tokens (session_id);
+
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE mail_outbox (
+  id SERIAL PRIMARY KEY,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+-- failed logins since the last success, per account and per IP address
+
+CREATE TABLE login_failures (
+  scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+  key TEXT NOT NULL,
+  failures INTEGER NOT NULL,
+  last_failed_at TIMESTAMPTZ NOT NULL,
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE TABLE login_lockouts (
+  id SERIAL PRIMARY KEY,
+  scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+  key TEXT NOT NULL,
+  ip TEXT,
+  failures INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ NOT NULL,
+  unlocked_at TIMESTAMPTZ,
+  unlocked_by VARCHAR(25)
+);
+
+CREATE INDEX login_lockouts_key_idx ON login_lockouts (scope, key);
+
+-- TOTP two-factor authentication; enabled_at is NULL until the user proves
+-- their authenticator works. last_used_step stops a code being used twice.
+
+CREATE TABLE user_totp (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  enabled_at TIMESTAMPTZ,
+  last_used_step BIGINT
+);
+
+CREATE TABLE totp_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX totp_recovery_codes_username_idx ON totp_recovery_codes (username);
+
+CREATE TABLE login_challenges (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  used_at TIMESTAMPTZ
+);
+
+-- keys for server-to-server integrations; the key itself is only shown
+-- when it's made, but its prefix identifies it in lists and logs
+
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  prefix TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  scopes TEXT[] NOT NULL,
+  created_by VARCHAR(25),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- roles besides super-admin (users.is_admin) and candidate (no other role)
+
+CREATE TABLE user_roles (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('recruiter', 'company-editor')),
+  granted_by VARCHAR(25),
+  granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, role)
+);
+
+-- users who manage a company's jobs: owners also manage its members
+
+CREATE TABLE company_members (
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'recruiter')),
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (company_handle, username)
+);
+
+CREATE TABLE company_invitations (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'recruiter')),
+  invited_by VARCHAR(25),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_by VARCHAR(25),
+  accepted_at TIMESTAMPTZ,
+  declined_at TIMESTAMPTZ
+);
+
+-- who created, changed or removed what; before and after hold only the
+-- fields that changed (all of them for creates and removes)
+
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor TEXT,
+  action TEXT NOT NULL
+    CHECK (action IN ('create', 'update', 'remove', 'restore', 'purge')),
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  request_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX audit_log_actor_idx ON audit_log (actor);
+
+-- what one unit of each currency is worth in a common reference currency
+-- (any will do: salaries are converted by the ratio of two rates)
+
+CREATE TABLE exchange_rates (
+  currency CHAR(3) PRIMARY KEY CHECK (currency ~ '^[A-Z]{3}$'),
+  rate NUMERIC NOT NULL CHECK (rate > 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- names are unique regardless of case ("SQL" and "sql" are the same skill)
+
+CREATE TABLE skills (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL CHECK (name <> ''),
+  description TEXT
+);
+
+CREATE UNIQUE INDEX skills_name_idx ON skills (LOWER(name));
+
+CREATE TABLE job_skills (
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  skill_id INTEGER
+    REFERENCES skills ON DELETE CASCADE,
+  is_required BOOLEAN NOT NULL DEFAULT TRUE,
+  PRIMARY KEY (job_id, skill_id)
+);
+
+CREATE TABLE user_skills (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  skill_id INTEGER
+    REFERENCES skills ON DELETE CASCADE,
+  proficiency TEXT NOT NULL
+    CHECK (proficiency IN ('beginner', 'intermediate', 'advanced', 'expert')),
+  PRIMARY KEY (username, skill_id)
+);
+
+-- params are GET /jobs search parameters (see schemas/jobSearch.json)
+
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (name <> ''),
+  params JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (username, name)
+);
+
+-- jobs a saved search has already matched, so alerts only tell of new ones
+
+CREATE TABLE saved_search_matches (
+  search_id INTEGER
+    REFERENCES saved_searches ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  PRIMARY KEY (search_id, job_id)
+);
+
+-- jobs users have bookmarked, and companies they follow (and are told of
+-- new jobs from)
+
+CREATE TABLE saved_jobs (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  saved_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   PRIMARY KEY (username, job_id)
 );
+
+CREATE TABLE followed_companies (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  followed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (username, company_handle)
+);
+
+-- new-job notifications waiting to go to a company's followers, sent (and
+-- deleted) by CompanyFollower.sendNotifications
+
+CREATE TABLE job_notifications (
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  queued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (job_id, username)
+);
@@ -1,17 +1,20 @@
--- both test users have the password "password"
+-- both test users have the password "password", and a verified email
 
-INSERT INTO users (username, password, first_name, last_name, email, is_admin)
+INSERT INTO users (username, password, first_name, last_name, email,
+                   email_verified_at, is_admin)
 VALUES ('testuser',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'User',
         'joel@joelburton.com',
+        NOW(),
         FALSE),
        ('testadmin',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'Admin!',
         'joel@joelburton.com',
+        NOW(),
         TRUE);
 
 INSERT INTO companies (handle,
@@ -161,7 +164,7 @@ VALUES ('bauer-gallagher', 'Bauer-Gallagher', 862,
        ('weber-hernandez', 'Weber-Hernandez', 681,
         'Contain product south picture scientist.', '/logos/logo4.png');
 
-INSERT INTO jobs (title, salary, equity, company_handle)
+INSERT INTO jobs (title, salary_min, equity, company_handle)
 VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Information officer', 200000, 0, 'hall-mills'),
        ('Consulting civil engineer', 60000, 0, 'sellers-bryant'),
@@ -368,3 +371,34 @@ VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Learning disability nurse', 66000, NULL, 'ayala-buchanan'),
        ('Research scientist (medical)', 175000, NULL, 'norman-harvey'),
        ('Accommodation manager', 126000, NULL, 'mejia-scott-ryan');
+
+-- jobs start as drafts; the sample ones are all listed
+UPDATE jobs SET status = 'published';
+
+INSERT INTO exchange_rates (currency, rate)
+VALUES ('USD', 1),
+       ('EUR', 1.08),
+       ('GBP', 1.27),
+       ('CAD', 0.73),
+       ('AUD', 0.66),
+       ('JPY', 0.0067);
+
+INSERT INTO skills (name, description)
+VALUES ('Communication', 'Writing and speaking clearly'),
+       ('Project management', 'Planning and running projects'),
+       ('Data analysis', 'Drawing conclusions from data'),
+       ('Sales', 'Finding and closing deals'),
+       ('Design', 'Visual and product design'),
+       ('Research', 'Designing and running studies');
+
+INSERT INTO job_skills (job_id, skill_id, is_required)
+SELECT j.id, s.id, s.name <> 'Communication'
+FROM jobs AS j
+  JOIN skills AS s ON (j.title, s.name) IN (
+    ('Research scientist (medical)', 'Research'),
+    ('Research scientist (medical)', 'Data analysis'),
+    ('Research scientist (medical)', 'Communication'),
+    ('Medical sales representative', 'Sales'),
+    ('Medical sales representative', 'Communication'),
+    ('Designer, furniture', 'Design'),
+    ('Fashion designer', 'Design'));
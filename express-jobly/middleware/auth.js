@@ -48,6 +48,10 @@ In summary, auth.js provides essential middleware functions for authenticating a
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 const { UnauthorizedError } = require("../expressError");
+const Session = require("../models/session");
+const ApiKey = require("../models/apiKey");
+const CompanyMember = require("../models/companyMember");
+const { hasPermission } = require("../helpers/permissions");
 
 
 /** Middleware: Authenticate user.
@@ -55,15 +59,38 @@ const { UnauthorizedError } = require("../expressError");
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the username and isAdmin field.)
  *
+ * A token is only valid while its session (its jti) is active, so revoking
+ * the session (logout, password change, ...) rejects it at once. Tokens
+ * without a session are rejected.
+ *
+ * The token can instead be an API key; then res.locals.user is
+ * { apiKeyId, prefix, scopes, isAdmin: false }, with no username.
+ *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
     const authHeader = req.headers && req.headers.authorization;
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      if (ApiKey.looksLikeKey(token)) {
+        const apiKey = await ApiKey.authenticate(token);
+        if (apiKey) {
+          res.locals.user = {
+            apiKeyId: apiKey.id,
+            prefix: apiKey.prefix,
+            scopes: apiKey.scopes,
+            isAdmin: false,
+          };
+        }
+        return next();
+      }
+
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (payload.jti !== undefined && await Session.isActive(payload.jti)) {
+        res.locals.user = payload;
+      }
     }
     return next();
   } catch (err) {
@@ -95,6 +122,43 @@ function ensureAdmin(req, res, next) {
   return next();
 }
 
+/** Middleware factory: the user must have `permission` (e.g. "jobs:update")
+ * through their roles, or their API key's scopes; see helpers/permissions.js.
+ * If not, raises Unauthorized.
+ */
+function requirePermission(permission) {
+  return function (req, res, next) {
+    if (!hasPermission(res.locals.user, permission)) {
+      return next(new UnauthorizedError());
+    }
+    return next();
+  };
+}
+
+/** Middleware factory: the user must have `permission` (see
+ * requirePermission), or be a member of the company the request is about
+ * with one of memberRoles. findRole(req, username) looks up their role in
+ * that company (see CompanyMember), or returns null.
+ * If not, raises Unauthorized.
+ */
+function requirePermissionOrMembership(permission, findRole,
+                                       memberRoles = CompanyMember.ROLES) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (hasPermission(user, permission)) return next();
+
+      const role = user && user.username
+          ? await findRole(req, user.username)
+          : null;
+      if (!memberRoles.includes(role)) throw new UnauthorizedError();
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
 /** Middleware to use when the user must be an admin or the same user as :username.
  * If not, raises Unauthorized.
  */
@@ -106,9 +170,40 @@ function ensureCorrectUserOrAdmin(req, res, next) {
   return next();
 }
 
+/** Middleware factory: the user must be the same user as :username, or have
+ * `permission` (see requirePermission).
+ * If not, raises Unauthorized.
+ */
+function ensureCorrectUserOrPermission(permission) {
+  return function (req, res, next) {
+    const user = res.locals.user;
+    if (!(user && (user.username === req.params.username
+                   || hasPermission(user, permission)))) {
+      return next(new UnauthorizedError());
+    }
+    return next();
+  };
+}
+
+/** Middleware to use when the user must be the same user as :username;
+ * not even admins may act for them.
+ * If not, raises Unauthorized.
+ */
+function ensureCorrectUser(req, res, next) {
+  const user = res.locals.user;
+  if (!(user && user.username === req.params.username)) {
+    return next(new UnauthorizedError());
+  }
+  return next();
+}
+
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
   ensureAdmin,
+  requirePermission,
+  requirePermissionOrMembership,
   ensureCorrectUserOrAdmin,
+  ensureCorrectUserOrPermission,
+  ensureCorrectUser,
 };
\ No newline at end of file
@@ -1,22 +1,49 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
+const db = require("../db");
 const { UnauthorizedError } = require("../expressError");
 const {
   authenticateJWT,
   ensureLoggedIn,
   ensureAdmin,
+  requirePermission,
+  ensureCorrectUserOrPermission,
+  requirePermissionOrMembership,
   ensureCorrectUserOrAdmin,
+  ensureCorrectUser,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
+const testJwt = jwt.sign(
+    { username: "test", isAdmin: false, jti: "test-session" }, SECRET_KEY);
+const noSessionJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign(
+    { username: "test", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 },
+    SECRET_KEY);
+const unknownSessionJwt = jwt.sign(
+    { username: "test", isAdmin: false, jti: "nope" }, SECRET_KEY);
+
+beforeAll(async function () {
+  await db.query("BEGIN");
+  await db.query(
+      `INSERT INTO users (username, password, first_name, last_name, email)
+       VALUES ('test', 'x', 'T', 'T', 'test@test.com')`);
+  await db.query(
+      `INSERT INTO sessions (id, username, expires_at)
+       VALUES ('test-session', 'test', NOW() + INTERVAL '1 day')`);
+});
+
+afterAll(async function () {
+  await db.query("ROLLBACK");
+  await db.end();
+});
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
     //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -25,12 +52,13 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
         username: "test",
         isAdmin: false,
+        jti: "test-session",
       },
     });
   });
@@ -56,6 +84,39 @@ describe("authenticateJWT", function () {
     authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  test("works: expired token", function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token without a session", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${noSessionJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token for unknown or revoked session", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${unknownSessionJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
 });
 
 
@@ -156,3 +217,197 @@ describe("ensureCorrectUserOrAdmin", function () {
     ensureCorrectUserOrAdmin(req, res, next);
   });
 });
+
+
+describe("ensureCorrectUser", function () {
+  test("works: same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+
+  test("unauth: admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+
+  test("unauth: if anon", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+});
+
+
+describe("requirePermission", function () {
+  test("works: admin", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    requirePermission("jobs:update")(req, res, next);
+  });
+
+  test("works: role with permission", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["recruiter"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    requirePermission("jobs:update")(req, res, next);
+  });
+
+  test("unauth: role without permission", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["company-editor"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    requirePermission("jobs:update")(req, res, next);
+  });
+
+  test("works: API key with scope", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { apiKeyId: 1, scopes: ["jobs:write"], isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    requirePermission("jobs:update")(req, res, next);
+  });
+
+  test("unauth: API key without scope", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { apiKeyId: 1, scopes: ["jobs:read"], isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    requirePermission("jobs:update")(req, res, next);
+  });
+
+  test("unauth: candidate", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    requirePermission("jobs:update")(req, res, next);
+  });
+
+  test("unauth: anon", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    requirePermission("jobs:update")(req, res, next);
+  });
+});
+
+
+describe("ensureCorrectUserOrPermission", function () {
+  test("works: same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrPermission("applications:update")(req, res, next);
+  });
+
+  test("works: other user with permission", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "rec", isAdmin: false, roles: ["recruiter"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrPermission("applications:update")(req, res, next);
+  });
+
+  test("unauth: other user without permission", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "wrong", isAdmin: false, roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrPermission("applications:update")(req, res, next);
+  });
+});
+
+
+describe("requirePermissionOrMembership", function () {
+  const findRole = async (req, username) => (username === "member" ? "recruiter" : null);
+
+  test("works: permission", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "rec", isAdmin: false, roles: ["recruiter"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermissionOrMembership("jobs:update", findRole)(req, res, next);
+  });
+
+  test("works: member", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "member", isAdmin: false, roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermissionOrMembership("jobs:update", findRole)(req, res, next);
+  });
+
+  test("unauth: member without the right role", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "member", isAdmin: false, roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermissionOrMembership("jobs:update", findRole, ["owner"])(req, res, next);
+  });
+
+  test("unauth: non-member", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["candidate"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermissionOrMembership("jobs:update", findRole)(req, res, next);
+  });
+
+  test("unauth: anon", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermissionOrMembership("jobs:update", findRole)(req, res, next);
+  });
+});
@@ -0,0 +1,25 @@
+"use strict";
+
+/** Middleware for route parameters. */
+
+const { NotFoundError } = require("../expressError");
+
+/** The largest id a SERIAL column holds. */
+
+const MAX_ID = 2147483647;
+
+/** Route parameter handler (for router.param) for numeric ids, e.g. a job's
+ * :id. Anything that isn't one can't name a row, so raises NotFound rather
+ * than reaching the database.
+ */
+
+function checkIdParam(req, res, next, value, name) {
+  if (!/^\d+$/.test(value) || +value > MAX_ID) {
+    return next(new NotFoundError(`Invalid ${name}: ${value}`));
+  }
+  return next();
+}
+
+module.exports = {
+  checkIdParam,
+};
@@ -0,0 +1,38 @@
+"use strict";
+
+/** Middleware tracking each request's context; see helpers/requestContext.js. */
+
+const crypto = require("crypto");
+const { runWithContext } = require("../helpers/requestContext");
+
+/** Request ids from clients (or proxies) are kept if they look sane. */
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/** Middleware: give the request an id, and make it and the user (once
+ * authenticated) available through getContext.
+ *
+ * The id comes from the X-Request-Id header if there is one; either way
+ * it's sent back in X-Request-Id.
+ */
+
+function trackRequest(req, res, next) {
+  const header = req.get("X-Request-Id");
+  const requestId = header && REQUEST_ID_PATTERN.test(header)
+      ? header
+      : crypto.randomUUID();
+
+  res.set("X-Request-Id", requestId);
+
+  runWithContext({
+    requestId,
+    // read when needed, since authenticateJWT runs after this
+    get user() {
+      return res.locals.user;
+    },
+  }, next);
+}
+
+module.exports = {
+  trackRequest,
+};
@@ -3,11 +3,22 @@ const bcrypt = require("bcrypt");
 const db = require("../db.js");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 
+const testJobIds = [];
+const testSkillIds = [];
+
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM exchange_rates");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM skills");
+
+  await db.query(`
+    INSERT INTO exchange_rates(currency, rate)
+    VALUES ('USD', 1), ('EUR', 1.1)`);
 
   await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
@@ -28,6 +39,39 @@ async function commonBeforeAll() {
         await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
         await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
       ]);
+
+  const resultsJobs = await db.query(`
+    INSERT INTO jobs (title, salary_min, equity, company_handle, status)
+    VALUES ('Job1', 100, '0.1', 'c1', 'published'),
+           ('Job2', 200, '0.2', 'c1', 'published'),
+           ('Job3', 300, '0', 'c1', 'published'),
+           ('Job4', NULL, NULL, 'c1', 'published')
+    RETURNING id`);
+  testJobIds.splice(0, 0, ...resultsJobs.rows.map(r => r.id));
+
+  await db.query(`
+        INSERT INTO applications(username, job_id)
+        VALUES ('u1', $1)`,
+      [testJobIds[0]]);
+
+  const resultsSkills = await db.query(`
+    INSERT INTO skills (name, description)
+    VALUES ('SQL', 'Databases'),
+           ('Python', NULL),
+           ('Go', NULL)
+    RETURNING id`);
+  testSkillIds.splice(0, 0, ...resultsSkills.rows.map(r => r.id));
+
+  // Job1 asks for SQL and (nice-to-have) Python, Job2 for Python
+  await db.query(`
+        INSERT INTO job_skills(job_id, skill_id, is_required)
+        VALUES ($1, $3, TRUE), ($1, $4, FALSE), ($2, $4, TRUE)`,
+      [testJobIds[0], testJobIds[1], testSkillIds[0], testSkillIds[1]]);
+
+  await db.query(`
+        INSERT INTO user_skills(username, skill_id, proficiency)
+        VALUES ('u1', $1, 'advanced')`,
+      [testSkillIds[0]]);
 }
 
 async function commonBeforeEach() {
@@ -48,4 +92,6 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
+  testSkillIds,
 };
\ No newline at end of file
@@ -0,0 +1,146 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const Audit = require("./audit");
+
+/** Every key starts with this, so it's easy to tell a key from a JWT (and to
+ * spot in leaked code). */
+
+const KEY_PREFIX = "jobly_";
+
+/** Scopes a key can carry; each grants one kind of admin access. */
+
+const SCOPES = [
+  "companies:read",
+  "companies:write",
+  "jobs:read",
+  "jobs:write",
+  "applications:read",
+];
+
+/** Related functions for API keys.
+ *
+ * Keys look like "jobly_<prefix>_<secret>". Only a hash of the whole key
+ * is stored; the prefix is kept so a key can be recognized later.
+ */
+
+class ApiKey {
+  /** Make a key, issued by admin createdBy.
+   *
+   * data should be { name, scopes, expiresAt } (expiresAt is optional; keys
+   * without one don't expire)
+   *
+   * Returns { apiKey, key }
+   *   where apiKey is { id, prefix, name, scopes, createdBy, createdAt,
+   *                     expiresAt }
+   *   and key is the key itself, which is only available now
+   *
+   * Throws BadRequestError if a scope is unknown or expiresAt has passed.
+   **/
+
+  static async create({ name, scopes, expiresAt = null }, createdBy) {
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length > 0) {
+      throw new BadRequestError(`Unknown scopes: ${unknown.join(", ")}`);
+    }
+    if (expiresAt !== null && new Date(expiresAt) <= new Date()) {
+      throw new BadRequestError("expiresAt must be in the future");
+    }
+
+    const prefix = crypto.randomBytes(6).toString("hex");
+    const key = `${KEY_PREFIX}${prefix}_${createRandomToken()}`;
+
+    const result = await db.query(
+          `INSERT INTO api_keys
+           (prefix, key_hash, name, scopes, created_by, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id,
+                     prefix,
+                     name,
+                     scopes,
+                     created_by AS "createdBy",
+                     created_at AS "createdAt",
+                     expires_at AS "expiresAt"`,
+        [prefix, hashToken(key), name, scopes, createdBy, expiresAt]);
+    const apiKey = result.rows[0];
+
+    await Audit.record("create", "api-key", apiKey.id, null, apiKey);
+
+    return { apiKey, key };
+  }
+
+  /** Is this string shaped like a key (rather than, say, a JWT)? */
+
+  static looksLikeKey(str) {
+    return str.startsWith(KEY_PREFIX);
+  }
+
+  /** Look up a key, recording that it was used.
+   *
+   * Returns { id, prefix, name, scopes }, or null if the key is unknown,
+   * expired or revoked.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(
+          `UPDATE api_keys
+           SET last_used_at = NOW()
+           WHERE key_hash = $1
+             AND revoked_at IS NULL
+             AND (expires_at IS NULL OR expires_at > NOW())
+           RETURNING id, prefix, name, scopes`,
+        [hashToken(key)]);
+
+    return result.rows[0] || null;
+  }
+
+  /** Find all keys, newest first, including expired and revoked ones.
+   *
+   * Returns [{ id, prefix, name, scopes, createdBy, createdAt, expiresAt,
+   *            lastUsedAt, revokedAt }, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT id,
+                  prefix,
+                  name,
+                  scopes,
+                  created_by AS "createdBy",
+                  created_at AS "createdAt",
+                  expires_at AS "expiresAt",
+                  last_used_at AS "lastUsedAt",
+                  revoked_at AS "revokedAt"
+           FROM api_keys
+           ORDER BY created_at DESC, id DESC`);
+
+    return result.rows;
+  }
+
+  /** Revoke a key; returns undefined.
+   *
+   * Throws NotFoundError if no such key, or it's already revoked.
+   **/
+
+  static async revoke(id) {
+    const result = await db.query(
+          `UPDATE api_keys
+           SET revoked_at = NOW()
+           WHERE id = $1 AND revoked_at IS NULL
+           RETURNING revoked_at AS "revokedAt"`,
+        [id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+
+    await Audit.record("update", "api-key", id,
+        { revokedAt: null }, result.rows[0]);
+  }
+}
+
+ApiKey.SCOPES = SCOPES;
+
+
+module.exports = ApiKey;
@@ -0,0 +1,128 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "admin");
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      prefix: expect.stringMatching(/^[0-9a-f]{12}$/),
+      name: "ATS",
+      scopes: ["jobs:write"],
+      createdBy: "admin",
+      createdAt: expect.any(Date),
+      expiresAt: null,
+    });
+    expect(key.startsWith(`jobly_${apiKey.prefix}_`)).toEqual(true);
+
+    const res = await db.query("SELECT key_hash FROM api_keys");
+    expect(res.rows[0].key_hash).not.toContain(key);
+  });
+
+  test("bad request with unknown scope", async function () {
+    try {
+      await ApiKey.create({ name: "ATS", scopes: ["users:write"] }, "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already expired", async function () {
+    try {
+      await ApiKey.create(
+          { name: "ATS", scopes: ["jobs:write"], expiresAt: "2000-01-01T00:00:00Z" },
+          "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "admin");
+    expect(await ApiKey.authenticate(key)).toEqual({
+      id: apiKey.id,
+      prefix: apiKey.prefix,
+      name: "ATS",
+      scopes: ["jobs:write"],
+    });
+    const [found] = await ApiKey.findAll();
+    expect(found.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("null for unknown key", async function () {
+    expect(await ApiKey.authenticate("jobly_nope")).toBeNull();
+  });
+
+  test("null for expired key", async function () {
+    const { key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "admin");
+    await db.query("UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 day'");
+    expect(await ApiKey.authenticate(key)).toBeNull();
+  });
+
+  test("null for revoked key", async function () {
+    const { apiKey, key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "admin");
+    await ApiKey.revoke(apiKey.id);
+    expect(await ApiKey.authenticate(key)).toBeNull();
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await ApiKey.create({ name: "First", scopes: ["jobs:read"] }, "admin");
+    await ApiKey.create({ name: "Second", scopes: ["jobs:write"] }, "admin");
+    const apiKeys = await ApiKey.findAll();
+    expect(apiKeys.map(k => k.name)).toEqual(["Second", "First"]);
+    expect(apiKeys[0]).toEqual({
+      id: expect.any(Number),
+      prefix: expect.any(String),
+      name: "Second",
+      scopes: ["jobs:write"],
+      createdBy: "admin",
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      lastUsedAt: null,
+      revokedAt: null,
+    });
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("not found if no such key", async function () {
+    try {
+      await ApiKey.revoke(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,326 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Audit = require("./audit");
+
+/** Every state an application can be in. */
+
+const STATES = [
+  "interested",
+  "applied",
+  "interviewing",
+  "offered",
+  "accepted",
+  "rejected",
+  "withdrawn",
+];
+
+/** Allowed moves from each state; accepted, rejected and withdrawn are final. */
+
+const TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** Related functions for job applications. */
+
+class Application {
+  /** Create an application of user for job, starting in `state`.
+   *
+   * state must be "interested" or "applied" (the default).
+   *
+   * Returns { username, jobId, state, createdAt, updatedAt }
+   *
+   * Throws NotFoundError if user or job doesn't exist;
+   * throws BadRequestError if the job isn't published (or has expired), or
+   * user already applied to job.
+   **/
+
+  static async create(username, jobId, state = "applied") {
+    if (state !== "interested" && state !== "applied") {
+      throw new BadRequestError(`Invalid initial state: ${state}`);
+    }
+
+    const jobCheck = await db.query(
+          `SELECT status, expires_at <= NOW() AS "isExpired"
+           FROM jobs
+           WHERE id = $1 AND deleted_at IS NULL`, [jobId]);
+    const job = jobCheck.rows[0];
+
+    if (!job) throw new NotFoundError(`No job: ${jobId}`);
+    if (job.status !== "published" || job.isExpired) {
+      throw new BadRequestError(`Job ${jobId} isn't taking applications`);
+    }
+
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    // inserts nothing if user already applied, even in a race with another
+    // request
+    const result = await db.query(
+          `INSERT INTO applications (username, job_id, state)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (username, job_id) DO NOTHING
+           RETURNING username,
+                     job_id AS "jobId",
+                     state,
+                     created_at AS "createdAt",
+                     updated_at AS "updatedAt"`,
+        [username, jobId, state]);
+    const application = result.rows[0];
+
+    if (!application) {
+      throw new BadRequestError(`Duplicate application: ${username}, ${jobId}`);
+    }
+
+    await db.query(
+          `INSERT INTO application_transitions (username, job_id, to_state)
+           VALUES ($1, $2, $3)`,
+        [username, jobId, state]);
+
+    await Audit.record("create", "application", `${username}/${jobId}`,
+        null, application);
+
+    return application;
+  }
+
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, createdAt, updatedAt, history }
+   *   where history is [{ fromState, toState, createdAt }, ...], oldest first
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(username, jobId) {
+    const appRes = await db.query(
+          `SELECT username,
+                  job_id AS "jobId",
+                  state,
+                  created_at AS "createdAt",
+                  updated_at AS "updatedAt"
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+
+    const application = appRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application: ${username}, ${jobId}`);
+    }
+
+    const historyRes = await db.query(
+          `SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  created_at AS "createdAt"
+           FROM application_transitions
+           WHERE username = $1 AND job_id = $2
+           ORDER BY id`,
+        [username, jobId]);
+
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Find all applications of a user, joined with their jobs and companies.
+   *
+   * filters (all optional):
+   * - states: only applications in one of these states
+   * - sort: "appliedAt" (oldest first) or "-appliedAt" (newest first, default)
+   *
+   * Returns [{ id, title, companyHandle, companyName, state, appliedAt }, ...]
+   *   where id is the job id
+   **/
+
+  static async findForUser(username, { states, sort = "-appliedAt" } = {}) {
+    let query = `SELECT j.id,
+                        j.title,
+                        j.company_handle AS "companyHandle",
+                        c.name AS "companyName",
+                        a.state,
+                        a.created_at AS "appliedAt"
+                 FROM applications AS a
+                   JOIN jobs AS j ON j.id = a.job_id
+                   JOIN companies AS c ON c.handle = j.company_handle
+                 WHERE a.username = $1 AND j.deleted_at IS NULL`;
+    let queryValues = [username];
+
+    if (states !== undefined && states.length > 0) {
+      queryValues.push(states);
+      query += ` AND a.state = ANY($${queryValues.length})`;
+    }
+
+    query += sort === "appliedAt"
+        ? " ORDER BY a.created_at, j.id"
+        : " ORDER BY a.created_at DESC, j.id";
+    const result = await db.query(query, queryValues);
+    return result.rows;
+  }
+
+  /** Find applicants to a company's jobs, or to a single job.
+   *
+   * filters:
+   * - companyHandle or jobId (one is required)
+   * - jobId with companyHandle narrows to that job of the company
+   * - states (optional): only applications in one of these states
+   *
+   * Returns { applicants, counts }
+   *   where applicants is
+   *     [{ username, firstName, lastName, email, jobId, jobTitle, state,
+   *        appliedAt }, ...]
+   *   and counts is { interested, applied, ..., withdrawn }: the number of
+   *     applications in each state, ignoring the states filter
+   *
+   * Throws NotFoundError if the company or job doesn't exist.
+   **/
+
+  static async findApplicants({ companyHandle, jobId, states } = {}) {
+    if (companyHandle === undefined && jobId === undefined) {
+      throw new BadRequestError("Need companyHandle or jobId");
+    }
+
+    if (companyHandle !== undefined) {
+      const companyCheck = await db.query(
+            `SELECT handle
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NULL`, [companyHandle]);
+      if (!companyCheck.rows[0]) {
+        throw new NotFoundError(`No company: ${companyHandle}`);
+      }
+    }
+
+    if (jobId !== undefined) {
+      const jobCheck = await db.query(
+            `SELECT id
+             FROM jobs
+             WHERE id = $1 AND deleted_at IS NULL`, [jobId]);
+      if (!jobCheck.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+    }
+
+    let whereExpressions = ["j.deleted_at IS NULL", "u.deleted_at IS NULL"];
+    let queryValues = [];
+
+    if (companyHandle !== undefined) {
+      queryValues.push(companyHandle);
+      whereExpressions.push(`j.company_handle = $${queryValues.length}`);
+    }
+
+    if (jobId !== undefined) {
+      queryValues.push(jobId);
+      whereExpressions.push(`j.id = $${queryValues.length}`);
+    }
+
+    const fromWhere = `FROM applications AS a
+                         JOIN jobs AS j ON j.id = a.job_id
+                         JOIN users AS u ON u.username = a.username
+                       WHERE ${whereExpressions.join(" AND ")}`;
+
+    const countsRes = await db.query(
+          `SELECT a.state, COUNT(*)::integer AS count
+           ${fromWhere}
+           GROUP BY a.state`,
+        queryValues);
+
+    const counts = {};
+    for (let state of STATES) counts[state] = 0;
+    for (let row of countsRes.rows) counts[row.state] = row.count;
+
+    let query = `SELECT u.username,
+                        u.first_name AS "firstName",
+                        u.last_name AS "lastName",
+                        u.email,
+                        j.id AS "jobId",
+                        j.title AS "jobTitle",
+                        a.state,
+                        a.created_at AS "appliedAt"
+                 ${fromWhere}`;
+
+    if (states !== undefined && states.length > 0) {
+      queryValues.push(states);
+      query += ` AND a.state = ANY($${queryValues.length})`;
+    }
+
+    query += " ORDER BY j.id, a.created_at, u.username";
+    const applicantsRes = await db.query(query, queryValues);
+
+    return { applicants: applicantsRes.rows, counts };
+  }
+
+  /** Move an application to a new state, recording the transition.
+   *
+   * Returns { username, jobId, state, createdAt, updatedAt, history }
+   *
+   * Throws NotFoundError if not found; throws BadRequestError if the move
+   * isn't allowed from the application's current state (including if
+   * another move changed it first).
+   **/
+
+  static async transition(username, jobId, toState) {
+    if (!STATES.includes(toState)) {
+      throw new BadRequestError(`Invalid state: ${toState}`);
+    }
+
+    const current = await db.query(
+          `SELECT state
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+    const application = current.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application: ${username}, ${jobId}`);
+    }
+
+    const fromState = application.state;
+    if (!TRANSITIONS[fromState].includes(toState)) {
+      throw new BadRequestError(
+          `Cannot move application from ${fromState} to ${toState}`);
+    }
+
+    // only if it's still in fromState, so two moves at once can't both
+    // pass the check above
+    const result = await db.query(
+          `UPDATE applications
+           SET state = $3, updated_at = NOW()
+           WHERE username = $1 AND job_id = $2 AND state = $4`,
+        [username, jobId, toState, fromState]);
+
+    if (result.rowCount === 0) {
+      throw new BadRequestError(
+          `Application ${username}, ${jobId} was moved from ${fromState} meanwhile`);
+    }
+
+    await db.query(
+          `INSERT INTO application_transitions
+           (username, job_id, from_state, to_state)
+           VALUES ($1, $2, $3, $4)`,
+        [username, jobId, fromState, toState]);
+
+    await Audit.record("update", "application", `${username}/${jobId}`,
+        { state: fromState }, { state: toState });
+
+    return await Application.get(username, jobId);
+  }
+
+  /** Withdraw an application; same as transitioning it to "withdrawn". */
+
+  static async withdraw(username, jobId) {
+    return await Application.transition(username, jobId, "withdrawn");
+  }
+}
+
+Application.STATES = STATES;
+Application.TRANSITIONS = TRANSITIONS;
+
+
+module.exports = Application;
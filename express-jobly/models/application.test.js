@@ -0,0 +1,289 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Application = require("./application.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const application = await Application.create("u1", testJobIds[1]);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobIds[1],
+      state: "applied",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("works: interested", async function () {
+    const application = await Application.create(
+        "u1", testJobIds[1], "interested");
+    expect(application.state).toEqual("interested");
+  });
+
+  test("bad request with later initial state", async function () {
+    try {
+      await Application.create("u1", testJobIds[1], "offered");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if the job isn't published", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1",
+        [testJobIds[1]]);
+    try {
+      await Application.create("u1", testJobIds[1]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if the job has expired", async function () {
+    await db.query(
+        "UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1",
+        [testJobIds[1]]);
+    try {
+      await Application.create("u1", testJobIds[1]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if duplicate", async function () {
+    try {
+      await Application.create("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if duplicate, even at the same time", async function () {
+    const results = await Promise.allSettled([
+      Application.create("u2", testJobIds[1]),
+      Application.create("u2", testJobIds[1]),
+    ]);
+    expect(results.map(r => r.status)).toEqual(["fulfilled", "rejected"]);
+    expect(results[1].reason instanceof BadRequestError).toBeTruthy();
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.create("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Application.create("nope", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const application = await Application.get("u1", testJobIds[0]);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobIds[0],
+      state: "applied",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      history: [],
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u2", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findApplicants */
+
+describe("findApplicants", function () {
+  const emptyCounts = {
+    interested: 0,
+    applied: 0,
+    interviewing: 0,
+    offered: 0,
+    accepted: 0,
+    rejected: 0,
+    withdrawn: 0,
+  };
+
+  test("works: by company", async function () {
+    await Application.create("u2", testJobIds[1], "interested");
+    const result = await Application.findApplicants({ companyHandle: "c1" });
+    expect(result).toEqual({
+      applicants: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "u1@email.com",
+          jobId: testJobIds[0],
+          jobTitle: "Job1",
+          state: "applied",
+          appliedAt: expect.any(Date),
+        },
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "u2@email.com",
+          jobId: testJobIds[1],
+          jobTitle: "Job2",
+          state: "interested",
+          appliedAt: expect.any(Date),
+        },
+      ],
+      counts: { ...emptyCounts, applied: 1, interested: 1 },
+    });
+  });
+
+  test("works: by job", async function () {
+    await Application.create("u2", testJobIds[1]);
+    const result = await Application.findApplicants({ jobId: testJobIds[1] });
+    expect(result.applicants.map(a => a.username)).toEqual(["u2"]);
+    expect(result.counts).toEqual({ ...emptyCounts, applied: 1 });
+  });
+
+  test("works: state filter doesn't change counts", async function () {
+    await Application.create("u2", testJobIds[1], "interested");
+    const result = await Application.findApplicants(
+        { companyHandle: "c1", states: ["interested"] });
+    expect(result.applicants.map(a => a.username)).toEqual(["u2"]);
+    expect(result.counts).toEqual({ ...emptyCounts, applied: 1, interested: 1 });
+  });
+
+  test("works: company without applicants", async function () {
+    const result = await Application.findApplicants({ companyHandle: "c2" });
+    expect(result).toEqual({ applicants: [], counts: emptyCounts });
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Application.findApplicants({ companyHandle: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request without company or job", async function () {
+    try {
+      await Application.findApplicants();
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** transition */
+
+describe("transition", function () {
+  test("works", async function () {
+    await Application.create("u2", testJobIds[0], "interested");
+    await Application.transition("u2", testJobIds[0], "applied");
+    const application = await Application.transition(
+        "u2", testJobIds[0], "interviewing");
+    expect(application.state).toEqual("interviewing");
+    expect(application.history).toEqual([
+      { fromState: null, toState: "interested", createdAt: expect.any(Date) },
+      { fromState: "interested", toState: "applied", createdAt: expect.any(Date) },
+      { fromState: "applied", toState: "interviewing", createdAt: expect.any(Date) },
+    ]);
+  });
+
+  test("bad request if move not allowed", async function () {
+    try {
+      await Application.transition("u1", testJobIds[0], "accepted");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("only one of two moves at once happens", async function () {
+    const results = await Promise.allSettled([
+      Application.transition("u1", testJobIds[0], "interviewing"),
+      Application.transition("u1", testJobIds[0], "rejected"),
+    ]);
+    expect(results.map(r => r.status)).toEqual(["fulfilled", "rejected"]);
+    expect(results[1].reason instanceof BadRequestError).toBeTruthy();
+
+    const application = await Application.get("u1", testJobIds[0]);
+    expect(application.state).toEqual("interviewing");
+    expect(application.history.map(h => h.toState)).toEqual(["interviewing"]);
+  });
+
+  test("bad request if invalid state", async function () {
+    try {
+      await Application.transition("u1", testJobIds[0], "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.transition("u2", testJobIds[0], "interviewing");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** withdraw */
+
+describe("withdraw", function () {
+  test("works", async function () {
+    const application = await Application.withdraw("u1", testJobIds[0]);
+    expect(application.state).toEqual("withdrawn");
+  });
+
+  test("bad request if already withdrawn", async function () {
+    await Application.withdraw("u1", testJobIds[0]);
+    try {
+      await Application.withdraw("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
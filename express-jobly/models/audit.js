@@ -0,0 +1,171 @@
+"use strict";
+
+const db = require("../db");
+const { getContext } = require("../helpers/requestContext");
+const { parseSort, paginate } = require("../helpers/pagination");
+
+/** Fields whose values are never written to the log. */
+
+const REDACTED = ["password"];
+
+/** The kinds of entity changes are logged for. */
+
+const ENTITY_TYPES = [
+  "company",
+  "job",
+  "user",
+  "application",
+  "role",
+  "company-member",
+  "invitation",
+  "api-key",
+  "skill",
+  "job-skill",
+  "user-skill",
+  "exchange-rate",
+  "saved-search",
+  "saved-job",
+  "company-follower",
+];
+
+/** Entries are listed newest first. */
+
+const SORTABLE = {
+  id: { col: "id", type: "number" },
+};
+
+/** Who's acting, as recorded in the log: the username, "api-key:<prefix>"
+ * for API keys, or null outside of a request (or for anonymous ones). */
+
+function actorFor(user) {
+  if (!user) return null;
+  if (user.username) return user.username;
+  if (user.prefix) return `api-key:${user.prefix}`;
+  return null;
+}
+
+/** Copy a record, hiding REDACTED fields' values; null stays null. */
+
+function redact(record) {
+  if (!record) return null;
+  const copy = { ...record };
+  for (const field of REDACTED) {
+    if (copy[field] !== undefined) copy[field] = "[redacted]";
+  }
+  return copy;
+}
+
+/** The fields of after that differ from before, as { before, after } with
+ * the old and new values of just those fields. */
+
+function diff(before, after) {
+  const changed = Object.keys(after).filter(
+      k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+
+  return {
+    before: Object.fromEntries(changed.map(k => [k, before[k]])),
+    after: Object.fromEntries(changed.map(k => [k, after[k]])),
+  };
+}
+
+/** Related functions for the audit log: a record of who created, changed or
+ * removed what.
+ *
+ * Models call record() as they make changes; the actor and request id come
+ * from the current request (see helpers/requestContext.js). Entities that
+ * link two others (e.g. an application: a user and a job) are identified by
+ * both ids, as "<a>/<b>" (e.g. "u1/42").
+ */
+
+class Audit {
+  /** Log a change to an entity; returns undefined.
+   *
+   * - action: "create", "update", "remove", "restore" (from the trash) or
+   *   "purge" (from the trash, for good)
+   * - entityType: one of ENTITY_TYPES
+   * - entityId: the entity's id or handle
+   * - before: the entity before the change (null for creates, restores and
+   *   purges)
+   * - after: the entity after it (null for removes and purges); for
+   *   updates, only fields that changed are kept, and nothing is logged if
+   *   none did
+   **/
+
+  static async record(action, entityType, entityId, before, after) {
+    if (action === "update") {
+      ({ before, after } = diff(before, after));
+      if (Object.keys(after).length === 0) return;
+    }
+
+    const { requestId = null, user } = getContext();
+
+    await db.query(
+          `INSERT INTO audit_log
+           (actor, action, entity_type, entity_id, before, after, request_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          actorFor(user),
+          action,
+          entityType,
+          String(entityId),
+          redact(before),
+          redact(after),
+          requestId,
+        ]);
+  }
+
+  /** Find log entries, newest first (optional filter on searchFilters).
+   *
+   * searchFilters (all optional):
+   * - actor
+   * - entityType
+   * - entityId
+   * - action
+   * - from, to: only entries made at or after / before these times
+   * - limit, page, cursor: see paginate in helpers/pagination.js
+   *
+   * Returns { rows, total, nextCursor, prevCursor }
+   *   where rows is [{ id, actor, action, entityType, entityId, before,
+   *                    after, requestId, createdAt }, ...]
+   **/
+
+  static async findPage(
+      { actor, entityType, entityId, action, from, to, limit, page, cursor } = {}) {
+    const query = `SELECT id,
+                          actor,
+                          action,
+                          entity_type AS "entityType",
+                          entity_id AS "entityId",
+                          before,
+                          after,
+                          request_id AS "requestId",
+                          created_at AS "createdAt"
+                   FROM audit_log`;
+    const whereExpressions = [];
+    const queryValues = [];
+
+    const filters = [
+      ["actor = ", actor],
+      ["entity_type = ", entityType],
+      ["entity_id = ", entityId],
+      ["action = ", action],
+      ["created_at >= ", from],
+      ["created_at < ", to],
+    ];
+    for (const [expression, value] of filters) {
+      if (value !== undefined) {
+        queryValues.push(value);
+        whereExpressions.push(`${expression}$${queryValues.length}`);
+      }
+    }
+
+    const sortKeys = parseSort("-id", SORTABLE, "id");
+    return await paginate(
+        query, whereExpressions, queryValues, sortKeys, { limit, page, cursor });
+  }
+}
+
+Audit.ENTITY_TYPES = ENTITY_TYPES;
+
+
+module.exports = Audit;
@@ -0,0 +1,243 @@
+"use strict";
+
+const db = require("../db.js");
+const Audit = require("./audit.js");
+const Company = require("./company.js");
+const User = require("./user.js");
+const Application = require("./application.js");
+const CompanyMember = require("./companyMember.js");
+const CompanyFollower = require("./companyFollower.js");
+const ExchangeRate = require("./exchangeRate.js");
+const Role = require("./role.js");
+const SavedJob = require("./savedJob.js");
+const Skill = require("./skill.js");
+const { runWithContext } = require("../helpers/requestContext");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  await commonBeforeEach();
+  // setting up the fixtures was logged too
+  await db.query("DELETE FROM audit_log");
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works: actor and request id from the context", async function () {
+    await runWithContext({ requestId: "req-1", user: { username: "u2" } }, () =>
+        Audit.record("create", "company", "c9", null, { handle: "c9" }));
+
+    const { rows } = await Audit.findPage();
+    expect(rows).toEqual([{
+      id: expect.any(Number),
+      actor: "u2",
+      action: "create",
+      entityType: "company",
+      entityId: "c9",
+      before: null,
+      after: { handle: "c9" },
+      requestId: "req-1",
+      createdAt: expect.any(Date),
+    }]);
+  });
+
+  test("works: API keys and no request", async function () {
+    await runWithContext({ user: { apiKeyId: 1, prefix: "abc" } }, () =>
+        Audit.record("remove", "job", 1, { id: 1 }, null));
+    await Audit.record("remove", "job", 2, { id: 2 }, null);
+
+    const { rows } = await Audit.findPage();
+    expect(rows.map(r => [r.entityId, r.actor, r.requestId])).toEqual(
+        [["2", null, null], ["1", "api-key:abc", null]]);
+  });
+
+  test("updates keep only what changed", async function () {
+    await Audit.record("update", "company", "c1",
+        { handle: "c1", name: "C1", numEmployees: 1 },
+        { handle: "c1", name: "New", numEmployees: 1 });
+
+    const { rows } = await Audit.findPage();
+    expect(rows[0].before).toEqual({ name: "C1" });
+    expect(rows[0].after).toEqual({ name: "New" });
+  });
+
+  test("updates that change nothing aren't logged", async function () {
+    await Audit.record("update", "company", "c1", { name: "C1" }, { name: "C1" });
+    expect((await Audit.findPage()).rows).toEqual([]);
+  });
+
+  test("passwords are redacted", async function () {
+    await User.update("u1", { password: "new-password" });
+
+    const { rows } = await Audit.findPage({ entityType: "user" });
+    expect(rows[0].before).toEqual({ password: "[redacted]" });
+    expect(rows[0].after).toEqual({ password: "[redacted]" });
+  });
+});
+
+/************************************** model changes */
+
+describe("model changes", function () {
+  test("removing a company logs its jobs' removal", async function () {
+    await Company.remove("c1");
+
+    const { rows } = await Audit.findPage({ action: "remove" });
+    expect(rows.map(r => [r.entityType, r.entityId])).toEqual([
+      ["company", "c1"],
+      ...testJobIds.slice().reverse().map(id => ["job", String(id)]),
+    ]);
+    expect(rows[0].before).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+      city: null,
+      region: null,
+      country: null,
+      latitude: null,
+      longitude: null,
+      workplaceType: null,
+    });
+  });
+
+  test("applications: created, then moved", async function () {
+    await Application.create("u2", testJobIds[0], "interested");
+    await Application.transition("u2", testJobIds[0], "applied");
+
+    const { rows } = await Audit.findPage({ entityType: "application" });
+    expect(rows.map(r => [r.action, r.entityId, r.before, r.after])).toEqual([
+      ["update", `u2/${testJobIds[0]}`,
+        { state: "interested" }, { state: "applied" }],
+      ["create", `u2/${testJobIds[0]}`, null, expect.objectContaining(
+          { username: "u2", jobId: testJobIds[0], state: "interested" })],
+    ]);
+  });
+
+  test("roles: assigning one again isn't logged", async function () {
+    await Role.assign("u2", "recruiter", "u1");
+    await Role.assign("u2", "recruiter", "u1");
+    await Role.remove("u2", "recruiter");
+
+    const { rows } = await Audit.findPage({ entityType: "role" });
+    expect(rows.map(r => [r.action, r.entityId])).toEqual([
+      ["remove", "u2/recruiter"],
+      ["create", "u2/recruiter"],
+    ]);
+    expect(rows[1].after).toEqual(
+        { username: "u2", role: "recruiter", grantedBy: "u1" });
+  });
+
+  test("company members: added, then role changed", async function () {
+    await CompanyMember.add("c1", "u2", "recruiter");
+    await CompanyMember.add("c1", "u2", "owner");
+
+    const { rows } = await Audit.findPage({ entityType: "company-member" });
+    expect(rows.map(r => [r.action, r.entityId, r.before, r.after])).toEqual([
+      ["update", "c1/u2", { role: "recruiter" }, { role: "owner" }],
+      ["create", "c1/u2", null,
+        { companyHandle: "c1", username: "u2", role: "recruiter" }],
+    ]);
+  });
+
+  test("skills and their links", async function () {
+    const skill = await Skill.create({ name: "Audited" });
+    await Skill.update(skill.id, { description: "New" });
+    await Skill.setForJob(testJobIds[0], skill.id);
+    await Skill.setForJob(testJobIds[0], skill.id, { required: false });
+    await Skill.setForUser("u1", skill.id, "expert");
+    await Skill.removeFromUser("u1", skill.id);
+
+    const { rows } = await Audit.findPage();
+    expect(rows.map(r => [r.action, r.entityType, r.entityId])).toEqual([
+      ["remove", "user-skill", `u1/${skill.id}`],
+      ["create", "user-skill", `u1/${skill.id}`],
+      ["update", "job-skill", `${testJobIds[0]}/${skill.id}`],
+      ["create", "job-skill", `${testJobIds[0]}/${skill.id}`],
+      ["update", "skill", String(skill.id)],
+      ["create", "skill", String(skill.id)],
+    ]);
+    expect(rows[2].after).toEqual({ required: false });
+  });
+
+  test("exchange rates, saved jobs and followers", async function () {
+    await ExchangeRate.set("XYZ", 2);
+    await ExchangeRate.set("XYZ", 3);
+    await ExchangeRate.remove("XYZ");
+    await SavedJob.save("u1", testJobIds[0]);
+    await SavedJob.remove("u1", testJobIds[0]);
+    await CompanyFollower.follow("u1", "c2");
+    await CompanyFollower.follow("u1", "c2");
+    await CompanyFollower.unfollow("u1", "c2");
+
+    const { rows } = await Audit.findPage();
+    expect(rows.map(r => [r.action, r.entityType, r.entityId])).toEqual([
+      ["remove", "company-follower", "u1/c2"],
+      ["create", "company-follower", "u1/c2"],
+      ["remove", "saved-job", `u1/${testJobIds[0]}`],
+      ["create", "saved-job", `u1/${testJobIds[0]}`],
+      ["remove", "exchange-rate", "XYZ"],
+      ["update", "exchange-rate", "XYZ"],
+      ["create", "exchange-rate", "XYZ"],
+    ]);
+    expect(rows[5].before).toEqual({ rate: 2 });
+    expect(rows[5].after).toEqual({ rate: 3 });
+  });
+});
+
+/************************************** findPage */
+
+describe("findPage", function () {
+  beforeEach(async function () {
+    await runWithContext({ user: { username: "u1" } }, async () => {
+      await Audit.record("create", "company", "c8", null, { handle: "c8" });
+      await Audit.record("create", "job", 8, null, { id: 8 });
+    });
+    await runWithContext({ user: { username: "u2" } }, () =>
+        Audit.record("remove", "company", "c8", { handle: "c8" }, null));
+  });
+
+  test("newest first", async function () {
+    const { rows, total } = await Audit.findPage();
+    expect(total).toEqual(3);
+    expect(rows.map(r => r.action)).toEqual(["remove", "create", "create"]);
+  });
+
+  test("filters", async function () {
+    let { rows } = await Audit.findPage({ actor: "u1" });
+    expect(rows.map(r => r.entityId)).toEqual(["8", "c8"]);
+
+    ({ rows } = await Audit.findPage({ entityType: "company", entityId: "c8" }));
+    expect(rows.map(r => r.action)).toEqual(["remove", "create"]);
+
+    ({ rows } = await Audit.findPage({ action: "remove" }));
+    expect(rows.length).toEqual(1);
+  });
+
+  test("date range", async function () {
+    await db.query(
+        "UPDATE audit_log SET created_at = '2020-01-01T00:00:00Z' WHERE actor = 'u2'");
+
+    let { rows } = await Audit.findPage({ to: "2021-01-01T00:00:00Z" });
+    expect(rows.map(r => r.actor)).toEqual(["u2"]);
+
+    ({ rows } = await Audit.findPage({ from: "2021-01-01T00:00:00Z" }));
+    expect(rows.map(r => r.actor)).toEqual(["u1", "u1"]);
+  });
+
+  test("pages", async function () {
+    const first = await Audit.findPage({ limit: 2 });
+    expect(first.rows.length).toEqual(2);
+    const second = await Audit.findPage({ limit: 2, cursor: first.nextCursor });
+    expect(second.rows.map(r => r.action)).toEqual(["create"]);
+  });
+});
@@ -21,7 +21,7 @@ static async get(handle)
 
 Purpose: Retrieves data about a specific company using its handle.
 Parameters: handle of the company.
-Returns: Company data including a jobs array (each job containing id, title, salary, equity).
+Returns: Company data including a jobs array (each job containing id, title, salaryMin, salaryMax, currency, payPeriod, equity).
 Throws: NotFoundError if the company is not found.
 static async update(handle, data)
 
@@ -52,20 +52,61 @@ This documentation provides a concise overview of each method's purpose, paramet
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { parseSort, paginate } = require("../helpers/pagination");
+const Audit = require("./audit");
+const Job = require("./job");
+
+/** A company's columns, as returned by create, get, update and the rest. */
+
+const COMPANY_FIELDS = `handle,
+                        name,
+                        description,
+                        num_employees AS "numEmployees",
+                        logo_url AS "logoUrl",
+                        city,
+                        region,
+                        country,
+                        latitude,
+                        longitude,
+                        workplace_type AS "workplaceType"`;
+
+/** Fields companies can be sorted by, with their SQL and value types. */
+
+const SORTABLE = {
+  handle: { col: "handle", type: "string" },
+  name: { col: "name", type: "string" },
+  numEmployees: { col: "num_employees", type: "number" },
+};
 
 /** Related functions for companies. */
 
 class Company {
   /** Create a company (from data), update db, return new company data.
    *
-   * data should be { handle, name, description, numEmployees, logoUrl }
+   * data should be { handle, name, description, numEmployees, logoUrl, city,
+   *                   region, country, latitude, longitude, workplaceType }
+   * (the location fields are optional; workplaceType is "remote", "hybrid"
+   * or "onsite")
    *
-   * Returns { handle, name, description, numEmployees, logoUrl }
+   * Returns { handle, name, description, numEmployees, logoUrl, city, region,
+   *           country, latitude, longitude, workplaceType }
    *
    * Throws BadRequestError if company already in database.
    * */
 
-  static async create({ handle, name, description, numEmployees, logoUrl }) {
+  static async create({
+    handle,
+    name,
+    description,
+    numEmployees,
+    logoUrl,
+    city,
+    region,
+    country,
+    latitude,
+    longitude,
+    workplaceType,
+  }) {
     const duplicateCheck = await db.query(
           `SELECT handle
            FROM companies
@@ -77,19 +118,28 @@ class Company {
 
     const result = await db.query(
           `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+           (handle, name, description, num_employees, logo_url, city, region,
+            country, latitude, longitude, workplace_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING ${COMPANY_FIELDS}`,
         [
           handle,
           name,
           description,
           numEmployees,
           logoUrl,
+          city,
+          region,
+          country,
+          latitude,
+          longitude,
+          workplaceType,
         ],
     );
     const company = result.rows[0];
 
+    await Audit.record("create", "company", company.handle, null, company);
+
     return company;
   }
 
@@ -99,21 +149,36 @@ class Company {
    * - minEmployees
    * - maxEmployees
    * - name (will find case-insensitive, partial matches)
+   * - sort: comma-separated fields, "-" prefix for descending
+   *   (of handle, name, numEmployees; default "name")
+   * - limit, page, cursor: see paginate in helpers/pagination.js
    *
    * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
    * */
 
   static async findAll(searchFilters = {}) {
+    const { rows } = await Company.findPage(searchFilters);
+    return rows;
+  }
+
+  /** Like findAll, but also returns paging information.
+   *
+   * Returns { rows, total, nextCursor, prevCursor }
+   *   where rows is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * */
+
+  static async findPage(searchFilters = {}) {
     let query = `SELECT handle,
                         name,
                         description,
                         num_employees AS "numEmployees",
                         logo_url AS "logoUrl"
                  FROM companies`;
-    let whereExpressions = [];
+    let whereExpressions = ["deleted_at IS NULL"];
     let queryValues = [];
 
     const { minEmployees, maxEmployees, name } = searchFilters;
+    const { sort = "name", limit, page, cursor } = searchFilters;
 
     if (minEmployees > maxEmployees) {
       throw new BadRequestError("Min employees cannot be greater than max");
@@ -137,34 +202,29 @@ class Company {
       whereExpressions.push(`name ILIKE $${queryValues.length}`);
     }
 
-    if (whereExpressions.length > 0) {
-      query += " WHERE " + whereExpressions.join(" AND ");
-    }
-
     // Finalize query and return results
 
-    query += " ORDER BY name";
-    const companiesRes = await db.query(query, queryValues);
-    return companiesRes.rows;
+    const sortKeys = parseSort(sort, SORTABLE, "handle");
+    return await paginate(query, whereExpressions, queryValues, sortKeys,
+        { limit, page, cursor });
   }
 
   /** Given a company handle, return data about company.
    *
-   * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity }, ...]
+   * Returns { handle, name, description, numEmployees, logoUrl, city, region,
+   *           country, latitude, longitude, workplaceType, jobs }
+   *   where jobs is [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+   *                    equity }, ...], its listed jobs
+   *   (see Job.LISTED)
    *
    * Throws NotFoundError if not found.
    **/
 
   static async get(handle) {
     const companyRes = await db.query(
-          `SELECT handle,
-                  name,
-                  description,
-                  num_employees AS "numEmployees",
-                  logo_url AS "logoUrl"
+          `SELECT ${COMPANY_FIELDS}
            FROM companies
-           WHERE handle = $1`,
+           WHERE handle = $1 AND deleted_at IS NULL`,
         [handle]);
 
     const company = companyRes.rows[0];
@@ -172,10 +232,18 @@ class Company {
     if (!company) throw new NotFoundError(`No company: ${handle}`);
 
     const jobsRes = await db.query(
-          `SELECT id, title, salary, equity
-           FROM jobs
-           WHERE company_handle = $1
-           ORDER BY id`,
+          `SELECT j.id,
+                  j.title,
+                  j.salary_min AS "salaryMin",
+                  j.salary_max AS "salaryMax",
+                  j.currency,
+                  j.pay_period AS "payPeriod",
+                  j.equity
+           FROM jobs AS j
+           WHERE j.company_handle = $1
+             AND j.deleted_at IS NULL
+             AND ${Job.LISTED}
+           ORDER BY j.id`,
         [handle],
     );
 
@@ -189,9 +257,11 @@ class Company {
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {name, description, numEmployees, logoUrl}
+   * Data can include: {name, description, numEmployees, logoUrl, city, region,
+   *                    country, latitude, longitude, workplaceType}
    *
-   * Returns {handle, name, description, numEmployees, logoUrl}
+   * Returns {handle, name, description, numEmployees, logoUrl, city, region,
+   *          country, latitude, longitude, workplaceType}
    *
    * Throws NotFoundError if not found.
    */
@@ -202,40 +272,152 @@ class Company {
         {
           numEmployees: "num_employees",
           logoUrl: "logo_url",
+          workplaceType: "workplace_type",
         });
     const handleVarIdx = "$" + (values.length + 1);
 
+    const beforeRes = await db.query(
+          `SELECT ${COMPANY_FIELDS}
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`, [handle]);
+    const before = beforeRes.rows[0];
+
+    if (!before) throw new NotFoundError(`No company: ${handle}`);
+
     const querySql = `UPDATE companies 
                       SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
-                      RETURNING handle, 
-                                name, 
-                                description, 
-                                num_employees AS "numEmployees", 
-                                logo_url AS "logoUrl"`;
+                      WHERE handle = ${handleVarIdx} AND deleted_at IS NULL
+                      RETURNING ${COMPANY_FIELDS}`;
     const result = await db.query(querySql, [...values, handle]);
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
 
+    await Audit.record("update", "company", handle, before, company);
+
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Move given company, and its jobs, to the trash; returns undefined.
+   *
+   * They're kept until purged (see purge), and can be restored until then.
+   * Each is logged as removed.
    *
    * Throws NotFoundError if company not found.
    **/
 
   static async remove(handle) {
     const result = await db.query(
-          `DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
+          `UPDATE companies
+           SET deleted_at = NOW()
+           WHERE handle = $1 AND deleted_at IS NULL
+           RETURNING ${COMPANY_FIELDS}`,
         [handle]);
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+    // the same deleted_at marks the jobs to bring back in restore
+    const jobsRes = await db.query(
+          `UPDATE jobs AS j
+           SET deleted_at = c.deleted_at
+           FROM companies AS c
+           WHERE c.handle = j.company_handle
+             AND j.company_handle = $1
+             AND j.deleted_at IS NULL
+           RETURNING j.id,
+                     j.title,
+                     j.salary_min AS "salaryMin",
+                     j.salary_max AS "salaryMax",
+                     j.currency,
+                     j.pay_period AS "payPeriod",
+                     j.equity,
+                     j.company_handle AS "companyHandle"`,
+        [handle]);
+
+    for (const job of jobsRes.rows.sort((a, b) => a.id - b.id)) {
+      await Audit.record("remove", "job", job.id, job, null);
+    }
+    await Audit.record("remove", "company", handle, company, null);
+  }
+
+  /** Find companies in the trash, most recently deleted first.
+   *
+   * Returns [{ handle, name, deletedAt }, ...]
+   **/
+
+  static async findDeleted() {
+    const result = await db.query(
+          `SELECT handle, name, deleted_at AS "deletedAt"
+           FROM companies
+           WHERE deleted_at IS NOT NULL
+           ORDER BY deleted_at DESC, handle`);
+
+    return result.rows;
+  }
+
+  /** Take a company out of the trash, with the jobs that went in with it
+   * (not ones deleted before it); each is logged as restored.
+   *
+   * Returns the company, as from get.
+   *
+   * Throws NotFoundError if there's no such company in the trash.
+   **/
+
+  static async restore(handle) {
+    const jobsRes = await db.query(
+          `UPDATE jobs AS j
+           SET deleted_at = NULL
+           FROM companies AS c
+           WHERE c.handle = j.company_handle
+             AND j.company_handle = $1
+             AND j.deleted_at = c.deleted_at
+           RETURNING j.id,
+                     j.title,
+                     j.salary_min AS "salaryMin",
+                     j.salary_max AS "salaryMax",
+                     j.currency,
+                     j.pay_period AS "payPeriod",
+                     j.equity,
+                     j.company_handle AS "companyHandle"`,
+        [handle]);
+
+    const result = await db.query(
+          `UPDATE companies
+           SET deleted_at = NULL
+           WHERE handle = $1 AND deleted_at IS NOT NULL
+           RETURNING ${COMPANY_FIELDS}`,
+        [handle]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No deleted company: ${handle}`);
+
+    for (const job of jobsRes.rows.sort((a, b) => a.id - b.id)) {
+      await Audit.record("restore", "job", job.id, null, job);
+    }
+    await Audit.record("restore", "company", handle, null, result.rows[0]);
+
+    return await Company.get(handle);
+  }
+
+  /** Permanently delete companies that have been in the trash for more than
+   * `days` days, along with their jobs; each is logged as purged.
+   *
+   * Returns the number of companies deleted.
+   **/
+
+  static async purge(days) {
+    const result = await db.query(
+          `DELETE
+           FROM companies
+           WHERE deleted_at < NOW() - make_interval(days => $1)
+           RETURNING handle`,
+        [days]);
+
+    for (const { handle } of result.rows) {
+      await Audit.record("purge", "company", handle, null, null);
+    }
+
+    return result.rows.length;
   }
 }
 
@@ -16,6 +16,17 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** What the location fields are when none were given. */
+
+const noLocation = {
+  city: null,
+  region: null,
+  country: null,
+  latitude: null,
+  longitude: null,
+  workplaceType: null,
+};
+
 /************************************** create */
 
 describe("create", function () {
@@ -29,7 +40,7 @@ describe("create", function () {
 
   test("works", async function () {
     let company = await Company.create(newCompany);
-    expect(company).toEqual(newCompany);
+    expect(company).toEqual({ ...newCompany, ...noLocation });
 
     const result = await db.query(
           `SELECT handle, name, description, num_employees, logo_url
@@ -46,6 +57,19 @@ describe("create", function () {
     ]);
   });
 
+  test("works: with a location", async function () {
+    const location = {
+      city: "Denver",
+      region: "CO",
+      country: "US",
+      latitude: 39.74,
+      longitude: -104.99,
+      workplaceType: "hybrid",
+    };
+    let company = await Company.create({ ...newCompany, ...location });
+    expect(company).toEqual({ ...newCompany, ...location });
+  });
+
   test("bad request with dupe", async function () {
     try {
       await Company.create(newCompany);
@@ -169,6 +193,66 @@ describe("findAll", function () {
   });
 });
 
+/************************************** findPage */
+
+describe("findPage", function () {
+  test("works: sorted, limited", async function () {
+    const result = await Company.findPage({ sort: "-numEmployees", limit: 2 });
+    expect(result).toEqual({
+      rows: [
+        {
+          handle: "c3",
+          name: "C3",
+          description: "Desc3",
+          numEmployees: 3,
+          logoUrl: "http://c3.img",
+        },
+        {
+          handle: "c2",
+          name: "C2",
+          description: "Desc2",
+          numEmployees: 2,
+          logoUrl: "http://c2.img",
+        },
+      ],
+      total: 3,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+    });
+  });
+
+  test("works: walking cursors forward and back", async function () {
+    const page1 = await Company.findPage({ limit: 1 });
+    const page2 = await Company.findPage(
+        { limit: 1, cursor: page1.nextCursor });
+    expect(page2.rows.map(c => c.handle)).toEqual(["c2"]);
+    const page3 = await Company.findPage(
+        { limit: 1, cursor: page2.nextCursor });
+    expect(page3.rows.map(c => c.handle)).toEqual(["c3"]);
+    expect(page3.nextCursor).toEqual(null);
+    const back = await Company.findPage(
+        { limit: 1, cursor: page3.prevCursor });
+    expect(back.rows.map(c => c.handle)).toEqual(["c2"]);
+    expect(back.prevCursor).toEqual(expect.any(String));
+  });
+
+  test("works: by page, with filter", async function () {
+    const result = await Company.findPage(
+        { minEmployees: 2, limit: 1, page: 2 });
+    expect(result.rows.map(c => c.handle)).toEqual(["c3"]);
+    expect(result.total).toEqual(2);
+  });
+
+  test("bad request on unknown sort field", async function () {
+    try {
+      await Company.findPage({ sort: "description" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -180,11 +264,16 @@ describe("get", function () {
       description: "Desc1",
       numEmployees: 1,
       logoUrl: "http://c1.img",
+      ...noLocation,
       jobs: [
-        { id: testJobIds[0], title: "Job1", salary: 100, equity: "0.1" },
-        { id: testJobIds[1], title: "Job2", salary: 200, equity: "0.2" },
-        { id: testJobIds[2], title: "Job3", salary: 300, equity: "0" },
-        { id: testJobIds[3], title: "Job4", salary: null, equity: null },
+        { id: testJobIds[0], title: "Job1", salaryMin: 100, salaryMax: null,
+          currency: "USD", payPeriod: "yearly", equity: "0.1" },
+        { id: testJobIds[1], title: "Job2", salaryMin: 200, salaryMax: null,
+          currency: "USD", payPeriod: "yearly", equity: "0.2" },
+        { id: testJobIds[2], title: "Job3", salaryMin: 300, salaryMax: null,
+          currency: "USD", payPeriod: "yearly", equity: "0" },
+        { id: testJobIds[3], title: "Job4", salaryMin: null, salaryMax: null,
+          currency: "USD", payPeriod: "yearly", equity: null },
       ],
     });
   });
@@ -213,6 +302,7 @@ describe("update", function () {
     let company = await Company.update("c1", updateData);
     expect(company).toEqual({
       handle: "c1",
+      ...noLocation,
       ...updateData,
     });
 
@@ -240,6 +330,7 @@ describe("update", function () {
     let company = await Company.update("c1", updateDataSetNulls);
     expect(company).toEqual({
       handle: "c1",
+      ...noLocation,
       ...updateDataSetNulls,
     });
 
@@ -278,11 +369,33 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: moves it and its jobs to the trash", async function () {
     await Company.remove("c1");
     const res = await db.query(
-        "SELECT handle FROM companies WHERE handle='c1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM companies WHERE handle='c1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+
+    const jobs = await db.query(
+        "SELECT id FROM jobs WHERE company_handle='c1' AND deleted_at IS NULL");
+    expect(jobs.rows).toEqual([]);
+
+    try {
+      await Company.get("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    expect((await Company.findAll()).map(c => c.handle)).toEqual(["c2", "c3"]);
+  });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    try {
+      await Company.remove("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
   });
 
   test("not found if no such company", async function () {
@@ -294,3 +407,54 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** findDeleted */
+
+describe("findDeleted", function () {
+  test("works", async function () {
+    await Company.remove("c2");
+    expect(await Company.findDeleted()).toEqual([
+      { handle: "c2", name: "C2", deletedAt: expect.any(Date) },
+    ]);
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("restores the jobs deleted with it, not before it", async function () {
+    await db.query(
+        "UPDATE jobs SET deleted_at = NOW() - INTERVAL '1 day' WHERE id = $1",
+        [testJobIds[0]]);
+    await Company.remove("c1");
+
+    const company = await Company.restore("c1");
+    expect(company.handle).toEqual("c1");
+    expect(company.jobs.map(j => j.id)).toEqual(testJobIds.slice(1));
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await Company.restore("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("deletes companies deleted more than `days` ago", async function () {
+    await Company.remove("c1");
+    await Company.remove("c2");
+    await db.query(
+        "UPDATE companies SET deleted_at = NOW() - INTERVAL '31 days' WHERE handle = 'c1'");
+
+    expect(await Company.purge(30)).toEqual(1);
+
+    const res = await db.query("SELECT handle FROM companies ORDER BY handle");
+    expect(res.rows.map(r => r.handle)).toEqual(["c2", "c3"]);
+  });
+});
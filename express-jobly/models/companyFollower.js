@@ -0,0 +1,165 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { notify } = require("../helpers/notifier");
+const { checkUser } = require("../helpers/checks");
+const Audit = require("./audit");
+
+/** Related functions for company followers: users who follow a company
+ * are told when it posts a new job.
+ *
+ * Posting a job only queues the notifications (see queueNewJob), so a
+ * failing notifier can't fail the post; sendNotifications sends them, from
+ * the same worker as saved search alerts (see searchAlerts.js).
+ */
+
+class CompanyFollower {
+  /** Find the companies user follows, by name.
+   *
+   * Returns [{ handle, name, followedAt }, ...]
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async findForUser(username) {
+    await checkUser(username);
+
+    const result = await db.query(
+          `SELECT c.handle, c.name, f.followed_at AS "followedAt"
+           FROM followed_companies AS f
+             JOIN companies AS c ON c.handle = f.company_handle
+           WHERE f.username = $1 AND c.deleted_at IS NULL
+           ORDER BY c.name`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Make user follow company `handle`; following it again does nothing.
+   * Returns undefined.
+   *
+   * Throws NotFoundError if no such user or company (or it's in the trash).
+   **/
+
+  static async follow(username, handle) {
+    await checkUser(username);
+    const companyCheck = await db.query(
+          `SELECT handle
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`, [handle]);
+    if (!companyCheck.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(
+          `INSERT INTO followed_companies (username, company_handle)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING
+           RETURNING followed_at AS "followedAt"`,
+        [username, handle]);
+
+    if (result.rows[0]) {
+      await Audit.record("create", "company-follower", `${username}/${handle}`,
+          null, { username, handle, ...result.rows[0] });
+    }
+  }
+
+  /** Make user stop following company `handle`; returns undefined.
+   *
+   * Throws NotFoundError if they don't follow it.
+   **/
+
+  static async unfollow(username, handle) {
+    const result = await db.query(
+          `DELETE FROM followed_companies
+           WHERE username = $1 AND company_handle = $2
+           RETURNING followed_at AS "followedAt"`,
+        [username, handle]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`${username} doesn't follow ${handle}`);
+    }
+
+    await Audit.record("remove", "company-follower", `${username}/${handle}`,
+        { username, handle, ...result.rows[0] }, null);
+  }
+
+  /** Queue a notification to everyone following job's company that it's
+   * posted job; sendNotifications sends them. Deleted users are skipped.
+   *
+   * job should be { id, companyHandle }
+   *
+   * Returns the number of notifications queued.
+   **/
+
+  static async queueNewJob(job) {
+    const result = await db.query(
+          `INSERT INTO job_notifications (job_id, username)
+           SELECT $1, f.username
+           FROM followed_companies AS f
+             JOIN users AS u ON u.username = f.username
+           WHERE f.company_handle = $2 AND u.deleted_at IS NULL
+           ON CONFLICT DO NOTHING`,
+        [job.id, job.companyHandle]);
+
+    return result.rowCount;
+  }
+
+  /** Send the queued new-job notifications (see helpers/notifier.js),
+   * deleting each once it's sent. One that fails is left queued, to be
+   * tried again next time. Notifications for users or jobs in the trash, or
+   * jobs no longer published, are dropped.
+   *
+   * Returns { sent, failed }
+   *   where sent is the number of notifications sent, and failed is
+   *   [{ jobId, username, error }, ...], the ones that failed and why
+   **/
+
+  static async sendNotifications() {
+    await db.query(
+          `DELETE FROM job_notifications AS n
+           USING jobs AS j, users AS u
+           WHERE j.id = n.job_id AND u.username = n.username
+             AND (j.status <> 'published' OR j.deleted_at IS NOT NULL
+                  OR u.deleted_at IS NOT NULL)`);
+
+    const result = await db.query(
+          `SELECT n.job_id AS "jobId",
+                  j.title,
+                  c.name AS "companyName",
+                  u.username,
+                  u.email
+           FROM job_notifications AS n
+             JOIN jobs AS j ON j.id = n.job_id
+             JOIN companies AS c ON c.handle = j.company_handle
+             JOIN users AS u ON u.username = n.username
+           ORDER BY n.queued_at, n.job_id, u.username`);
+
+    let sent = 0;
+    const failed = [];
+    for (const { jobId, title, companyName, username, email } of result.rows) {
+      try {
+        await notify({
+          username,
+          email,
+          subject: `${companyName} posted a new job: ${title}`,
+          text: `${companyName}, a company you follow, just posted `
+              + `"${title}" (job ${jobId}).\n`,
+        });
+      } catch (err) {
+        failed.push({ jobId, username, error: err });
+        continue;
+      }
+
+      await db.query(
+            `DELETE FROM job_notifications
+             WHERE job_id = $1 AND username = $2`,
+          [jobId, username]);
+      sent++;
+    }
+
+    return { sent, failed };
+  }
+}
+
+
+module.exports = CompanyFollower;
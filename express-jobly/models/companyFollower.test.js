@@ -0,0 +1,215 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const { setNotifier } = require("../helpers/notifier");
+const CompanyFollower = require("./companyFollower.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(async function () {
+  await commonAfterEach();
+  setNotifier();
+});
+afterAll(commonAfterAll);
+
+/************************************** follow */
+
+describe("follow", function () {
+  test("works", async function () {
+    await CompanyFollower.follow("u1", "c2");
+    const companies = await CompanyFollower.findForUser("u1");
+    expect(companies).toEqual([
+      { handle: "c2", name: "C2", followedAt: expect.any(Date) },
+    ]);
+  });
+
+  test("following again does nothing", async function () {
+    await CompanyFollower.follow("u1", "c2");
+    await CompanyFollower.follow("u1", "c2");
+    const companies = await CompanyFollower.findForUser("u1");
+    expect(companies.length).toEqual(1);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyFollower.follow("u1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if company in the trash", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'");
+    try {
+      await CompanyFollower.follow("u1", "c2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyFollower.follow("nope", "c2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works: by name, leaving out companies in the trash", async function () {
+    await CompanyFollower.follow("u1", "c3");
+    await CompanyFollower.follow("u1", "c1");
+    await CompanyFollower.follow("u1", "c2");
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c2'");
+    const companies = await CompanyFollower.findForUser("u1");
+    expect(companies.map(c => c.handle)).toEqual(["c1", "c3"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyFollower.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unfollow */
+
+describe("unfollow", function () {
+  test("works", async function () {
+    await CompanyFollower.follow("u1", "c2");
+    await CompanyFollower.unfollow("u1", "c2");
+    const companies = await CompanyFollower.findForUser("u1");
+    expect(companies).toEqual([]);
+  });
+
+  test("not found if not following", async function () {
+    try {
+      await CompanyFollower.unfollow("u1", "c2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** queueNewJob */
+
+describe("queueNewJob", function () {
+  test("works, skipping deleted users", async function () {
+    await CompanyFollower.follow("u1", "c1");
+    await CompanyFollower.follow("u2", "c1");
+    await CompanyFollower.follow("u2", "c2");
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u2'");
+
+    const count = await CompanyFollower.queueNewJob(
+        { id: testJobIds[0], companyHandle: "c1" });
+    expect(count).toEqual(1);
+    const queued = await db.query(
+        "SELECT job_id AS \"jobId\", username FROM job_notifications");
+    expect(queued.rows).toEqual([{ jobId: testJobIds[0], username: "u1" }]);
+  });
+});
+
+/************************************** sendNotifications */
+
+describe("sendNotifications", function () {
+  async function queue(jobId = testJobIds[0]) {
+    await CompanyFollower.queueNewJob({ id: jobId, companyHandle: "c1" });
+  }
+
+  beforeEach(async function () {
+    await CompanyFollower.follow("u1", "c1");
+    await CompanyFollower.follow("u2", "c1");
+  });
+
+  test("works, once", async function () {
+    const sent = [];
+    setNotifier(async notification => sent.push(notification));
+    await queue();
+
+    expect(await CompanyFollower.sendNotifications())
+        .toEqual({ sent: 2, failed: [] });
+    expect(sent).toEqual([
+      {
+        username: "u1",
+        email: "u1@email.com",
+        subject: "C1 posted a new job: Job1",
+        text: expect.stringContaining(`"Job1" (job ${testJobIds[0]})`),
+      },
+      expect.objectContaining({ username: "u2", email: "u2@email.com" }),
+    ]);
+
+    expect(await CompanyFollower.sendNotifications())
+        .toEqual({ sent: 0, failed: [] });
+    expect(sent.length).toEqual(2);
+  });
+
+  test("a failed one is kept for next time, without stopping the others",
+      async function () {
+        const sent = [];
+        setNotifier(async notification => {
+          if (notification.username === "u1") throw new Error("transport down");
+          sent.push(notification);
+        });
+        await queue();
+
+        expect(await CompanyFollower.sendNotifications()).toEqual({
+          sent: 1,
+          failed: [{
+            jobId: testJobIds[0],
+            username: "u1",
+            error: new Error("transport down"),
+          }],
+        });
+        expect(sent.map(n => n.username)).toEqual(["u2"]);
+
+        setNotifier(async notification => sent.push(notification));
+        expect(await CompanyFollower.sendNotifications())
+            .toEqual({ sent: 1, failed: [] });
+        expect(sent.map(n => n.username)).toEqual(["u2", "u1"]);
+      });
+
+  test("drops them for deleted users and jobs no longer listed", async function () {
+    const sent = [];
+    setNotifier(async notification => sent.push(notification));
+    await queue(testJobIds[0]);
+    await queue(testJobIds[1]);
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u2'");
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1",
+        [testJobIds[1]]);
+
+    expect(await CompanyFollower.sendNotifications())
+        .toEqual({ sent: 1, failed: [] });
+    expect(sent.map(n => n.subject)).toEqual(["C1 posted a new job: Job1"]);
+    const queued = await db.query("SELECT * FROM job_notifications");
+    expect(queued.rows).toEqual([]);
+  });
+
+  test("emails by default", async function () {
+    await CompanyFollower.unfollow("u2", "c1");
+    await queue();
+    await CompanyFollower.sendNotifications();
+    const mail = await db.query(
+        "SELECT to_address AS \"to\", subject FROM mail_outbox");
+    expect(mail.rows).toEqual([
+      { to: "u1@email.com", subject: "C1 posted a new job: Job1" },
+    ]);
+  });
+});
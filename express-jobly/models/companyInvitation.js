@@ -0,0 +1,238 @@
+"use strict";
+
+const db = require("../db");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const {
+  COMPANY_INVITATION_URL,
+  COMPANY_INVITATION_TTL_DAYS,
+} = require("../config");
+const CompanyMember = require("./companyMember");
+const Audit = require("./audit");
+
+/** Find a pending invitation by its token; returns { id, companyHandle,
+ * email, role }.
+ *
+ * Throws BadRequestError if it's unknown, answered or expired. */
+
+async function getPending(token) {
+  const result = await db.query(
+        `SELECT id,
+                company_handle AS "companyHandle",
+                email,
+                role
+         FROM company_invitations
+         WHERE token_hash = $1
+           AND accepted_at IS NULL
+           AND declined_at IS NULL
+           AND expires_at > NOW()`,
+      [hashToken(token)]);
+  const invitation = result.rows[0];
+
+  if (!invitation) throw new BadRequestError("Invalid or expired invitation");
+
+  return invitation;
+}
+
+/** Related functions for inviting people to become company members.
+ *
+ * An invitation is emailed to an address with a single-use token. Whoever
+ * has that address (and has verified it) can accept it; anyone with the
+ * token can decline it. Only the token's hash is stored.
+ */
+
+class CompanyInvitation {
+  /** Invite `email` to join company `handle` as `role`, on behalf of
+   * invitedBy (a username, or null).
+   *
+   * Returns { id, companyHandle, email, role, invitedBy, createdAt,
+   *           expiresAt }
+   *
+   * Throws NotFoundError if no such company; BadRequestError if the role is
+   * unknown.
+   **/
+
+  static async create(handle, { email, role }, invitedBy) {
+    if (!CompanyMember.ROLES.includes(role)) {
+      throw new BadRequestError(`Unknown role: ${role}`);
+    }
+
+    const companyRes = await db.query(
+          `SELECT name
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`, [handle]);
+    const company = companyRes.rows[0];
+
+    if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+    const token = createRandomToken();
+
+    const result = await db.query(
+          `INSERT INTO company_invitations
+           (token_hash, company_handle, email, role, invited_by, expires_at)
+           VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+           RETURNING id,
+                     company_handle AS "companyHandle",
+                     email,
+                     role,
+                     invited_by AS "invitedBy",
+                     created_at AS "createdAt",
+                     expires_at AS "expiresAt"`,
+        [hashToken(token), handle, email, role, invitedBy,
+         COMPANY_INVITATION_TTL_DAYS]);
+    const invitation = result.rows[0];
+
+    await Audit.record("create", "invitation", invitation.id, null, invitation);
+
+    await sendMail({
+      to: email,
+      subject: `Join ${company.name} on Jobly`,
+      text: `You've been invited to help run ${company.name}'s jobs on Jobly, `
+          + `as ${role === "owner" ? "an owner" : "a recruiter"}.\n\n`
+          + `To accept or decline, go to:\n\n`
+          + `${COMPANY_INVITATION_URL}?token=${token}\n\n`
+          + `The link works within ${COMPANY_INVITATION_TTL_DAYS} days.\n`,
+    });
+
+    return invitation;
+  }
+
+  /** Find a company's invitations that are waiting for an answer, newest
+   * first.
+   *
+   * Returns [{ id, email, role, invitedBy, createdAt, expiresAt }, ...]
+   **/
+
+  static async findPending(handle) {
+    const result = await db.query(
+          `SELECT id,
+                  email,
+                  role,
+                  invited_by AS "invitedBy",
+                  created_at AS "createdAt",
+                  expires_at AS "expiresAt"
+           FROM company_invitations
+           WHERE company_handle = $1
+             AND accepted_at IS NULL
+             AND declined_at IS NULL
+             AND expires_at > NOW()
+           ORDER BY created_at DESC, id DESC`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Accept an invitation as user, making them a member.
+   *
+   * Returns { companyHandle, role }
+   *
+   * Throws BadRequestError if the invitation is unknown, answered or
+   * expired; ForbiddenError unless it was sent to user's email address and
+   * they've verified it.
+   **/
+
+  static async accept(token, username) {
+    const invitation = await getPending(token);
+
+    const userRes = await db.query(
+          `SELECT email, email_verified_at IS NOT NULL AS "isVerified"
+           FROM users
+           WHERE username = $1`, [username]);
+    const user = userRes.rows[0];
+
+    if (!user || user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+      throw new ForbiddenError("This invitation was sent to a different email address");
+    }
+    if (!user.isVerified) {
+      throw new ForbiddenError("Verify your email address before accepting invitations");
+    }
+
+    // only if it's still pending, so an invitation answered meanwhile (say,
+    // accepted twice at once) can't be accepted again
+    const result = await db.query(
+          `UPDATE company_invitations
+           SET accepted_at = NOW(), accepted_by = $2
+           WHERE id = $1
+             AND accepted_at IS NULL
+             AND declined_at IS NULL
+             AND expires_at > NOW()
+           RETURNING accepted_at AS "acceptedAt", accepted_by AS "acceptedBy"`,
+        [invitation.id, username]);
+
+    if (!result.rows[0]) {
+      throw new BadRequestError("Invalid or expired invitation");
+    }
+
+    await Audit.record("update", "invitation", invitation.id,
+        { acceptedAt: null, acceptedBy: null }, result.rows[0]);
+
+    await CompanyMember.add(invitation.companyHandle, username, invitation.role);
+
+    return { companyHandle: invitation.companyHandle, role: invitation.role };
+  }
+
+  /** Decline an invitation.
+   *
+   * Returns { companyHandle }
+   *
+   * Throws BadRequestError if the invitation is unknown, answered or expired.
+   **/
+
+  static async decline(token) {
+    const invitation = await getPending(token);
+
+    const result = await db.query(
+          `UPDATE company_invitations
+           SET declined_at = NOW()
+           WHERE id = $1
+             AND accepted_at IS NULL
+             AND declined_at IS NULL
+             AND expires_at > NOW()
+           RETURNING declined_at AS "declinedAt"`,
+        [invitation.id]);
+
+    if (!result.rows[0]) {
+      throw new BadRequestError("Invalid or expired invitation");
+    }
+
+    await Audit.record("update", "invitation", invitation.id,
+        { declinedAt: null }, result.rows[0]);
+
+    return { companyHandle: invitation.companyHandle };
+  }
+
+  /** Withdraw a pending invitation to company `handle`; returns undefined.
+   *
+   * Throws NotFoundError if there's no such pending invitation.
+   **/
+
+  static async revoke(handle, id) {
+    const result = await db.query(
+          `DELETE FROM company_invitations
+           WHERE id = $1
+             AND company_handle = $2
+             AND accepted_at IS NULL
+             AND declined_at IS NULL
+           RETURNING id,
+                     company_handle AS "companyHandle",
+                     email,
+                     role,
+                     invited_by AS "invitedBy",
+                     created_at AS "createdAt",
+                     expires_at AS "expiresAt"`,
+        [id, handle]);
+    const invitation = result.rows[0];
+
+    if (!invitation) throw new NotFoundError(`No invitation: ${id}`);
+
+    await Audit.record("remove", "invitation", id, invitation, null);
+  }
+}
+
+
+module.exports = CompanyInvitation;
@@ -0,0 +1,242 @@
+"use strict";
+
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../expressError");
+const db = require("../db.js");
+const CompanyInvitation = require("./companyInvitation.js");
+const CompanyMember = require("./companyMember.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Invite u1 to c1 and return the token from the email sent. */
+
+async function invite(role = "recruiter", email = "u1@email.com") {
+  await CompanyInvitation.create("c1", { email, role }, "u2");
+  const res = await db.query(
+      "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+  return res.rows[0].body.match(/token=([\w-]+)/)[1];
+}
+
+async function verifyU1() {
+  await db.query(
+      "UPDATE users SET email_verified_at = NOW() WHERE username = 'u1'");
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const invitation = await CompanyInvitation.create(
+        "c1", { email: "new@email.com", role: "owner" }, "u2");
+    expect(invitation).toEqual({
+      id: expect.any(Number),
+      companyHandle: "c1",
+      email: "new@email.com",
+      role: "owner",
+      invitedBy: "u2",
+      createdAt: expect.any(Date),
+      expiresAt: expect.any(Date),
+    });
+
+    const mail = await db.query("SELECT to_address, subject, body FROM mail_outbox");
+    expect(mail.rows).toEqual([{
+      to_address: "new@email.com",
+      subject: "Join C1 on Jobly",
+      body: expect.stringContaining("token="),
+    }]);
+
+    const stored = await db.query("SELECT token_hash FROM company_invitations");
+    expect(mail.rows[0].body).not.toContain(stored.rows[0].token_hash);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyInvitation.create("nope", { email: "new@email.com", role: "owner" }, "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request with unknown role", async function () {
+    try {
+      await CompanyInvitation.create("c1", { email: "new@email.com", role: "boss" }, "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findPending */
+
+describe("findPending", function () {
+  test("works", async function () {
+    const token = await invite();
+    await invite("owner", "other@email.com");
+    await CompanyInvitation.decline(token);
+
+    const invitations = await CompanyInvitation.findPending("c1");
+    expect(invitations).toEqual([{
+      id: expect.any(Number),
+      email: "other@email.com",
+      role: "owner",
+      invitedBy: "u2",
+      createdAt: expect.any(Date),
+      expiresAt: expect.any(Date),
+    }]);
+  });
+});
+
+/************************************** accept */
+
+describe("accept", function () {
+  test("works", async function () {
+    await verifyU1();
+    const token = await invite();
+    expect(await CompanyInvitation.accept(token, "u1")).toEqual(
+        { companyHandle: "c1", role: "recruiter" });
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("recruiter");
+  });
+
+  test("works: email compared ignoring case", async function () {
+    await verifyU1();
+    const token = await invite("owner", "U1@Email.com");
+    await CompanyInvitation.accept(token, "u1");
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("owner");
+  });
+
+  test("bad request if used twice", async function () {
+    await verifyU1();
+    const token = await invite();
+    await CompanyInvitation.accept(token, "u1");
+    try {
+      await CompanyInvitation.accept(token, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("only one of two accepts at once happens", async function () {
+    await verifyU1();
+    const token = await invite();
+
+    const results = await Promise.allSettled([
+      CompanyInvitation.accept(token, "u1"),
+      CompanyInvitation.accept(token, "u1"),
+    ]);
+    expect(results.map(r => r.status)).toEqual(["fulfilled", "rejected"]);
+    expect(results[1].reason instanceof BadRequestError).toBeTruthy();
+
+    const audit = await db.query(
+        "SELECT * FROM audit_log WHERE entity_type = 'invitation' AND action = 'update'");
+    expect(audit.rows.length).toEqual(1);
+  });
+
+  test("bad request if expired", async function () {
+    await verifyU1();
+    const token = await invite();
+    await db.query("UPDATE company_invitations SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await CompanyInvitation.accept(token, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("forbidden for another address", async function () {
+    await db.query("UPDATE users SET email_verified_at = NOW()");
+    const token = await invite();
+    try {
+      await CompanyInvitation.accept(token, "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("forbidden if address not verified", async function () {
+    const token = await invite();
+    try {
+      await CompanyInvitation.accept(token, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** decline */
+
+describe("decline", function () {
+  test("works", async function () {
+    await verifyU1();
+    const token = await invite();
+    expect(await CompanyInvitation.decline(token)).toEqual({ companyHandle: "c1" });
+
+    try {
+      await CompanyInvitation.accept(token, "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("only one of an accept and a decline at once happens", async function () {
+    await verifyU1();
+    const token = await invite();
+
+    const results = await Promise.allSettled([
+      CompanyInvitation.accept(token, "u1"),
+      CompanyInvitation.decline(token),
+    ]);
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    const failed = results.find(r => r.status === "rejected");
+    expect(failed.reason instanceof BadRequestError).toBeTruthy();
+  });
+
+  test("bad request with unknown token", async function () {
+    try {
+      await CompanyInvitation.decline("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { id } = await CompanyInvitation.create(
+        "c1", { email: "new@email.com", role: "owner" }, "u2");
+    await CompanyInvitation.revoke("c1", id);
+    expect(await CompanyInvitation.findPending("c1")).toEqual([]);
+  });
+
+  test("not found for another company's invitation", async function () {
+    const { id } = await CompanyInvitation.create(
+        "c1", { email: "new@email.com", role: "owner" }, "u2");
+    try {
+      await CompanyInvitation.revoke("c2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,173 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Audit = require("./audit");
+
+/** Roles a member can have in a company. Both manage the company's jobs;
+ * owners also manage its members. */
+
+const ROLES = ["owner", "recruiter"];
+
+/** Throw BadRequestError unless company `handle` has an owner other than
+ * username (users in the trash don't count): every company keeps at least
+ * one. */
+
+async function checkOtherOwner(handle, username) {
+  const result = await db.query(
+        `SELECT COUNT(*)::integer AS count
+         FROM company_members AS m
+           JOIN users AS u ON u.username = m.username
+         WHERE m.company_handle = $1
+           AND m.username <> $2
+           AND m.role = 'owner'
+           AND u.deleted_at IS NULL`,
+      [handle, username]);
+
+  if (result.rows[0].count === 0) {
+    throw new BadRequestError(`${username} is ${handle}'s last owner`);
+  }
+}
+
+/** Related functions for companies' members: the users who run a company's
+ * jobs without being admins. People join by invitation (see
+ * CompanyInvitation). */
+
+class CompanyMember {
+  /** Find a company's members, owners first.
+   *
+   * Returns [{ username, firstName, lastName, email, role, addedAt }, ...]
+   *
+   * Throws NotFoundError if no such company.
+   **/
+
+  static async findForCompany(handle) {
+    const companyCheck = await db.query(
+          `SELECT handle
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`, [handle]);
+    if (!companyCheck.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  m.role,
+                  m.added_at AS "addedAt"
+           FROM company_members AS m
+             JOIN users AS u ON u.username = m.username
+           WHERE m.company_handle = $1 AND u.deleted_at IS NULL
+           ORDER BY m.role = 'owner' DESC, u.username`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Find the companies user is a member of.
+   *
+   * Returns [{ handle, name, role }, ...]
+   **/
+
+  static async findForUser(username) {
+    const result = await db.query(
+          `SELECT c.handle, c.name, m.role
+           FROM company_members AS m
+             JOIN companies AS c ON c.handle = m.company_handle
+           WHERE m.username = $1 AND c.deleted_at IS NULL
+           ORDER BY c.name`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Find user's role in company `handle`: "owner", "recruiter", or null if
+   * they aren't a member. */
+
+  static async getRole(handle, username) {
+    const result = await db.query(
+          `SELECT role
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  /** Find user's role in the company that posted job `jobId`; null if
+   * they aren't a member, or there's no such job. */
+
+  static async getRoleForJob(jobId, username) {
+    const result = await db.query(
+          `SELECT m.role
+           FROM jobs AS j
+             JOIN company_members AS m ON m.company_handle = j.company_handle
+           WHERE j.id = $1 AND m.username = $2`,
+        [jobId, username]);
+
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  /** Make user a member of company `handle` with `role`, or change their
+   * role if they already are one; returns undefined.
+   *
+   * Throws BadRequestError if the role is unknown, or it would leave the
+   * company without an owner.
+   **/
+
+  static async add(handle, username, role) {
+    if (!ROLES.includes(role)) throw new BadRequestError(`Unknown role: ${role}`);
+
+    const oldRole = await CompanyMember.getRole(handle, username);
+    if (oldRole === "owner" && role !== "owner") {
+      await checkOtherOwner(handle, username);
+    }
+
+    await db.query(
+          `INSERT INTO company_members (company_handle, username, role)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (company_handle, username) DO UPDATE
+           SET role = $3`,
+        [handle, username, role]);
+
+    const entityId = `${handle}/${username}`;
+    if (oldRole === null) {
+      await Audit.record("create", "company-member", entityId,
+          null, { companyHandle: handle, username, role });
+    } else {
+      await Audit.record("update", "company-member", entityId,
+          { role: oldRole }, { role });
+    }
+  }
+
+  /** Remove user from company `handle`; returns undefined.
+   *
+   * Throws NotFoundError if they aren't a member; BadRequestError if they're
+   * its last owner.
+   **/
+
+  static async remove(handle, username) {
+    if (await CompanyMember.getRole(handle, username) === "owner") {
+      await checkOtherOwner(handle, username);
+    }
+
+    const result = await db.query(
+          `DELETE FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING role`,
+        [handle, username]);
+    const member = result.rows[0];
+
+    if (!member) {
+      throw new NotFoundError(`${username} isn't a member of ${handle}`);
+    }
+
+    await Audit.record("remove", "company-member", `${handle}/${username}`,
+        { companyHandle: handle, username, role: member.role }, null);
+  }
+}
+
+CompanyMember.ROLES = ROLES;
+
+
+module.exports = CompanyMember;
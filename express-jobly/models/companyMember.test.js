@@ -0,0 +1,159 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const CompanyMember = require("./companyMember.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("recruiter");
+  });
+
+  test("changes an existing member's role", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    await CompanyMember.add("c1", "u1", "owner");
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("owner");
+  });
+
+  test("bad request with unknown role", async function () {
+    try {
+      await CompanyMember.add("c1", "u1", "boss");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request demoting the last owner", async function () {
+    await CompanyMember.add("c1", "u1", "owner");
+    try {
+      await CompanyMember.add("c1", "u1", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+
+    await CompanyMember.add("c1", "u2", "owner");
+    await CompanyMember.add("c1", "u1", "recruiter");
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("recruiter");
+  });
+});
+
+/************************************** findForCompany */
+
+describe("findForCompany", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    await CompanyMember.add("c1", "u2", "owner");
+    expect(await CompanyMember.findForCompany("c1")).toEqual([
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        role: "owner",
+        addedAt: expect.any(Date),
+      },
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        role: "recruiter",
+        addedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.findForCompany("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    await CompanyMember.add("c2", "u1", "recruiter");
+    await CompanyMember.add("c1", "u1", "owner");
+    expect(await CompanyMember.findForUser("u1")).toEqual([
+      { handle: "c1", name: "C1", role: "owner" },
+      { handle: "c2", name: "C2", role: "recruiter" },
+    ]);
+    expect(await CompanyMember.findForUser("u2")).toEqual([]);
+  });
+});
+
+/************************************** getRole, getRoleForJob */
+
+describe("getRole", function () {
+  test("null if not a member", async function () {
+    await CompanyMember.add("c2", "u1", "recruiter");
+    expect(await CompanyMember.getRole("c1", "u1")).toBeNull();
+  });
+});
+
+describe("getRoleForJob", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    expect(await CompanyMember.getRoleForJob(testJobIds[0], "u1")).toEqual("recruiter");
+  });
+
+  test("null for another company's member or no such job", async function () {
+    await CompanyMember.add("c2", "u1", "owner");
+    expect(await CompanyMember.getRoleForJob(testJobIds[0], "u1")).toBeNull();
+    expect(await CompanyMember.getRoleForJob(0, "u1")).toBeNull();
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1", "recruiter");
+    await CompanyMember.remove("c1", "u1");
+    expect(await CompanyMember.getRole("c1", "u1")).toBeNull();
+  });
+
+  test("not found if not a member", async function () {
+    try {
+      await CompanyMember.remove("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request removing the last owner", async function () {
+    await CompanyMember.add("c1", "u1", "owner");
+    await CompanyMember.add("c1", "u2", "owner");
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u2'");
+    try {
+      await CompanyMember.remove("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("owner");
+  });
+});
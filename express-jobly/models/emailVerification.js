@@ -0,0 +1,113 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const {
+  EMAIL_VERIFICATION_URL,
+  EMAIL_VERIFICATION_TTL_HOURS,
+} = require("../config");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * Accounts start unverified. A token is emailed to the address; using it
+ * sets users.email_verified_at. Tokens are single-use, expire, and only
+ * verify the address they were sent to. Only their hashes are stored.
+ */
+
+class EmailVerification {
+  /** Email a verification link to user's address; returns undefined.
+   *
+   * Does nothing if the address is already verified.
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async request(username) {
+    const result = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  email,
+                  email_verified_at AS "emailVerifiedAt"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerifiedAt) return;
+
+    const token = createRandomToken();
+
+    await db.query(
+          `INSERT INTO email_verification_tokens
+           (token_hash, username, email, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+        [hashToken(token), username, user.email, EMAIL_VERIFICATION_TTL_HOURS]);
+
+    await sendMail({
+      to: user.email,
+      subject: "Verify your Jobly email address",
+      text: `Hi ${user.firstName},\n\n`
+          + `To finish setting up ${user.username}, confirm this is your `
+          + `email address by going to:\n\n`
+          + `${EMAIL_VERIFICATION_URL}?token=${token}\n\n`
+          + `The link works within ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n`,
+    });
+  }
+
+  /** Verify the address a token was sent to.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, used or expired, or the
+   * user's address has changed since it was sent.
+   **/
+
+  static async confirm(token) {
+    const result = await db.query(
+          `UPDATE email_verification_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+           RETURNING username, email`,
+        [hashToken(token)]);
+    const found = result.rows[0];
+
+    if (!found) throw new BadRequestError("Invalid or expired verification token");
+
+    const verified = await db.query(
+          `UPDATE users
+           SET email_verified_at = COALESCE(email_verified_at, NOW())
+           WHERE username = $1 AND email = $2
+           RETURNING username`,
+        [found.username, found.email]);
+
+    if (!verified.rows[0]) {
+      throw new BadRequestError("Email address has changed; verify the new one");
+    }
+
+    return { username: found.username };
+  }
+
+  /** Has user verified their current email address? Returns true/false.
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async isVerified(username) {
+    const result = await db.query(
+          `SELECT email_verified_at IS NOT NULL AS "isVerified"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.isVerified;
+  }
+}
+
+
+module.exports = EmailVerification;
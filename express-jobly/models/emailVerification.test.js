@@ -0,0 +1,126 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Request verification for u1 and return the token from the email sent. */
+
+async function requestToken() {
+  await EmailVerification.request("u1");
+  const res = await db.query(
+      "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+  return res.rows[0].body.match(/token=([\w-]+)/)[1];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works", async function () {
+    await EmailVerification.request("u1");
+    const mail = await db.query("SELECT to_address, body FROM mail_outbox");
+    expect(mail.rows).toEqual([
+      { to_address: "u1@email.com", body: expect.stringContaining("token=") },
+    ]);
+  });
+
+  test("does nothing if already verified", async function () {
+    await EmailVerification.confirm(await requestToken());
+    await db.query("DELETE FROM mail_outbox");
+    await EmailVerification.request("u1");
+    const mail = await db.query("SELECT id FROM mail_outbox");
+    expect(mail.rows).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.request("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const token = await requestToken();
+    expect(await EmailVerification.isVerified("u1")).toEqual(false);
+    expect(await EmailVerification.confirm(token)).toEqual({ username: "u1" });
+    expect(await EmailVerification.isVerified("u1")).toEqual(true);
+  });
+
+  test("bad request if used twice", async function () {
+    const token = await requestToken();
+    await EmailVerification.confirm(token);
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const token = await requestToken();
+    await db.query(
+        "UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if email changed since", async function () {
+    const token = await requestToken();
+    await User.update("u1", { email: "new@email.com" });
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await EmailVerification.isVerified("u1")).toEqual(false);
+  });
+});
+
+/************************************** isVerified */
+
+describe("isVerified", function () {
+  test("changing email unverifies", async function () {
+    await EmailVerification.confirm(await requestToken());
+    await User.update("u1", { email: "new@email.com" });
+    expect(await EmailVerification.isVerified("u1")).toEqual(false);
+  });
+
+  test("keeping the same email doesn't", async function () {
+    await EmailVerification.confirm(await requestToken());
+    await User.update("u1", { email: "u1@email.com" });
+    expect(await EmailVerification.isVerified("u1")).toEqual(true);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.isVerified("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
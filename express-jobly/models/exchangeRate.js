@@ -0,0 +1,114 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { BASE_CURRENCY } = require("../config");
+const Audit = require("./audit");
+
+/** Related functions for exchange rates, which convert salaries to
+ * BASE_CURRENCY for comparison.
+ *
+ * A rate is what one unit of a currency is worth in some reference
+ * currency; only the ratio of two rates is used, so any reference will do
+ * as long as all rates share it.
+ */
+
+class ExchangeRate {
+  /** Find all rates, by currency.
+   *
+   * Returns [{ currency, rate, updatedAt }, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT currency,
+                  rate::float AS rate,
+                  updated_at AS "updatedAt"
+           FROM exchange_rates
+           ORDER BY currency`);
+
+    return result.rows;
+  }
+
+  /** Can salaries in currency be converted to BASE_CURRENCY? Returns
+   * true/false. */
+
+  static async isKnown(currency) {
+    if (currency === BASE_CURRENCY) return true;
+
+    // both rates are needed to convert
+    const result = await db.query(
+          `SELECT COUNT(*)::integer AS count
+           FROM exchange_rates
+           WHERE currency = ANY($1)`,
+        [[currency, BASE_CURRENCY]]);
+
+    return result.rows[0].count === 2;
+  }
+
+  /** Set the rate for currency, adding it if it's new.
+   *
+   * Returns { currency, rate, updatedAt }
+   **/
+
+  static async set(currency, rate) {
+    const oldRes = await db.query(
+          `SELECT rate::float AS rate
+           FROM exchange_rates
+           WHERE currency = $1`, [currency]);
+
+    const result = await db.query(
+          `INSERT INTO exchange_rates (currency, rate)
+           VALUES ($1, $2)
+           ON CONFLICT (currency) DO UPDATE
+           SET rate = $2, updated_at = NOW()
+           RETURNING currency, rate::float AS rate, updated_at AS "updatedAt"`,
+        [currency, rate]);
+    const exchangeRate = result.rows[0];
+
+    if (oldRes.rows[0]) {
+      await Audit.record("update", "exchange-rate", currency,
+          oldRes.rows[0], { rate: exchangeRate.rate });
+    } else {
+      await Audit.record("create", "exchange-rate", currency,
+          null, exchangeRate);
+    }
+
+    return exchangeRate;
+  }
+
+  /** Remove the rate for currency; returns undefined.
+   *
+   * Throws NotFoundError if there's no such rate; BadRequestError if it's
+   * BASE_CURRENCY's (which every conversion needs), or jobs are paid in
+   * that currency.
+   **/
+
+  static async remove(currency) {
+    if (currency === BASE_CURRENCY) {
+      throw new BadRequestError(`${currency} is the base currency`);
+    }
+
+    const inUse = await db.query(
+          `SELECT id
+           FROM jobs
+           WHERE currency = $1
+           LIMIT 1`, [currency]);
+    if (inUse.rows[0]) {
+      throw new BadRequestError(`Jobs are paid in ${currency}`);
+    }
+
+    const result = await db.query(
+          `DELETE FROM exchange_rates
+           WHERE currency = $1
+           RETURNING currency, rate::float AS rate`, [currency]);
+    const exchangeRate = result.rows[0];
+
+    if (!exchangeRate) throw new NotFoundError(`No exchange rate: ${currency}`);
+
+    await Audit.record("remove", "exchange-rate", currency, exchangeRate, null);
+  }
+}
+
+
+module.exports = ExchangeRate;
@@ -0,0 +1,98 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const ExchangeRate = require("./exchangeRate.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    expect(await ExchangeRate.findAll()).toEqual([
+      { currency: "EUR", rate: 1.1, updatedAt: expect.any(Date) },
+      { currency: "USD", rate: 1, updatedAt: expect.any(Date) },
+    ]);
+  });
+});
+
+/************************************** isKnown */
+
+describe("isKnown", function () {
+  test("works", async function () {
+    expect(await ExchangeRate.isKnown("USD")).toEqual(true);
+    expect(await ExchangeRate.isKnown("EUR")).toEqual(true);
+    expect(await ExchangeRate.isKnown("GBP")).toEqual(false);
+  });
+
+  test("needs the base currency's rate too", async function () {
+    await db.query("DELETE FROM exchange_rates WHERE currency = 'USD'");
+    expect(await ExchangeRate.isKnown("USD")).toEqual(true);
+    expect(await ExchangeRate.isKnown("EUR")).toEqual(false);
+  });
+});
+
+/************************************** set */
+
+describe("set", function () {
+  test("works: new currency", async function () {
+    const rate = await ExchangeRate.set("GBP", 1.25);
+    expect(rate).toEqual(
+        { currency: "GBP", rate: 1.25, updatedAt: expect.any(Date) });
+    expect(await ExchangeRate.isKnown("GBP")).toEqual(true);
+  });
+
+  test("works: existing currency", async function () {
+    await ExchangeRate.set("EUR", 1.05);
+    const rates = await ExchangeRate.findAll();
+    expect(rates[0].rate).toEqual(1.05);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await ExchangeRate.remove("EUR");
+    expect(await ExchangeRate.isKnown("EUR")).toEqual(false);
+  });
+
+  test("not found if no such rate", async function () {
+    try {
+      await ExchangeRate.remove("GBP");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request for the base currency", async function () {
+    try {
+      await ExchangeRate.remove("USD");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await ExchangeRate.isKnown("EUR")).toEqual(true);
+  });
+
+  test("bad request if jobs are paid in it", async function () {
+    await db.query("UPDATE jobs SET currency = 'EUR'");
+    try {
+      await ExchangeRate.remove("EUR");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -7,26 +7,26 @@ Methods
 static async create(data)
 
 Purpose: Creates a new job posting in the database.
-Parameters: data object containing title, salary, equity, companyHandle.
-Returns: Job object containing id, title, salary, equity, companyHandle.
+Parameters: data object containing title, salaryMin, salaryMax, currency, payPeriod, equity, companyHandle.
+Returns: Job object containing id, title, salaryMin, salaryMax, currency, payPeriod, equity, companyHandle.
 Usage: Used to add a new job posting to the database.
 static async findAll({ minSalary, hasEquity, title } = {})
 
 Purpose: Finds all jobs, with optional filtering based on salary, equity, and title.
 Parameters: An object with optional minSalary, hasEquity, and title fields.
-Returns: An array of job objects, each containing id, title, salary, equity, companyHandle, companyName.
+Returns: An array of job objects, each containing id, title, salaryMin, salaryMax, currency, payPeriod, equity, companyHandle, companyName.
 Usage: Used to retrieve a list of jobs, optionally filtered by the provided criteria.
 static async get(id)
 
 Purpose: Retrieves detailed data about a specific job.
 Parameters: id of the job.
-Returns: Job object containing id, title, salary, equity, and detailed company information.
+Returns: Job object containing id, title, salaryMin, salaryMax, currency, payPeriod, equity, and detailed company information.
 Throws: NotFoundError if the job is not found.
 Usage: Used to fetch detailed information about a particular job, including the associated company's details.
 static async update(id, data)
 
 Purpose: Updates data for an existing job posting.
-Parameters: id of the job to update, data object containing updatable fields title, salary, equity.
+Parameters: id of the job to update, data object containing updatable fields title, salaryMin, salaryMax, currency, payPeriod, equity.
 Returns: Updated job object.
 Throws: NotFoundError if the job is not found.
 Usage: Used for making updates to existing job postings, supporting partial updates.
@@ -52,8 +52,338 @@ This documentation provides a comprehensive overview of the Job class, detailing
 "use strict";
 
 const db = require("../db");
-const { NotFoundError} = require("../expressError");
+const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { DEFAULT_LIMIT, parseSort, paginate } = require("../helpers/pagination");
+const { BASE_CURRENCY } = require("../config");
+const Audit = require("./audit");
+const ExchangeRate = require("./exchangeRate");
+const Skill = require("./skill");
+const CompanyFollower = require("./companyFollower");
+
+/** Fields jobs can be sorted by, with their SQL and value types. */
+
+const SORTABLE = {
+  id: { col: "j.id", type: "number" },
+  title: { col: "j.title", type: "string" },
+  annualSalary: {
+    col: "ROUND(j.salary_min * pay.factor)::integer",
+    type: "number",
+  },
+  equity: { col: "j.equity", type: "string" },
+  companyHandle: { col: "j.company_handle", type: "string" },
+  companyName: { col: "c.name", type: "string" },
+};
+
+/** A job's columns, as returned by create, get, update and the rest. */
+
+const JOB_FIELDS = `id,
+                    title,
+                    salary_min AS "salaryMin",
+                    salary_max AS "salaryMax",
+                    currency,
+                    pay_period AS "payPeriod",
+                    equity,
+                    company_handle AS "companyHandle",
+                    status,
+                    expires_at AS "expiresAt",
+                    city,
+                    region,
+                    country,
+                    latitude,
+                    longitude,
+                    workplace_type AS "workplaceType"`;
+
+/** Pay periods, and working hours in a year for annualizing hourly pay. */
+
+const PAY_PERIODS = ["hourly", "monthly", "yearly"];
+const HOURS_PER_YEAR = 2080;
+
+/** The jobs (as j) that findPage and findFacets search, with their
+ * companies (as c) and pay.factor, which turns a job's salaries into yearly
+ * amounts in BASE_CURRENCY. That's $1 in queries using this (see
+ * sqlForSearchFilters). pay.factor is NULL for jobs paid in a currency
+ * without an exchange rate. */
+
+const JOBS_FROM = `FROM jobs AS j
+                     LEFT JOIN companies AS c ON c.handle = j.company_handle
+                     CROSS JOIN LATERAL (
+                       SELECT CASE j.pay_period
+                                WHEN 'hourly' THEN ${HOURS_PER_YEAR}
+                                WHEN 'monthly' THEN 12
+                                ELSE 1
+                              END
+                              * CASE WHEN j.currency = $1 THEN 1
+                                  ELSE (SELECT rate
+                                        FROM exchange_rates
+                                        WHERE currency = j.currency)
+                                       / (SELECT rate
+                                          FROM exchange_rates
+                                          WHERE currency = $1)
+                                END AS factor) AS pay`;
+
+/** Every status a job can have. Only published jobs are listed and take
+ * applications; closed jobs can be published again, filled jobs can't. */
+
+const STATUSES = ["draft", "published", "closed", "filled"];
+
+/** Allowed moves from each status. */
+
+const TRANSITIONS = {
+  draft: ["published"],
+  published: ["closed", "filled"],
+  closed: ["published"],
+  filled: [],
+};
+
+/** SQL condition for jobs shown to job seekers (jobs aliased as j):
+ * published, and not past their expiry. */
+
+const LISTED = `j.status = 'published'
+                AND (j.expires_at IS NULL OR j.expires_at > NOW())`;
+
+/** Facet buckets: the yearly salary floors ("100000+", in BASE_CURRENCY)
+ * and posting ages ("in the last 7 days") that findFacets counts jobs for.
+ * Each is cumulative, like the minSalary and postedAfter filters. */
+
+const SALARY_FACETS = [50000, 100000, 150000, 200000];
+const POSTED_FACETS = [1, 7, 30];
+
+/** SQL for the distance in km from jobs (aliased as j) to the point at
+ * latitude latSql, longitude lngSql: the haversine formula, which needs
+ * nothing beyond stock Postgres. NULL for jobs with no coordinates. */
+
+function sqlForDistanceKm(latSql, lngSql) {
+  return `6371 * 2 * asin(LEAST(1, sqrt(
+            power(sin(radians(j.latitude - ${latSql}) / 2), 2)
+            + cos(radians(${latSql})) * cos(radians(j.latitude))
+              * power(sin(radians(j.longitude - ${lngSql}) / 2), 2))))`;
+}
+
+/** What each match adds to a recommendation's score (see
+ * findRecommendations). Salary only ranks jobs that match on something
+ * else; alone it would recommend every well-paid job. */
+
+const RECOMMENDATION_WEIGHTS = {
+  requiredSkill: 3,
+  niceSkill: 1,
+  titleWord: 2,
+  company: 2,
+  salary: 1,
+};
+
+/** Jobs recommended for paying at least this share of what the user's past
+ * applications paid, on average. */
+
+const RECOMMENDATION_SALARY_SHARE = 0.9;
+
+/** Applications in these states say nothing about what a user wants, so
+ * recommendations don't go on them. */
+
+const RECOMMENDATION_IGNORED_STATES = ["rejected", "withdrawn"];
+
+/** Words too common in job titles to say anything. */
+
+const TITLE_STOPWORDS = ["and", "the", "for", "with"];
+
+/** The words in a job title worth matching on: lowercase, at least three
+ * letters, not in TITLE_STOPWORDS. */
+
+function titleWords(title) {
+  return (title.toLowerCase().match(/[a-z]+/g) || [])
+      .filter(w => w.length >= 3 && !TITLE_STOPWORDS.includes(w));
+}
+
+/** Throw BadRequestError unless salaryMax (if given) is at least salaryMin
+ * and currency can be converted (see ExchangeRate.isKnown). */
+
+async function checkPay({ salaryMin, salaryMax, currency, payPeriod }) {
+  if (salaryMin != null && salaryMax != null && salaryMax < salaryMin) {
+    throw new BadRequestError("salaryMax cannot be less than salaryMin");
+  }
+  if (payPeriod !== undefined && !PAY_PERIODS.includes(payPeriod)) {
+    throw new BadRequestError(`Invalid pay period: ${payPeriod}`);
+  }
+  if (currency !== undefined && !(await ExchangeRate.isKnown(currency))) {
+    throw new BadRequestError(`No exchange rate for ${currency}`);
+  }
+}
+
+/** Throw BadRequestError unless expiresAt (if given) is in the future. */
+
+function checkExpiry(expiresAt) {
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new BadRequestError("expiresAt must be in the future");
+  }
+}
+
+/** Build the WHERE expressions and values for Job.findPage's
+ * searchFilters (see there), for the jobs in JOBS_FROM. The values start
+ * with BASE_CURRENCY, as JOBS_FROM needs.
+ *
+ * Returns { whereExpressions, queryValues }
+ *
+ * Throws BadRequestError if a min filter is greater than its max.
+ */
+
+function sqlForSearchFilters(searchFilters) {
+  let whereExpressions = ["j.deleted_at IS NULL"];
+  let queryValues = [BASE_CURRENCY];
+
+  const {
+    minSalary,
+    maxSalary,
+    hasEquity,
+    minEquity,
+    maxEquity,
+    title,
+    companyHandles,
+    minEmployees,
+    maxEmployees,
+    postedAfter,
+    excludeAppliedBy,
+    workplaceTypes,
+    near,
+    radiusKm,
+    skills,
+    skillsMatch = "any",
+    statuses,
+  } = searchFilters;
+
+  if (minSalary > maxSalary) {
+    throw new BadRequestError("Min salary cannot be greater than max");
+  }
+  if (minEquity > maxEquity) {
+    throw new BadRequestError("Min equity cannot be greater than max");
+  }
+  if (minEmployees > maxEmployees) {
+    throw new BadRequestError("Min employees cannot be greater than max");
+  }
+  if ((near === undefined) !== (radiusKm === undefined)) {
+    throw new BadRequestError("near and radiusKm go together");
+  }
+  if (near !== undefined
+      && (Math.abs(near.latitude) > 90 || Math.abs(near.longitude) > 180)) {
+    throw new BadRequestError("near must be a valid latitude and longitude");
+  }
+
+  // For each possible search term, add to whereExpressions and
+  // queryValues so we can generate the right SQL
+
+  // a job matches a salary range if its own range overlaps it
+  const ranges = [
+    ["COALESCE(j.salary_max, j.salary_min) * pay.factor >= ", minSalary],
+    ["j.salary_min * pay.factor <= ", maxSalary],
+    ["j.equity >= ", minEquity],
+    ["j.equity <= ", maxEquity],
+    ["c.num_employees >= ", minEmployees],
+    ["c.num_employees <= ", maxEmployees],
+    ["j.created_at >= ", postedAfter],
+  ];
+  for (const [expression, value] of ranges) {
+    if (value !== undefined) {
+      queryValues.push(value);
+      whereExpressions.push(`${expression}$${queryValues.length}`);
+    }
+  }
+
+  if (hasEquity === true) {
+    whereExpressions.push(`j.equity > 0`);
+  }
+
+  if (title !== undefined) {
+    queryValues.push(`%${title}%`);
+    whereExpressions.push(`j.title ILIKE $${queryValues.length}`);
+  }
+
+  if (companyHandles !== undefined) {
+    queryValues.push(companyHandles);
+    whereExpressions.push(`j.company_handle = ANY($${queryValues.length})`);
+  }
+
+  if (excludeAppliedBy !== undefined) {
+    queryValues.push(excludeAppliedBy);
+    whereExpressions.push(`NOT EXISTS (SELECT 1
+                                       FROM applications AS a
+                                       WHERE a.job_id = j.id
+                                         AND a.username = $${queryValues.length})`);
+  }
+
+  if (workplaceTypes !== undefined) {
+    queryValues.push(workplaceTypes);
+    whereExpressions.push(`j.workplace_type = ANY($${queryValues.length})`);
+  }
+
+  if (near !== undefined) {
+    queryValues.push(near.latitude, near.longitude, radiusKm);
+    const n = queryValues.length;
+    whereExpressions.push(
+        `${sqlForDistanceKm(`$${n - 2}`, `$${n - 1}`)} <= $${n}`);
+  }
+
+  if (skills !== undefined) {
+    // skill names are unique regardless of case
+    const names = [...new Set(skills.map(name => name.toLowerCase()))];
+    queryValues.push(names);
+    const matching = `FROM job_skills AS js
+                        JOIN skills AS s ON s.id = js.skill_id
+                      WHERE js.job_id = j.id
+                        AND LOWER(s.name) = ANY($${queryValues.length})`;
+    whereExpressions.push(skillsMatch === "all"
+        ? `(SELECT COUNT(*) ${matching}) = ${names.length}`
+        : `EXISTS (SELECT 1 ${matching})`);
+  }
+
+  if (statuses !== undefined) {
+    queryValues.push(statuses);
+    whereExpressions.push(`j.status = ANY($${queryValues.length})`);
+  } else {
+    whereExpressions.push(LISTED);
+  }
+
+  return { whereExpressions, queryValues };
+}
+
+/** Move job `id` to status, logging the change; if expiresAt is given,
+ * set that too. Returns the job, as from Job.update.
+ *
+ * Throws NotFoundError if not found; BadRequestError if the move isn't
+ * allowed from the job's current status, or it's to published and the
+ * job's expiry has passed with no new expiresAt given.
+ */
+
+async function changeStatus(id, status, expiresAt) {
+  const beforeRes = await db.query(
+        `SELECT ${JOB_FIELDS}
+         FROM jobs
+         WHERE id = $1 AND deleted_at IS NULL`, [id]);
+  const before = beforeRes.rows[0];
+
+  if (!before) throw new NotFoundError(`No job: ${id}`);
+
+  if (!TRANSITIONS[before.status].includes(status)) {
+    throw new BadRequestError(`Cannot move job from ${before.status} to ${status}`);
+  }
+  // else it would be published but still not listed
+  if (status === "published" && !expiresAt
+      && before.expiresAt !== null && before.expiresAt <= new Date()) {
+    throw new BadRequestError(`Job ${id} has expired; give a new expiresAt`);
+  }
+
+  const result = await db.query(
+        `UPDATE jobs
+         SET status = $2, expires_at = COALESCE($3, expires_at)
+         WHERE id = $1
+         RETURNING ${JOB_FIELDS}`,
+      [id, status, expiresAt]);
+  const job = result.rows[0];
+
+  await Audit.record("update", "job", job.id, before, job);
+  // a reopened job isn't new to the company's followers
+  if (before.status === "draft") await CompanyFollower.queueNewJob(job);
+
+  return job;
+}
 
 
 /** Related functions for companies. */
@@ -61,97 +391,393 @@ const { sqlForPartialUpdate } = require("../helpers/sql");
 class Job {
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, companyHandle }
+   * data should be { title, salaryMin, salaryMax, currency, payPeriod,
+   *                   equity, companyHandle, status, expiresAt, city,
+   *                   region, country, latitude, longitude, workplaceType }
+   * currency is an ISO code (default BASE_CURRENCY) and payPeriod is
+   * "hourly", "monthly" or "yearly" (the default). status is "draft" (the
+   * default) or "published"; expiresAt and the location fields are
+   * optional. workplaceType is "remote", "hybrid" or "onsite".
+   *
+   * A published job is announced to the company's followers: their
+   * notifications are queued (see CompanyFollower.queueNewJob).
+   *
+   * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+   *           companyHandle, status, expiresAt, city, region, country,
+   *           latitude, longitude, workplaceType }
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Throws NotFoundError if the company doesn't exist, or is in the trash;
+   * BadRequestError if status isn't draft or published, expiresAt has
+   * passed, salaryMax is less than salaryMin, or there's no exchange rate
+   * for the currency.
    **/
 
   static async create(data) {
+    const {
+      status = "draft",
+      expiresAt = null,
+      currency = BASE_CURRENCY,
+      payPeriod = "yearly",
+    } = data;
+    if (status !== "draft" && status !== "published") {
+      throw new BadRequestError(`Invalid initial status: ${status}`);
+    }
+    checkExpiry(expiresAt);
+    await checkPay({ ...data, currency, payPeriod });
+
+    const companyCheck = await db.query(
+          `SELECT handle
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`, [data.companyHandle]);
+    if (!companyCheck.rows[0]) {
+      throw new NotFoundError(`No company: ${data.companyHandle}`);
+    }
+
     const result = await db.query(
           `INSERT INTO jobs (title,
-                             salary,
+                             salary_min,
+                             salary_max,
+                             currency,
+                             pay_period,
                              equity,
-                             company_handle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
+                             company_handle,
+                             status,
+                             expires_at,
+                             city,
+                             region,
+                             country,
+                             latitude,
+                             longitude,
+                             workplace_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+                   $14, $15)
+           RETURNING ${JOB_FIELDS}`,
         [
           data.title,
-          data.salary,
+          data.salaryMin,
+          data.salaryMax,
+          currency,
+          payPeriod,
           data.equity,
           data.companyHandle,
+          status,
+          expiresAt,
+          data.city,
+          data.region,
+          data.country,
+          data.latitude,
+          data.longitude,
+          data.workplaceType,
         ]);
     let job = result.rows[0];
 
+    await Audit.record("create", "job", job.id, null, job);
+    if (job.status === "published") await CompanyFollower.queueNewJob(job);
+
     return job;
   }
 
   /** Find all jobs (optional filter on searchFilters).
    *
    * searchFilters (all optional):
-   * - minSalary
+   * - minSalary, maxSalary: yearly, in BASE_CURRENCY; jobs whose salary
+   *   range overlaps this one (jobs without a salary, or an exchange rate
+   *   for theirs, are left out)
    * - hasEquity (true returns only jobs with equity > 0, other values ignored)
+   * - minEquity, maxEquity
    * - title (will find case-insensitive, partial matches)
+   * - companyHandles: only jobs of one of these companies
+   * - minEmployees, maxEmployees: only jobs of companies of this size
+   * - postedAfter: only jobs created at or after this time
+   * - excludeAppliedBy: a username; leaves out jobs they've applied to
+   * - workplaceTypes: only jobs with one of these ("remote", "hybrid",
+   *   "onsite")
+   * - near, radiusKm: only jobs within radiusKm of near, a { latitude,
+   *   longitude }; jobs without coordinates are left out
+   * - skills: skill names (any case); only jobs asking for any of them, or
+   *   all of them if skillsMatch is "all" (the default is "any")
+   * - statuses: only jobs with one of these statuses, whether or not they've
+   *   expired (without it, only published jobs that haven't expired)
+   * - sort: comma-separated fields, "-" prefix for descending (of id, title,
+   *   annualSalary, equity, companyHandle, companyName; default "title")
+   * - limit, page, cursor: see paginate in helpers/pagination.js
+   *
+   * Returns [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+   *            annualSalary, equity, companyHandle, companyName }, ...]
+   *   where annualSalary is salaryMin as a yearly amount in BASE_CURRENCY
+   *
+   * Throws BadRequestError if a min filter is greater than its max, or near
+   * is invalid or given without radiusKm (or the other way round).
+   * */
+
+  static async findAll(searchFilters = {}) {
+    const { rows } = await Job.findPage(searchFilters);
+    return rows;
+  }
+
+  /** Turn GET /jobs search parameters (see schemas/jobSearch.json, with
+   * numbers and booleans already converted) into searchFilters for findAll,
+   * findPage and findFacets. excludeApplied applies to username, and is
+   * ignored without one.
+   **/
+
+  static searchFiltersFor(params, username) {
+    const near = params.near !== undefined
+        ? {
+          latitude: +params.near.split(",")[0],
+          longitude: +params.near.split(",")[1],
+        }
+        : undefined;
+
+    return {
+      ...params,
+      companyHandles: params.companyHandle,
+      workplaceTypes: params.workplaceType,
+      near,
+      statuses: params.status,
+      excludeAppliedBy: params.excludeApplied && username ? username : undefined,
+    };
+  }
+
+  /** Like findAll, but also returns paging information.
    *
-   * Returns [{ id, title, salary, equity, companyHandle, companyName }, ...]
+   * Returns { rows, total, nextCursor, prevCursor }
+   *   where rows are as from findAll
    * */
 
-  static async findAll({ minSalary, hasEquity, title } = {}) {
+  static async findPage(searchFilters = {}) {
     let query = `SELECT j.id,
                         j.title,
-                        j.salary,
+                        j.salary_min AS "salaryMin",
+                        j.salary_max AS "salaryMax",
+                        j.currency,
+                        j.pay_period AS "payPeriod",
+                        ${SORTABLE.annualSalary.col} AS "annualSalary",
                         j.equity,
                         j.company_handle AS "companyHandle",
                         c.name AS "companyName"
-                 FROM jobs j 
-                   LEFT JOIN companies AS c ON c.handle = j.company_handle`;
-    let whereExpressions = [];
-    let queryValues = [];
+                 ${JOBS_FROM}`;
+    const { whereExpressions, queryValues } = sqlForSearchFilters(searchFilters);
+    const { sort = "title", limit, page, cursor } = searchFilters;
 
-    // For each possible search term, add to whereExpressions and
-    // queryValues so we can generate the right SQL
+    // Finalize query and return results
 
-    if (minSalary !== undefined) {
-      queryValues.push(minSalary);
-      whereExpressions.push(`salary >= $${queryValues.length}`);
-    }
+    const sortKeys = parseSort(sort, SORTABLE, "id");
+    return await paginate(query, whereExpressions, queryValues, sortKeys,
+        { limit, page, cursor });
+  }
 
-    if (hasEquity === true) {
-      whereExpressions.push(`equity > 0`);
-    }
+  /** Count the jobs matching searchFilters (as for findAll; sort and paging
+   * are ignored) by company, salary, equity and posting date.
+   *
+   * Returns { companies, salary, equity, posted }
+   *   where companies is [{ handle, name, count }, ...], most jobs first
+   *         salary is [{ min, count }, ...], jobs that may pay at least
+   *           min a year, in BASE_CURRENCY
+   *         equity is { withEquity, withoutEquity }
+   *         posted is [{ days, count }, ...], jobs posted in the last `days`
+   *
+   * Throws BadRequestError if a min filter is greater than its max.
+   **/
 
-    if (title !== undefined) {
-      queryValues.push(`%${title}%`);
-      whereExpressions.push(`title ILIKE $${queryValues.length}`);
-    }
+  static async findFacets(searchFilters = {}) {
+    const { whereExpressions, queryValues } = sqlForSearchFilters(searchFilters);
+    const from = `${JOBS_FROM}
+                  WHERE ${whereExpressions.join(" AND ")}`;
 
-    if (whereExpressions.length > 0) {
-      query += " WHERE " + whereExpressions.join(" AND ");
-    }
+    const companiesRes = await db.query(
+          `SELECT c.handle, c.name, COUNT(*)::integer AS count
+           ${from}
+           GROUP BY c.handle, c.name
+           ORDER BY count DESC, c.name`,
+        queryValues);
+
+    const counts = [
+      ...SALARY_FACETS.map((min, idx) =>
+          `COUNT(*) FILTER (
+             WHERE COALESCE(j.salary_max, j.salary_min) * pay.factor >= ${min}
+           )::integer AS "salary${idx}"`),
+      `COUNT(*) FILTER (WHERE j.equity > 0)::integer AS "withEquity"`,
+      `COUNT(*) FILTER (WHERE j.equity IS NULL OR j.equity = 0)::integer
+         AS "withoutEquity"`,
+      ...POSTED_FACETS.map((days, idx) =>
+          `COUNT(*) FILTER (WHERE j.created_at >= NOW() - make_interval(days => ${days}))::integer
+             AS "posted${idx}"`),
+    ];
+    const countsRes = await db.query(
+          `SELECT ${counts.join(", ")} ${from}`, queryValues);
+    const row = countsRes.rows[0];
+
+    return {
+      companies: companiesRes.rows,
+      salary: SALARY_FACETS.map((min, idx) => ({ min, count: row[`salary${idx}`] })),
+      equity: { withEquity: row.withEquity, withoutEquity: row.withoutEquity },
+      posted: POSTED_FACETS.map((days, idx) => ({ days, count: row[`posted${idx}`] })),
+    };
+  }
 
-    // Finalize query and return results
+  /** Recommend listed jobs to user, best first, leaving out jobs they've
+   * applied to. Jobs are matched on:
+   *
+   * - skills: the user's skills that the job asks for
+   * - title: words the job's title shares with titles of jobs they applied to
+   * - company: companies they applied at
+   * - salary: pay at least RECOMMENDATION_SALARY_SHARE of their past
+   *   applications' average (yearly, in BASE_CURRENCY); this only ranks
+   *   jobs that match on something else
+   *
+   * and scored by RECOMMENDATION_WEIGHTS. Ties go to newer jobs.
+   *
+   * Applications in RECOMMENDATION_IGNORED_STATES, and to jobs in the trash,
+   * don't count as past applications.
+   *
+   * Returns [{ job, score, reasons }, ...]
+   *   where job is { id, title, salaryMin, salaryMax, currency, payPeriod,
+   *                  annualSalary, equity, companyHandle, companyName }
+   *   and reasons is [{ type, message }, ...], type being one of "skills",
+   *   "title", "company" and "salary"
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async findRecommendations(username, { limit = DEFAULT_LIMIT } = {}) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const historyRes = await db.query(
+          `SELECT j.title,
+                  j.company_handle AS "companyHandle",
+                  (COALESCE(j.salary_max, j.salary_min) * pay.factor)::float
+                    AS "topSalary"
+           ${JOBS_FROM}
+             JOIN applications AS a ON a.job_id = j.id
+           WHERE a.username = $2
+             AND a.state <> ALL($3)
+             AND j.deleted_at IS NULL`,
+        [BASE_CURRENCY, username, RECOMMENDATION_IGNORED_STATES]);
+    const history = historyRes.rows;
+
+    const words = [...new Set(history.flatMap(h => titleWords(h.title)))];
+    const companyHandles = [...new Set(history.map(h => h.companyHandle))];
+    const salaries = history.map(h => h.topSalary).filter(s => s !== null);
+    // what a job must pay to match on salary; null if there's nothing to go on
+    const salaryFloor = salaries.length > 0
+        ? salaries.reduce((a, b) => a + b) / salaries.length
+          * RECOMMENDATION_SALARY_SHARE
+        : null;
+    const weights = RECOMMENDATION_WEIGHTS;
+
+    // the user's skills the job asks for, either required or not
+    const matchingSkills = isRequired => `ARRAY(
+        SELECT s.name
+        FROM job_skills AS js
+          JOIN skills AS s ON s.id = js.skill_id
+          JOIN user_skills AS us ON us.skill_id = js.skill_id
+        WHERE js.job_id = j.id
+          AND us.username = $2
+          AND js.is_required = ${isRequired}
+        ORDER BY LOWER(s.name))`;
 
-    query += " ORDER BY title";
-    const jobsRes = await db.query(query, queryValues);
-    return jobsRes.rows;
+    const result = await db.query(
+          `SELECT *,
+                  (cardinality("requiredSkills") * ${weights.requiredSkill}
+                   + cardinality("niceSkills") * ${weights.niceSkill}
+                   + cardinality("sharedWords") * ${weights.titleWord}
+                   + CASE WHEN "companyHandle" = ANY($4)
+                          THEN ${weights.company} ELSE 0 END
+                   + CASE WHEN "topSalary" >= $5
+                          THEN ${weights.salary} ELSE 0 END) AS score
+           FROM (SELECT j.id,
+                        j.title,
+                        j.salary_min AS "salaryMin",
+                        j.salary_max AS "salaryMax",
+                        j.currency,
+                        j.pay_period AS "payPeriod",
+                        ${SORTABLE.annualSalary.col} AS "annualSalary",
+                        j.equity,
+                        j.company_handle AS "companyHandle",
+                        c.name AS "companyName",
+                        (COALESCE(j.salary_max, j.salary_min) * pay.factor)::float
+                          AS "topSalary",
+                        ${matchingSkills(true)} AS "requiredSkills",
+                        ${matchingSkills(false)} AS "niceSkills",
+                        ARRAY(SELECT w
+                              FROM unnest($3::text[]) AS w
+                              WHERE j.title ~* ('\\m' || w || '\\M'))
+                          AS "sharedWords"
+                 ${JOBS_FROM}
+                 WHERE j.deleted_at IS NULL
+                   AND ${LISTED}
+                   AND NOT EXISTS (SELECT 1
+                                   FROM applications AS a
+                                   WHERE a.job_id = j.id
+                                     AND a.username = $2)) AS m
+           WHERE cardinality("requiredSkills") > 0
+              OR cardinality("niceSkills") > 0
+              OR cardinality("sharedWords") > 0
+              OR "companyHandle" = ANY($4)
+           ORDER BY score DESC, id DESC
+           LIMIT $6`,
+        [BASE_CURRENCY, username, words, companyHandles, salaryFloor, limit]);
+
+    return result.rows.map(row => {
+      const {
+        topSalary, requiredSkills, niceSkills, sharedWords, score, ...job
+      } = row;
+      const reasons = [];
+
+      const skills = [...requiredSkills, ...niceSkills];
+      if (skills.length > 0) {
+        reasons.push({
+          type: "skills",
+          message: `Asks for your skills: ${skills.join(", ")}`,
+        });
+      }
+      if (sharedWords.length > 0) {
+        reasons.push({
+          type: "title",
+          message: `Like jobs you applied to: ${sharedWords.join(", ")}`,
+        });
+      }
+      if (companyHandles.includes(job.companyHandle)) {
+        reasons.push({
+          type: "company",
+          message: `You've applied at ${job.companyName} before`,
+        });
+      }
+      if (salaryFloor !== null && topSalary !== null
+          && topSalary >= salaryFloor) {
+        reasons.push({
+          type: "salary",
+          message: "Pays as well as jobs you applied to",
+        });
+      }
+
+      return { job, score, reasons };
+    });
   }
 
   /** Given a job id, return data about job.
    *
-   * Returns { id, title, salary, equity, companyHandle, company }
+   * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+   *           status, expiresAt, city, region, country, latitude, longitude,
+   *           workplaceType, company, skills }
    *   where company is { handle, name, description, numEmployees, logoUrl }
+   *   and skills is [{ id, name, required }, ...]
+   *
+   * Jobs of any status are returned; it's up to callers to hide drafts.
    *
    * Throws NotFoundError if not found.
    **/
 
   static async get(id) {
     const jobRes = await db.query(
-          `SELECT id,
-                  title,
-                  salary,
-                  equity,
-                  company_handle AS "companyHandle"
+          `SELECT ${JOB_FIELDS}
            FROM jobs
-           WHERE id = $1`, [id]);
+           WHERE id = $1 AND deleted_at IS NULL`, [id]);
 
     const job = jobRes.rows[0];
 
@@ -168,6 +794,7 @@ class Job {
 
     delete job.companyHandle;
     job.company = companiesRes.rows[0];
+    job.skills = await Skill.findForJob(id);
 
     return job;
   }
@@ -177,50 +804,190 @@ class Job {
    * This is a "partial update" --- it's fine if data doesn't contain
    * all the fields; this only changes provided ones.
    *
-   * Data can include: { title, salary, equity }
+   * Data can include: { title, salaryMin, salaryMax, currency, payPeriod,
+   *                     equity, expiresAt, city, region, country, latitude,
+   *                     longitude, workplaceType }
+   * (status changes through publish and close)
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Returns the job, as from create
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found; BadRequestError if expiresAt has
+   * passed, salaryMax would be less than salaryMin, or there's no exchange
+   * rate for the currency.
    */
 
   static async update(id, data) {
+    checkExpiry(data.expiresAt);
     const { setCols, values } = sqlForPartialUpdate(
         data,
-        {});
+        {
+          salaryMin: "salary_min",
+          salaryMax: "salary_max",
+          payPeriod: "pay_period",
+          expiresAt: "expires_at",
+          workplaceType: "workplace_type",
+        });
     const idVarIdx = "$" + (values.length + 1);
 
+    const beforeRes = await db.query(
+          `SELECT ${JOB_FIELDS}
+           FROM jobs
+           WHERE id = $1 AND deleted_at IS NULL`, [id]);
+    const before = beforeRes.rows[0];
+
+    if (!before) throw new NotFoundError(`No job: ${id}`);
+
+    await checkPay({ ...before, currency: undefined, ...data });
+
     const querySql = `UPDATE jobs 
                       SET ${setCols} 
-                      WHERE id = ${idVarIdx} 
-                      RETURNING id, 
-                                title, 
-                                salary, 
-                                equity,
-                                company_handle AS "companyHandle"`;
+                      WHERE id = ${idVarIdx} AND deleted_at IS NULL
+                      RETURNING ${JOB_FIELDS}`;
     const result = await db.query(querySql, [...values, id]);
     const job = result.rows[0];
 
     if (!job) throw new NotFoundError(`No job: ${id}`);
 
+    await Audit.record("update", "job", job.id, before, job);
+
     return job;
   }
 
-  /** Delete given job from database; returns undefined.
+  /** Publish a draft or closed job, listing it and opening it to
+   * applications until expiresAt (if given; otherwise the job keeps the
+   * expiry it had, if any).
+   *
+   * Publishing a draft announces it to the company's followers, as create
+   * does; reopening a closed job doesn't.
+   *
+   * Returns the job, as from create
+   *
+   * Throws NotFoundError if not found; BadRequestError if the job can't be
+   * published from its current status, or expiresAt has passed (or isn't
+   * given, and the job's own expiry has).
+   **/
+
+  static async publish(id, { expiresAt } = {}) {
+    checkExpiry(expiresAt);
+    return await changeStatus(id, "published", expiresAt);
+  }
+
+  /** Close a published job, as "closed" (the default) or "filled".
+   *
+   * Returns the job, as from create
+   *
+   * Throws NotFoundError if not found; BadRequestError if status isn't
+   * closed or filled, or the job isn't published.
+   **/
+
+  static async close(id, status = "closed") {
+    if (status !== "closed" && status !== "filled") {
+      throw new BadRequestError(`Invalid closing status: ${status}`);
+    }
+    return await changeStatus(id, status);
+  }
+
+  /** Move given job to the trash; returns undefined.
    *
-   * Throws NotFoundError if company not found.
+   * It's kept until purged (see purge), and can be restored until then.
+   *
+   * Throws NotFoundError if job not found.
    **/
 
   static async remove(id) {
     const result = await db.query(
-          `DELETE
+          `UPDATE jobs
+           SET deleted_at = NOW()
+           WHERE id = $1 AND deleted_at IS NULL
+           RETURNING ${JOB_FIELDS}`,
+        [id]);
+    const job = result.rows[0];
+
+    if (!job) throw new NotFoundError(`No job: ${id}`);
+
+    await Audit.record("remove", "job", job.id, job, null);
+  }
+
+  /** Find jobs in the trash, most recently deleted first.
+   *
+   * Returns [{ id, title, companyHandle, deletedAt }, ...]
+   **/
+
+  static async findDeleted() {
+    const result = await db.query(
+          `SELECT id,
+                  title,
+                  company_handle AS "companyHandle",
+                  deleted_at AS "deletedAt"
            FROM jobs
+           WHERE deleted_at IS NOT NULL
+           ORDER BY deleted_at DESC, id`);
+
+    return result.rows;
+  }
+
+  /** Take a job out of the trash.
+   *
+   * Returns the job, as from create
+   *
+   * Throws NotFoundError if there's no such job in the trash;
+   * BadRequestError if its company is in the trash (restore that instead).
+   **/
+
+  static async restore(id) {
+    const jobRes = await db.query(
+          `SELECT j.company_handle AS "companyHandle",
+                  c.deleted_at IS NOT NULL AS "companyDeleted"
+           FROM jobs AS j
+             JOIN companies AS c ON c.handle = j.company_handle
+           WHERE j.id = $1 AND j.deleted_at IS NOT NULL`,
+        [id]);
+    const deleted = jobRes.rows[0];
+
+    if (!deleted) throw new NotFoundError(`No deleted job: ${id}`);
+    if (deleted.companyDeleted) {
+      throw new BadRequestError(
+          `Company ${deleted.companyHandle} is deleted; restore it first`);
+    }
+
+    const result = await db.query(
+          `UPDATE jobs
+           SET deleted_at = NULL
            WHERE id = $1
-           RETURNING id`, [id]);
+           RETURNING ${JOB_FIELDS}`,
+        [id]);
     const job = result.rows[0];
 
-    if (!job) throw new NotFoundError(`No job: ${id}`);
+    await Audit.record("restore", "job", job.id, null, job);
+
+    return job;
+  }
+
+  /** Permanently delete jobs that have been in the trash for more than
+   * `days` days; each is logged as purged.
+   *
+   * Returns the number of jobs deleted.
+   **/
+
+  static async purge(days) {
+    const result = await db.query(
+          `DELETE
+           FROM jobs
+           WHERE deleted_at < NOW() - make_interval(days => $1)
+           RETURNING id`,
+        [days]);
+
+    for (const { id } of result.rows) {
+      await Audit.record("purge", "job", id, null, null);
+    }
+
+    return result.rows.length;
   }
 }
 
+Job.STATUSES = STATUSES;
+Job.PAY_PERIODS = PAY_PERIODS;
+Job.TRANSITIONS = TRANSITIONS;
+Job.LISTED = LISTED;
+
 module.exports = Job;
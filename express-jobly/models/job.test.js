@@ -9,6 +9,7 @@ const {
   commonAfterEach,
   commonAfterAll,
   testJobIds,
+  testSkillIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -16,13 +17,32 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** The new-job notifications queued: [[jobId, username], ...] */
+
+async function queuedNotifications() {
+  const result = await db.query(
+      "SELECT job_id, username FROM job_notifications ORDER BY job_id, username");
+  return result.rows.map(r => [r.job_id, r.username]);
+}
+
+/** What the location fields are when none were given. */
+
+const noLocation = {
+  city: null,
+  region: null,
+  country: null,
+  latitude: null,
+  longitude: null,
+  workplaceType: null,
+};
+
 /************************************** create */
 
 describe("create", function () {
   let newJob = {
     companyHandle: "c1",
     title: "Test",
-    salary: 100,
+    salaryMin: 100,
     equity: "0.1",
   };
 
@@ -31,8 +51,83 @@ describe("create", function () {
     expect(job).toEqual({
       ...newJob,
       id: expect.any(Number),
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "yearly",
+      status: "draft",
+      expiresAt: null,
+      ...noLocation,
     });
   });
+
+  test("works: published, with an expiry", async function () {
+    const expiresAt = new Date(Date.now() + 86400000);
+    let job = await Job.create({ ...newJob, status: "published", expiresAt });
+    expect(job.status).toEqual("published");
+    expect(job.expiresAt).toEqual(expiresAt);
+  });
+
+  test("queues notifications to the company's followers if published", async function () {
+    await db.query(
+        "INSERT INTO followed_companies (username, company_handle) VALUES ('u1', 'c1')");
+
+    await Job.create(newJob);
+    expect(await queuedNotifications()).toEqual([]);
+    const job = await Job.create({ ...newJob, status: "published" });
+    expect(await queuedNotifications()).toEqual([[job.id, "u1"]]);
+  });
+
+  test("drafts aren't listed", async function () {
+    const job = await Job.create(newJob);
+    const jobs = await Job.findAll();
+    expect(jobs.map(j => j.id)).not.toContain(job.id);
+  });
+
+  test("bad request for other statuses", async function () {
+    try {
+      await Job.create({ ...newJob, status: "filled" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expiresAt has passed", async function () {
+    try {
+      await Job.create({ ...newJob, expiresAt: new Date(Date.now() - 1000) });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: a range, in another currency and period", async function () {
+    let job = await Job.create({
+      ...newJob, salaryMin: 40, salaryMax: 50, currency: "EUR",
+      payPeriod: "hourly",
+    });
+    expect(job).toEqual(expect.objectContaining({
+      salaryMin: 40, salaryMax: 50, currency: "EUR", payPeriod: "hourly",
+    }));
+  });
+
+  test("bad request if salaryMax is less than salaryMin", async function () {
+    try {
+      await Job.create({ ...newJob, salaryMax: 50 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request without an exchange rate", async function () {
+    try {
+      await Job.create({ ...newJob, currency: "GBP" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** findAll */
@@ -44,7 +139,11 @@ describe("findAll", function () {
       {
         id: testJobIds[0],
         title: "Job1",
-        salary: 100,
+        salaryMin: 100,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 100,
         equity: "0.1",
         companyHandle: "c1",
         companyName: "C1",
@@ -52,7 +151,11 @@ describe("findAll", function () {
       {
         id: testJobIds[1],
         title: "Job2",
-        salary: 200,
+        salaryMin: 200,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 200,
         equity: "0.2",
         companyHandle: "c1",
         companyName: "C1",
@@ -60,7 +163,11 @@ describe("findAll", function () {
       {
         id: testJobIds[2],
         title: "Job3",
-        salary: 300,
+        salaryMin: 300,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 300,
         equity: "0",
         companyHandle: "c1",
         companyName: "C1",
@@ -68,7 +175,11 @@ describe("findAll", function () {
       {
         id: testJobIds[3],
         title: "Job4",
-        salary: null,
+        salaryMin: null,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: null,
         equity: null,
         companyHandle: "c1",
         companyName: "C1",
@@ -82,7 +193,11 @@ describe("findAll", function () {
       {
         id: testJobIds[2],
         title: "Job3",
-        salary: 300,
+        salaryMin: 300,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 300,
         equity: "0",
         companyHandle: "c1",
         companyName: "C1",
@@ -96,7 +211,11 @@ describe("findAll", function () {
       {
         id: testJobIds[0],
         title: "Job1",
-        salary: 100,
+        salaryMin: 100,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 100,
         equity: "0.1",
         companyHandle: "c1",
         companyName: "C1",
@@ -104,7 +223,11 @@ describe("findAll", function () {
       {
         id: testJobIds[1],
         title: "Job2",
-        salary: 200,
+        salaryMin: 200,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 200,
         equity: "0.2",
         companyHandle: "c1",
         companyName: "C1",
@@ -118,7 +241,11 @@ describe("findAll", function () {
       {
         id: testJobIds[1],
         title: "Job2",
-        salary: 200,
+        salaryMin: 200,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 200,
         equity: "0.2",
         companyHandle: "c1",
         companyName: "C1",
@@ -132,13 +259,307 @@ describe("findAll", function () {
       {
         id: testJobIds[0],
         title: "Job1",
-        salary: 100,
+        salaryMin: 100,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 100,
         equity: "0.1",
         companyHandle: "c1",
         companyName: "C1",
       },
     ]);
   });
+
+  test("works: by salary range", async function () {
+    let jobs = await Job.findAll({ minSalary: 150, maxSalary: 250 });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[1]]);
+  });
+
+  test("works: by any of some skills", async function () {
+    let jobs = await Job.findAll({ skills: ["sql", "Python", "Go"] });
+    expect(jobs.map(j => j.id)).toEqual(testJobIds.slice(0, 2));
+  });
+
+  test("works: by all of some skills", async function () {
+    let jobs = await Job.findAll(
+        { skills: ["SQL", "python", "PYTHON"], skillsMatch: "all" });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[0]]);
+
+    jobs = await Job.findAll({ skills: ["SQL", "Go"], skillsMatch: "all" });
+    expect(jobs).toEqual([]);
+  });
+
+  test("works: by yearly salary in the base currency", async function () {
+    // 40-50 EUR an hour is 91520-114400 USD a year
+    await db.query(
+        `UPDATE jobs
+         SET salary_min = 40, salary_max = 50, currency = 'EUR',
+             pay_period = 'hourly'
+         WHERE id = $1`, [testJobIds[0]]);
+
+    let jobs = await Job.findAll({ minSalary: 100000 });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[0]]);
+    expect(jobs[0].annualSalary).toEqual(91520);
+
+    jobs = await Job.findAll({ minSalary: 120000 });
+    expect(jobs).toEqual([]);
+
+    jobs = await Job.findAll({ maxSalary: 95000 });
+    expect(jobs.map(j => j.id)).toEqual(testJobIds.slice(0, 3));
+  });
+
+  test("works: by equity range", async function () {
+    let jobs = await Job.findAll({ minEquity: 0.05, maxEquity: 0.15 });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[0]]);
+  });
+
+  test("bad request if min is greater than max", async function () {
+    try {
+      await Job.findAll({ minEquity: 0.5, maxEquity: 0.1 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: by companies and company size", async function () {
+    const res = await db.query(`
+        INSERT INTO jobs (title, company_handle, status)
+        VALUES ('Job5', 'c2', 'published'), ('Job6', 'c3', 'published')
+        RETURNING id`);
+    const [c2Job, c3Job] = res.rows.map(r => r.id);
+
+    let jobs = await Job.findAll({ companyHandles: ["c2", "c3"] });
+    expect(jobs.map(j => j.id)).toEqual([c2Job, c3Job]);
+
+    jobs = await Job.findAll({ minEmployees: 2, maxEmployees: 2 });
+    expect(jobs.map(j => j.id)).toEqual([c2Job]);
+  });
+
+  test("works: by posting date", async function () {
+    await db.query(
+        "UPDATE jobs SET created_at = NOW() - INTERVAL '10 days' WHERE id <> $1",
+        [testJobIds[3]]);
+    let jobs = await Job.findAll({
+      postedAfter: new Date(Date.now() - 86400000).toISOString(),
+    });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[3]]);
+  });
+
+  test("works: leaving out jobs a user applied to", async function () {
+    let jobs = await Job.findAll({ excludeAppliedBy: "u1" });
+    expect(jobs.map(j => j.id)).toEqual(testJobIds.slice(1));
+  });
+
+  test("works: by workplace type", async function () {
+    await db.query(
+        "UPDATE jobs SET workplace_type = 'remote' WHERE id = $1", [testJobIds[1]]);
+    await db.query(
+        "UPDATE jobs SET workplace_type = 'onsite' WHERE id = $1", [testJobIds[2]]);
+    let jobs = await Job.findAll({ workplaceTypes: ["remote", "hybrid"] });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[1]]);
+  });
+
+  test("works: near a point", async function () {
+    // Boulder is ~40km from Denver; Colorado Springs ~100km
+    await db.query(
+        `UPDATE jobs SET latitude = 40.01, longitude = -105.27 WHERE id = $1`,
+        [testJobIds[0]]);
+    await db.query(
+        `UPDATE jobs SET latitude = 38.83, longitude = -104.82 WHERE id = $1`,
+        [testJobIds[1]]);
+    const denver = { latitude: 39.74, longitude: -104.99 };
+
+    let jobs = await Job.findAll({ near: denver, radiusKm: 50 });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[0]]);
+
+    jobs = await Job.findAll({ near: denver, radiusKm: 150 });
+    expect(jobs.map(j => j.id)).toEqual(testJobIds.slice(0, 2));
+  });
+
+  test("bad request for near without radiusKm", async function () {
+    try {
+      await Job.findAll({ near: { latitude: 39.74, longitude: -104.99 } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: leaves out unpublished and expired jobs", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1",
+        [testJobIds[0]]);
+    await db.query(
+        "UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1",
+        [testJobIds[1]]);
+    await db.query(
+        "UPDATE jobs SET expires_at = NOW() + INTERVAL '1 day' WHERE id = $1",
+        [testJobIds[2]]);
+    let jobs = await Job.findAll();
+    expect(jobs.map(j => j.id)).toEqual(testJobIds.slice(2));
+  });
+
+  test("works: by statuses, expired or not", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1",
+        [testJobIds[0]]);
+    await db.query(
+        "UPDATE jobs SET status = 'filled', expires_at = NOW() - INTERVAL '1 day' WHERE id = $1",
+        [testJobIds[1]]);
+    let jobs = await Job.findAll({ statuses: ["closed", "filled"] });
+    expect(jobs.map(j => j.id)).toEqual(testJobIds.slice(0, 2));
+  });
+});
+
+/************************************** findPage */
+
+describe("findPage", function () {
+  test("works: descending with nulls", async function () {
+    const result = await Job.findPage({ sort: "-annualSalary" });
+    expect(result.rows.map(j => j.title))
+        .toEqual(["Job4", "Job3", "Job2", "Job1"]);
+    expect(result.total).toEqual(4);
+  });
+
+  test("works: cursors across nulls", async function () {
+    let seen = [];
+    let result = await Job.findPage({ sort: "equity,title", limit: 1 });
+    seen.push(...result.rows.map(j => j.title));
+    while (result.nextCursor) {
+      result = await Job.findPage(
+          { sort: "equity,title", limit: 1, cursor: result.nextCursor });
+      seen.push(...result.rows.map(j => j.title));
+    }
+    expect(seen).toEqual(["Job3", "Job1", "Job2", "Job4"]);
+
+    const back = await Job.findPage(
+        { sort: "equity,title", limit: 2, cursor: result.prevCursor });
+    expect(back.rows.map(j => j.title)).toEqual(["Job1", "Job2"]);
+  });
+});
+
+/************************************** findFacets */
+
+describe("findFacets", function () {
+  test("works", async function () {
+    await db.query(`UPDATE jobs SET salary_min = 120000 WHERE id = $1`,
+        [testJobIds[0]]);
+    await db.query(
+        `UPDATE jobs SET created_at = NOW() - INTERVAL '10 days' WHERE id <> $1`,
+        [testJobIds[3]]);
+    await db.query(`
+        INSERT INTO jobs (title, salary_min, equity, company_handle, status)
+        VALUES ('Job5', 60000, 0, 'c2', 'published')`);
+
+    const facets = await Job.findFacets();
+    expect(facets).toEqual({
+      companies: [
+        { handle: "c1", name: "C1", count: 4 },
+        { handle: "c2", name: "C2", count: 1 },
+      ],
+      salary: [
+        { min: 50000, count: 2 },
+        { min: 100000, count: 1 },
+        { min: 150000, count: 0 },
+        { min: 200000, count: 0 },
+      ],
+      equity: { withEquity: 2, withoutEquity: 3 },
+      posted: [
+        { days: 1, count: 2 },
+        { days: 7, count: 2 },
+        { days: 30, count: 5 },
+      ],
+    });
+  });
+
+  test("works: with the same filters as findAll", async function () {
+    const facets = await Job.findFacets({ hasEquity: true });
+    expect(facets.companies).toEqual([{ handle: "c1", name: "C1", count: 2 }]);
+    expect(facets.equity).toEqual({ withEquity: 2, withoutEquity: 0 });
+  });
+});
+
+/************************************** findRecommendations */
+
+describe("findRecommendations", function () {
+  test("works: from the companies applied at", async function () {
+    const recs = await Job.findRecommendations("u1");
+    expect(recs.map(r => [r.job.title, r.score])).toEqual(
+        [["Job3", 3], ["Job2", 3], ["Job4", 2]]);
+    expect(recs[0]).toEqual({
+      job: {
+        id: testJobIds[2],
+        title: "Job3",
+        salaryMin: 300,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
+        annualSalary: 300,
+        equity: "0",
+        companyHandle: "c1",
+        companyName: "C1",
+      },
+      score: 3,
+      reasons: [
+        { type: "company", message: "You've applied at C1 before" },
+        { type: "salary", message: "Pays as well as jobs you applied to" },
+      ],
+    });
+  });
+
+  test("works: from skills and titles", async function () {
+    await db.query("UPDATE jobs SET title = 'Data Analyst' WHERE id = $1",
+        [testJobIds[0]]);
+    const newJob = await db.query(`
+        INSERT INTO jobs (title, salary_min, company_handle, status)
+        VALUES ('Data Engineer', 50, 'c3', 'published'),
+               ('Chef', 500, 'c3', 'published')
+        RETURNING id`);
+    await db.query(
+        `INSERT INTO job_skills (job_id, skill_id) VALUES ($1, $2)`,
+        [newJob.rows[0].id, testSkillIds[0]]);
+
+    const recs = await Job.findRecommendations("u1", { limit: 1 });
+    expect(recs).toEqual([{
+      job: expect.objectContaining({ title: "Data Engineer" }),
+      score: 5,
+      reasons: [
+        { type: "skills", message: "Asks for your skills: SQL" },
+        { type: "title", message: "Like jobs you applied to: data" },
+      ],
+    }]);
+  });
+
+  test("leaves out jobs that aren't listed", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1",
+        [testJobIds[2]]);
+    const recs = await Job.findRecommendations("u1");
+    expect(recs.map(r => r.job.id)).toEqual([testJobIds[1], testJobIds[3]]);
+  });
+
+  test("works: nothing to go on", async function () {
+    expect(await Job.findRecommendations("u2")).toEqual([]);
+  });
+
+  test("doesn't go on withdrawn applications", async function () {
+    await db.query("UPDATE applications SET state = 'withdrawn'");
+    expect(await Job.findRecommendations("u1")).toEqual([]);
+  });
+
+  test("doesn't go on applications to jobs in the trash", async function () {
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1",
+        [testJobIds[0]]);
+    expect(await Job.findRecommendations("u1")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Job.findRecommendations("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** get */
@@ -149,8 +570,14 @@ describe("get", function () {
     expect(job).toEqual({
       id: testJobIds[0],
       title: "Job1",
-      salary: 100,
+      salaryMin: 100,
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "yearly",
       equity: "0.1",
+      status: "published",
+      expiresAt: null,
+      ...noLocation,
       company: {
         handle: "c1",
         name: "C1",
@@ -158,6 +585,10 @@ describe("get", function () {
         numEmployees: 1,
         logoUrl: "http://c1.img",
       },
+      skills: [
+        { id: testSkillIds[0], name: "SQL", required: true },
+        { id: testSkillIds[1], name: "Python", required: false },
+      ],
     });
   });
 
@@ -176,7 +607,7 @@ describe("get", function () {
 describe("update", function () {
   let updateData = {
     title: "New",
-    salary: 500,
+    salaryMin: 500,
     equity: "0.5",
   };
   test("works", async function () {
@@ -184,6 +615,12 @@ describe("update", function () {
     expect(job).toEqual({
       id: testJobIds[0],
       companyHandle: "c1",
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "yearly",
+      status: "published",
+      expiresAt: null,
+      ...noLocation,
       ...updateData,
     });
   });
@@ -207,16 +644,140 @@ describe("update", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("bad request if salaryMax is below the current salaryMin", async function () {
+    try {
+      await Job.update(testJobIds[0], { salaryMax: 50 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** publish */
+
+describe("publish", function () {
+  test("works for drafts", async function () {
+    const { id } = await Job.create({ title: "New", companyHandle: "c1" });
+    const expiresAt = new Date(Date.now() + 86400000);
+    const job = await Job.publish(id, { expiresAt });
+    expect(job.status).toEqual("published");
+    expect(job.expiresAt).toEqual(expiresAt);
+    expect((await Job.findAll()).map(j => j.id)).toContain(id);
+  });
+
+  test("works for closed jobs, keeping their expiry", async function () {
+    await db.query(
+        `UPDATE jobs
+         SET status = 'closed', expires_at = NOW() + INTERVAL '1 day'
+         WHERE id = $1`, [testJobIds[0]]);
+    const job = await Job.publish(testJobIds[0]);
+    expect(job.status).toEqual("published");
+    expect(job.expiresAt).toEqual(expect.any(Date));
+  });
+
+  test("queues notifications to the company's followers of drafts, not reopened jobs", async function () {
+    await db.query(
+        "INSERT INTO followed_companies (username, company_handle) VALUES ('u1', 'c1')");
+
+    await Job.close(testJobIds[0]);
+    await Job.publish(testJobIds[0]);
+    expect(await queuedNotifications()).toEqual([]);
+
+    const { id } = await Job.create({ title: "New", companyHandle: "c1" });
+    await Job.publish(id);
+    expect(await queuedNotifications()).toEqual([[id, "u1"]]);
+  });
+
+  test("expired jobs need a new expiry", async function () {
+    await db.query(
+        `UPDATE jobs
+         SET status = 'closed', expires_at = NOW() - INTERVAL '1 day'
+         WHERE id = $1`, [testJobIds[0]]);
+    try {
+      await Job.publish(testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+
+    const expiresAt = new Date(Date.now() + 86400000);
+    const job = await Job.publish(testJobIds[0], { expiresAt });
+    expect(job.expiresAt).toEqual(expiresAt);
+    expect((await Job.findAll()).map(j => j.id)).toContain(testJobIds[0]);
+  });
+
+  test("bad request if filled", async function () {
+    await Job.close(testJobIds[0], "filled");
+    try {
+      await Job.publish(testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.publish(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** close */
+
+describe("close", function () {
+  test("works", async function () {
+    const job = await Job.close(testJobIds[0]);
+    expect(job.status).toEqual("closed");
+    expect((await Job.findAll()).map(j => j.id)).not.toContain(testJobIds[0]);
+  });
+
+  test("works: filled", async function () {
+    const job = await Job.close(testJobIds[0], "filled");
+    expect(job.status).toEqual("filled");
+  });
+
+  test("bad request if not published", async function () {
+    await Job.close(testJobIds[0]);
+    try {
+      await Job.close(testJobIds[0], "filled");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for other statuses", async function () {
+    try {
+      await Job.close(testJobIds[0], "draft");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: moves it to the trash", async function () {
     await Job.remove(testJobIds[0]);
     const res = await db.query(
-        "SELECT id FROM jobs WHERE id=$1", [testJobIds[0]]);
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM jobs WHERE id=$1", [testJobIds[0]]);
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+
+    try {
+      await Job.get(testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    expect((await Job.findAll()).map(j => j.id)).not.toContain(testJobIds[0]);
   });
 
   test("not found if no such job", async function () {
@@ -228,3 +789,78 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** findDeleted */
+
+describe("findDeleted", function () {
+  test("works", async function () {
+    await Job.remove(testJobIds[0]);
+    expect(await Job.findDeleted()).toEqual([{
+      id: testJobIds[0],
+      title: "Job1",
+      companyHandle: "c1",
+      deletedAt: expect.any(Date),
+    }]);
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await Job.remove(testJobIds[0]);
+    const job = await Job.restore(testJobIds[0]);
+    expect(job).toEqual({
+      id: testJobIds[0],
+      title: "Job1",
+      salaryMin: 100,
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "yearly",
+      equity: "0.1",
+      companyHandle: "c1",
+      status: "published",
+      expiresAt: null,
+      ...noLocation,
+    });
+    expect((await Job.get(testJobIds[0])).id).toEqual(testJobIds[0]);
+  });
+
+  test("bad request if its company is deleted", async function () {
+    await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'");
+    await Job.remove(testJobIds[0]);
+    try {
+      await Job.restore(testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await Job.restore(testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("deletes jobs deleted more than `days` ago", async function () {
+    await Job.remove(testJobIds[0]);
+    await Job.remove(testJobIds[1]);
+    await db.query(
+        "UPDATE jobs SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1",
+        [testJobIds[0]]);
+
+    expect(await Job.purge(30)).toEqual(1);
+
+    const res = await db.query("SELECT id FROM jobs WHERE id = ANY($1)",
+        [testJobIds.slice(0, 2)]);
+    expect(res.rows).toEqual([{ id: testJobIds[1] }]);
+  });
+});
@@ -0,0 +1,197 @@
+"use strict";
+
+const db = require("../db");
+const {
+  NotFoundError,
+  LockedError,
+  TooManyRequestsError,
+} = require("../expressError");
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+} = require("../config");
+
+/** Failures before logins start being slowed down, and the longest wait. */
+
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 30;
+
+/** Seconds to wait after the last failure, given how many there were in a
+ * row: 0, 0, 1, 2, 4, ... up to MAX_DELAY_SECONDS. */
+
+function delayFor(failures) {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+}
+
+/** Count a failed login against scope ("account" or "ip") and key, locking
+ * it once it reaches maxFailures. ip is recorded with any lockout. */
+
+async function recordScopeFailure(scope, key, ip, maxFailures) {
+  // a count left over from an old streak or an expired lock starts again
+  await db.query(
+        `INSERT INTO login_failures (scope, key, failures, last_failed_at)
+         VALUES ($1, $2, 1, NOW())
+         ON CONFLICT (scope, key) DO UPDATE
+         SET failures = CASE
+               WHEN login_failures.last_failed_at
+                      < NOW() - make_interval(mins => $3)
+                 OR login_failures.locked_until <= NOW()
+               THEN 1
+               ELSE login_failures.failures + 1
+             END,
+             locked_until = CASE
+               WHEN login_failures.locked_until > NOW()
+               THEN login_failures.locked_until
+             END,
+             last_failed_at = NOW()`,
+      [scope, key, LOGIN_LOCKOUT_MINUTES]);
+
+  const locked = await db.query(
+        `UPDATE login_failures
+         SET locked_until = NOW() + make_interval(mins => $3)
+         WHERE scope = $1 AND key = $2
+           AND failures >= $4
+           AND locked_until IS NULL
+         RETURNING failures, locked_until AS "lockedUntil"`,
+      [scope, key, LOGIN_LOCKOUT_MINUTES, maxFailures]);
+
+  if (locked.rows[0]) {
+    const { failures, lockedUntil } = locked.rows[0];
+    await db.query(
+          `INSERT INTO login_lockouts (scope, key, ip, failures, locked_until)
+           VALUES ($1, $2, $3, $4, $5)`,
+        [scope, key, ip, failures, lockedUntil]);
+  }
+}
+
+/** Related functions for tracking failed logins.
+ *
+ * Failed logins are counted per account and per client IP address, in the
+ * database so the counts are shared by every server and survive restarts.
+ * After a few failures in a row, each new attempt on the account must wait
+ * longer; at LOGIN_MAX_FAILURES it is locked (423), and at
+ * LOGIN_MAX_FAILURES_PER_IP an address is blocked (429), for
+ * LOGIN_LOCKOUT_MINUTES. Each lockout is kept in login_lockouts.
+ */
+
+class LoginAttempt {
+  /** Check that username may try to log in from ip; returns undefined.
+   *
+   * Throws LockedError if the account is locked, and TooManyRequestsError if
+   * the address is blocked or it's too soon after the last failure. Both
+   * carry retryAfter, in seconds.
+   **/
+
+  static async check(username, ip) {
+    const result = await db.query(
+          `SELECT scope,
+                  failures,
+                  EXTRACT(EPOCH FROM NOW() - last_failed_at)::float
+                    AS "secondsSinceFailure",
+                  EXTRACT(EPOCH FROM locked_until - NOW())::float
+                    AS "secondsLocked"
+           FROM login_failures
+           WHERE (scope = 'account' AND key = $1)
+              OR (scope = 'ip' AND key = $2)
+           ORDER BY scope`,
+        [username, ip]);
+
+    for (let row of result.rows) {
+      if (row.secondsLocked > 0) {
+        const retryAfter = Math.ceil(row.secondsLocked);
+        if (row.scope === "account") {
+          throw new LockedError(
+              "Account locked after too many failed logins", retryAfter);
+        }
+        throw new TooManyRequestsError(
+            "Too many failed logins from this address", retryAfter);
+      }
+
+      // an expired lock means the count is about to start again; and many
+      // users can share an address, so only accounts are slowed down
+      if (row.secondsLocked !== null || row.scope !== "account") continue;
+
+      const wait = delayFor(row.failures) - row.secondsSinceFailure;
+      if (wait > 0) {
+        throw new TooManyRequestsError(
+            "Too many failed logins; wait before trying again",
+            Math.ceil(wait));
+      }
+    }
+  }
+
+  /** Record a failed login for username from ip; returns undefined. */
+
+  static async recordFailure(username, ip) {
+    await recordScopeFailure("account", username, ip, LOGIN_MAX_FAILURES);
+    if (ip) await recordScopeFailure("ip", ip, ip, LOGIN_MAX_FAILURES_PER_IP);
+  }
+
+  /** Record a successful login, clearing the account's failures.
+   *
+   * The address's failures are kept: logging in to one account mustn't
+   * make it easier to guess the passwords of others.
+   **/
+
+  static async recordSuccess(username) {
+    await db.query(
+          `DELETE FROM login_failures
+           WHERE scope = 'account' AND key = $1`,
+        [username]);
+  }
+
+  /** Unlock an account and clear its failures; returns undefined.
+   *
+   * unlockedBy is the admin doing it, recorded on the lockout.
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async unlock(username, unlockedBy) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1`, [username]);
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+          `DELETE FROM login_failures
+           WHERE scope = 'account' AND key = $1`,
+        [username]);
+
+    await db.query(
+          `UPDATE login_lockouts
+           SET unlocked_at = NOW(), unlocked_by = $2
+           WHERE scope = 'account' AND key = $1
+             AND locked_until > NOW() AND unlocked_at IS NULL`,
+        [username, unlockedBy]);
+  }
+
+  /** Find an account's lockouts, newest first.
+   *
+   * Returns [{ id, ip, failures, createdAt, lockedUntil, unlockedAt,
+   *            unlockedBy }, ...]
+   **/
+
+  static async findLockouts(username) {
+    const result = await db.query(
+          `SELECT id,
+                  ip,
+                  failures,
+                  created_at AS "createdAt",
+                  locked_until AS "lockedUntil",
+                  unlocked_at AS "unlockedAt",
+                  unlocked_by AS "unlockedBy"
+           FROM login_lockouts
+           WHERE scope = 'account' AND key = $1
+           ORDER BY created_at DESC, id DESC`,
+        [username]);
+
+    return result.rows;
+  }
+}
+
+
+module.exports = LoginAttempt;
@@ -0,0 +1,160 @@
+"use strict";
+
+const {
+  NotFoundError,
+  LockedError,
+  TooManyRequestsError,
+} = require("../expressError");
+const db = require("../db.js");
+const LoginAttempt = require("./loginAttempt.js");
+const { LOGIN_MAX_FAILURES, LOGIN_MAX_FAILURES_PER_IP } = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Fail to log in n times, as if far enough apart to avoid any delay. */
+
+async function failTimes(n, username = "u1", ip = "1.1.1.1") {
+  for (let i = 0; i < n; i++) {
+    await db.query(
+        "UPDATE login_failures SET last_failed_at = last_failed_at - INTERVAL '1 minute'");
+    await LoginAttempt.recordFailure(username, ip);
+  }
+}
+
+/************************************** check */
+
+describe("check", function () {
+  test("works with no failures", async function () {
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("works after a couple of failures", async function () {
+    await LoginAttempt.recordFailure("u1", "1.1.1.1");
+    await LoginAttempt.recordFailure("u1", "1.1.1.1");
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("too many requests right after repeated failures", async function () {
+    await failTimes(3);
+    try {
+      await LoginAttempt.check("u1", "2.2.2.2");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(1);
+    }
+  });
+
+  test("works once the delay has passed", async function () {
+    await failTimes(3);
+    await db.query(
+        "UPDATE login_failures SET last_failed_at = NOW() - INTERVAL '2 seconds'");
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("locked after max failures", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    try {
+      await LoginAttempt.check("u1", "2.2.2.2");
+      fail();
+    } catch (err) {
+      expect(err instanceof LockedError).toBeTruthy();
+      expect(err.retryAfter).toBeGreaterThan(60);
+    }
+    // other accounts can still log in from elsewhere
+    await LoginAttempt.check("u2", "2.2.2.2");
+  });
+
+  test("works once the lock has expired", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    await db.query("UPDATE login_failures SET locked_until = NOW()");
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("address blocked after max failures across accounts", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES_PER_IP; i++) {
+      await failTimes(1, `user${i}`);
+    }
+    try {
+      await LoginAttempt.check("u1", "1.1.1.1");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+    }
+    await LoginAttempt.check("u1", "2.2.2.2");
+  });
+});
+
+/************************************** recordFailure */
+
+describe("recordFailure", function () {
+  test("records a lockout", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    const lockouts = await LoginAttempt.findLockouts("u1");
+    expect(lockouts).toEqual([
+      {
+        id: expect.any(Number),
+        ip: "1.1.1.1",
+        failures: LOGIN_MAX_FAILURES,
+        createdAt: expect.any(Date),
+        lockedUntil: expect.any(Date),
+        unlockedAt: null,
+        unlockedBy: null,
+      },
+    ]);
+  });
+
+  test("starts counting again after a lock expires", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    await db.query("UPDATE login_failures SET locked_until = NOW()");
+    await failTimes(1);
+    const res = await db.query(
+        `SELECT failures, locked_until
+         FROM login_failures
+         WHERE scope = 'account' AND key = 'u1'`);
+    expect(res.rows).toEqual([{ failures: 1, locked_until: null }]);
+  });
+});
+
+/************************************** recordSuccess */
+
+describe("recordSuccess", function () {
+  test("clears the account's failures but not the address's", async function () {
+    await failTimes(3);
+    await LoginAttempt.recordSuccess("u1");
+    const res = await db.query(
+        "SELECT scope, failures FROM login_failures ORDER BY scope");
+    expect(res.rows).toEqual([{ scope: "ip", failures: 3 }]);
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await failTimes(LOGIN_MAX_FAILURES);
+    await LoginAttempt.unlock("u1", "admin");
+    await LoginAttempt.check("u1", "2.2.2.2");
+    const lockouts = await LoginAttempt.findLockouts("u1");
+    expect(lockouts[0].unlockedBy).toEqual("admin");
+    expect(lockouts[0].unlockedAt).toEqual(expect.any(Date));
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await LoginAttempt.unlock("nope", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
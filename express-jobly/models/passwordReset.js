@@ -0,0 +1,90 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const {
+  PASSWORD_RESET_URL,
+  PASSWORD_RESET_TTL_MINUTES,
+} = require("../config");
+const User = require("./user");
+
+/** Related functions for password resets.
+ *
+ * A reset token is emailed to the user and can be used once, before it
+ * expires, to set a new password. Only its hash is stored.
+ */
+
+class PasswordReset {
+  /** Email a reset link to every user with this email address.
+   *
+   * Returns undefined whether or not any user has that address, so callers
+   * can't use this to find out which addresses are registered.
+   **/
+
+  static async request(email) {
+    const result = await db.query(
+          `SELECT username, first_name AS "firstName", email
+           FROM users
+           WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL`,
+        [email]);
+
+    for (let user of result.rows) {
+      const token = createRandomToken();
+
+      await db.query(
+            `INSERT INTO password_reset_tokens (token_hash, username, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+          [hashToken(token), user.username, PASSWORD_RESET_TTL_MINUTES]);
+
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Jobly password",
+        text: `Hi ${user.firstName},\n\n`
+            + `Someone asked to reset the password for ${user.username}. `
+            + `To choose a new one, go to:\n\n`
+            + `${PASSWORD_RESET_URL}?token=${token}\n\n`
+            + `The link works once, within ${PASSWORD_RESET_TTL_MINUTES} `
+            + `minutes. If you didn't ask for this, you can ignore it.\n`,
+      });
+    }
+  }
+
+  /** Set user's password using a reset token.
+   *
+   * Uses up the token and any other outstanding tokens for the same user,
+   * and (through User.update) logs the user out everywhere.
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, used or expired.
+   **/
+
+  static async confirm(token, password) {
+    // marking used only if still unused keeps two concurrent uses of the
+    // same token from both succeeding
+    const result = await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+           RETURNING username`,
+        [hashToken(token)]);
+    const found = result.rows[0];
+
+    if (!found) throw new BadRequestError("Invalid or expired reset token");
+
+    await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE username = $1 AND used_at IS NULL`,
+        [found.username]);
+
+    await User.update(found.username, { password });
+
+    return { username: found.username };
+  }
+}
+
+
+module.exports = PasswordReset;
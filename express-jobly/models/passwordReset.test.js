@@ -0,0 +1,106 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const Session = require("./session.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Request a reset for u1 and return the token from the email sent. */
+
+async function requestToken() {
+  await PasswordReset.request("u1@email.com");
+  const res = await db.query(
+      "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+  return res.rows[0].body.match(/token=([\w-]+)/)[1];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works", async function () {
+    await PasswordReset.request("U1@email.com");
+    const mail = await db.query("SELECT to_address, body FROM mail_outbox");
+    expect(mail.rows).toEqual([
+      { to_address: "u1@email.com", body: expect.stringContaining("token=") },
+    ]);
+    const tokens = await db.query(
+        "SELECT username, expires_at > NOW() AS valid FROM password_reset_tokens");
+    expect(tokens.rows).toEqual([{ username: "u1", valid: true }]);
+  });
+
+  test("does nothing for unknown email", async function () {
+    await PasswordReset.request("nope@email.com");
+    const mail = await db.query("SELECT id FROM mail_outbox");
+    expect(mail.rows).toEqual([]);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const token = await requestToken();
+    const sessionId = await Session.create("u1");
+    const result = await PasswordReset.confirm(token, "new-password");
+    expect(result).toEqual({ username: "u1" });
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+    expect(await Session.isActive(sessionId)).toEqual(false);
+  });
+
+  test("bad request if used twice", async function () {
+    const token = await requestToken();
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await PasswordReset.confirm(token, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("uses up other outstanding tokens", async function () {
+    const first = await requestToken();
+    const second = await requestToken();
+    await PasswordReset.confirm(second, "new-password");
+    try {
+      await PasswordReset.confirm(first, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    const token = await requestToken();
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await PasswordReset.confirm(token, "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for unknown token", async function () {
+    try {
+      await PasswordReset.confirm("nope", "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,124 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+const Session = require("./session");
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are random strings; only their hashes are stored. Each use
+ * trades the token for a new one in the same session (the token "family").
+ * Presenting a token that was already traded means it leaked, so the whole
+ * session is revoked.
+ */
+
+class RefreshToken {
+  /** Issue a refresh token for user's session.
+   *
+   * Returns the token, which is only available now.
+   **/
+
+  static async create(username, sessionId) {
+    const token = createRandomToken();
+
+    await db.query(
+          `INSERT INTO refresh_tokens
+           (token_hash, session_id, username, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(days => $4))`,
+        [hashToken(token), sessionId, username, REFRESH_TOKEN_TTL_DAYS]);
+
+    return token;
+  }
+
+  /** Trade a refresh token for a new one in the same session.
+   *
+   * Returns { user, sessionId, refreshToken }
+   *   where user is { username, isAdmin }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked, or
+   * its session was revoked. If it was already used, also revokes the
+   * session and every token in it.
+   **/
+
+  static async rotate(token) {
+    const result = await db.query(
+          `SELECT rt.id,
+                  rt.session_id AS "sessionId",
+                  rt.expires_at < NOW() AS "isExpired",
+                  rt.revoked_at IS NOT NULL
+                    OR s.revoked_at IS NOT NULL AS "isRevoked",
+                  u.username,
+                  u.is_admin AS "isAdmin"
+           FROM refresh_tokens AS rt
+             JOIN sessions AS s ON s.id = rt.session_id
+             JOIN users AS u ON u.username = rt.username
+           WHERE rt.token_hash = $1`,
+        [hashToken(token)]);
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+    if (found.isRevoked) throw new UnauthorizedError("Refresh token revoked");
+
+    // marking used only if still unused keeps two concurrent uses of the
+    // same token from both succeeding
+    const used = await db.query(
+          `UPDATE refresh_tokens
+           SET used_at = NOW()
+           WHERE id = $1 AND used_at IS NULL
+           RETURNING id`,
+        [found.id]);
+
+    if (!used.rows[0]) {
+      await RefreshToken.revokeFamily(found.sessionId);
+      throw new UnauthorizedError("Refresh token reuse detected");
+    }
+
+    if (found.isExpired) throw new UnauthorizedError("Refresh token expired");
+
+    const refreshToken = await RefreshToken.create(found.username, found.sessionId);
+    await Session.extend(found.sessionId);
+
+    return {
+      user: { username: found.username, isAdmin: found.isAdmin },
+      sessionId: found.sessionId,
+      refreshToken,
+    };
+  }
+
+  /** Revoke a refresh token and the rest of its session; returns undefined.
+   *
+   * Unknown tokens are ignored, so logging out twice isn't an error.
+   **/
+
+  static async revoke(token) {
+    const result = await db.query(
+          `SELECT session_id AS "sessionId"
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+        [hashToken(token)]);
+    const found = result.rows[0];
+
+    if (found) await RefreshToken.revokeFamily(found.sessionId);
+  }
+
+  /** Revoke a session and every refresh token in it; returns undefined. */
+
+  static async revokeFamily(sessionId) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE session_id = $1 AND revoked_at IS NULL`,
+        [sessionId]);
+
+    await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE id = $1 AND revoked_at IS NULL`,
+        [sessionId]);
+  }
+}
+
+
+module.exports = RefreshToken;
@@ -0,0 +1,142 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const Session = require("./session.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function createToken() {
+  const sessionId = await Session.create("u1");
+  return await RefreshToken.create("u1", sessionId);
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: stores only the hash", async function () {
+    const sessionId = await Session.create("u1");
+    const token = await RefreshToken.create("u1", sessionId);
+    const res = await db.query(
+        `SELECT token_hash, session_id, username, expires_at > NOW() AS valid
+         FROM refresh_tokens`);
+    expect(res.rows).toEqual([
+      {
+        token_hash: expect.any(String),
+        session_id: sessionId,
+        username: "u1",
+        valid: true,
+      },
+    ]);
+    expect(res.rows[0].token_hash).not.toEqual(token);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const sessionId = await Session.create("u1");
+    const token = await RefreshToken.create("u1", sessionId);
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual({
+      user: { username: "u1", isAdmin: false },
+      sessionId,
+      refreshToken: expect.any(String),
+    });
+    expect(result.refreshToken).not.toEqual(token);
+  });
+
+  test("unauth for unknown token", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth for expired token", async function () {
+    const token = await createToken();
+    await db.query("UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'");
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if session revoked", async function () {
+    const sessionId = await Session.create("u1");
+    const token = await RefreshToken.create("u1", sessionId);
+    await Session.revoke("u1", sessionId);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("reuse revokes the whole session", async function () {
+    const sessionId = await Session.create("u1");
+    const token = await RefreshToken.create("u1", sessionId);
+    const { refreshToken: next } = await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    try {
+      await RefreshToken.rotate(next);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    expect(await Session.isActive(sessionId)).toEqual(false);
+  });
+
+  test("other sessions unaffected by reuse", async function () {
+    const token = await createToken();
+    const other = await createToken();
+    await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+    } catch (err) {
+      // expected
+    }
+    const result = await RefreshToken.rotate(other);
+    expect(result.user.username).toEqual("u1");
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const token = await createToken();
+    await RefreshToken.revoke(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("ignores unknown token", async function () {
+    await RefreshToken.revoke("nope");
+  });
+});
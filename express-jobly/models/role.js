@@ -0,0 +1,125 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { ROLES } = require("../helpers/permissions");
+const Session = require("./session");
+const Audit = require("./audit");
+
+/** Throw BadRequestError unless role can be assigned and removed: candidate
+ * can't be, as it just means "no other role". */
+
+function checkAssignable(role) {
+  if (!ROLES.includes(role)) throw new BadRequestError(`Unknown role: ${role}`);
+  if (role === "candidate") {
+    throw new BadRequestError("Users are candidates when they have no other role");
+  }
+}
+
+/** Related functions for users' roles.
+ *
+ * super-admin is the is_admin flag; recruiter and company-editor are kept
+ * in user_roles; users with neither are candidates. See
+ * helpers/permissions.js for what each role may do.
+ */
+
+class Role {
+  /** Find a user's roles.
+   *
+   * Returns e.g. ["recruiter", "company-editor"], or ["candidate"]
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async findForUser(username) {
+    const userRes = await db.query(
+          `SELECT is_admin AS "isAdmin"
+           FROM users
+           WHERE username = $1`, [username]);
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const rolesRes = await db.query(
+          `SELECT role
+           FROM user_roles
+           WHERE username = $1
+           ORDER BY role`, [username]);
+
+    const roles = rolesRes.rows.map(r => r.role);
+    if (user.isAdmin) roles.unshift("super-admin");
+
+    return roles.length > 0 ? roles : ["candidate"];
+  }
+
+  /** Give user a role, as granted by grantedBy; returns undefined.
+   *
+   * Changing roles logs the user out everywhere, since their tokens carry
+   * their old roles.
+   *
+   * Throws BadRequestError if the role is unknown or is candidate (which
+   * users have when they have no other); NotFoundError if no such user.
+   **/
+
+  static async assign(username, role, grantedBy) {
+    checkAssignable(role);
+
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1`, [username]);
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    // only returns a row if user didn't already have the role
+    const result = role === "super-admin"
+        ? await db.query(
+              `UPDATE users
+               SET is_admin = TRUE
+               WHERE username = $1 AND NOT is_admin
+               RETURNING username`, [username])
+        : await db.query(
+              `INSERT INTO user_roles (username, role, granted_by)
+               VALUES ($1, $2, $3)
+               ON CONFLICT DO NOTHING
+               RETURNING username`,
+            [username, role, grantedBy]);
+
+    if (result.rows[0]) {
+      await Audit.record("create", "role", `${username}/${role}`,
+          null, { username, role, grantedBy });
+    }
+
+    await Session.revokeAll(username);
+  }
+
+  /** Take a role away from user; returns undefined.
+   *
+   * Throws BadRequestError if the role is unknown or is candidate (which
+   * can't be removed); NotFoundError if the user doesn't have it.
+   **/
+
+  static async remove(username, role) {
+    checkAssignable(role);
+
+    const result = role === "super-admin"
+        ? await db.query(
+              `UPDATE users
+               SET is_admin = FALSE
+               WHERE username = $1 AND is_admin
+               RETURNING username`, [username])
+        : await db.query(
+              `DELETE FROM user_roles
+               WHERE username = $1 AND role = $2
+               RETURNING username`, [username, role]);
+
+    if (!result.rows[0]) throw new NotFoundError(`${username} isn't a ${role}`);
+
+    await Audit.record("remove", "role", `${username}/${role}`,
+        { username, role }, null);
+
+    await Session.revokeAll(username);
+  }
+}
+
+
+module.exports = Role;
@@ -0,0 +1,118 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const Role = require("./role.js");
+const Session = require("./session.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works: candidate", async function () {
+    expect(await Role.findForUser("u1")).toEqual(["candidate"]);
+  });
+
+  test("works: admin with roles", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    await Role.assign("u1", "recruiter", "admin");
+    expect(await Role.findForUser("u1")).toEqual(["super-admin", "recruiter"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** assign */
+
+describe("assign", function () {
+  test("works", async function () {
+    await Role.assign("u1", "recruiter", "admin");
+    await Role.assign("u1", "company-editor", "admin");
+    expect(await Role.findForUser("u1")).toEqual(["company-editor", "recruiter"]);
+
+    const res = await db.query(
+        "SELECT granted_by FROM user_roles WHERE username = 'u1' AND role = 'recruiter'");
+    expect(res.rows).toEqual([{ granted_by: "admin" }]);
+  });
+
+  test("works: twice", async function () {
+    await Role.assign("u1", "recruiter", "admin");
+    await Role.assign("u1", "recruiter", "admin");
+    expect(await Role.findForUser("u1")).toEqual(["recruiter"]);
+  });
+
+  test("works: super-admin sets is_admin", async function () {
+    await Role.assign("u1", "super-admin", "admin");
+    const res = await db.query("SELECT is_admin FROM users WHERE username = 'u1'");
+    expect(res.rows[0].is_admin).toEqual(true);
+  });
+
+  test("revokes sessions", async function () {
+    const sessionId = await Session.create("u1");
+    await Role.assign("u1", "recruiter", "admin");
+    expect(await Session.isActive(sessionId)).toEqual(false);
+  });
+
+  test("bad request with unknown role or candidate", async function () {
+    for (const role of ["boss", "candidate"]) {
+      try {
+        await Role.assign("u1", role, "admin");
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.assign("nope", "recruiter", "admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await Role.assign("u1", "recruiter", "admin");
+    await Role.remove("u1", "recruiter");
+    expect(await Role.findForUser("u1")).toEqual(["candidate"]);
+  });
+
+  test("works: super-admin", async function () {
+    await Role.assign("u1", "super-admin", "admin");
+    await Role.remove("u1", "super-admin");
+    const res = await db.query("SELECT is_admin FROM users WHERE username = 'u1'");
+    expect(res.rows[0].is_admin).toEqual(false);
+  });
+
+  test("not found if user doesn't have the role", async function () {
+    try {
+      await Role.remove("u1", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { checkUser } = require("../helpers/checks");
+const Audit = require("./audit");
+
+/** Related functions for saved jobs: jobs users bookmark to come back to,
+ * without applying (or marking interest; see User.applyToJob). */
+
+class SavedJob {
+  /** Find the jobs user has saved, most recently saved first. Jobs in the
+   * trash are left out; closed and filled ones aren't.
+   *
+   * Returns [{ id, title, companyHandle, companyName, status, savedAt }, ...]
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async findForUser(username) {
+    await checkUser(username);
+
+    const result = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  c.name AS "companyName",
+                  j.status,
+                  sj.saved_at AS "savedAt"
+           FROM saved_jobs AS sj
+             JOIN jobs AS j ON j.id = sj.job_id
+             JOIN companies AS c ON c.handle = j.company_handle
+           WHERE sj.username = $1 AND j.deleted_at IS NULL
+           ORDER BY sj.saved_at DESC, j.id DESC`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Save job `jobId` for user; saving it again does nothing. Returns
+   * undefined.
+   *
+   * Throws NotFoundError if no such user, or no such job (drafts and jobs
+   * in the trash can't be saved).
+   **/
+
+  static async save(username, jobId) {
+    await checkUser(username);
+    const jobCheck = await db.query(
+          `SELECT id
+           FROM jobs
+           WHERE id = $1 AND status <> 'draft' AND deleted_at IS NULL`,
+        [jobId]);
+    if (!jobCheck.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    const result = await db.query(
+          `INSERT INTO saved_jobs (username, job_id)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING
+           RETURNING saved_at AS "savedAt"`,
+        [username, jobId]);
+
+    if (result.rows[0]) {
+      await Audit.record("create", "saved-job", `${username}/${jobId}`,
+          null, { username, jobId, ...result.rows[0] });
+    }
+  }
+
+  /** Unsave job `jobId` for user; returns undefined.
+   *
+   * Throws NotFoundError if they haven't saved it.
+   **/
+
+  static async remove(username, jobId) {
+    const result = await db.query(
+          `DELETE FROM saved_jobs
+           WHERE username = $1 AND job_id = $2
+           RETURNING saved_at AS "savedAt"`,
+        [username, jobId]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`${username} hasn't saved job ${jobId}`);
+    }
+
+    await Audit.record("remove", "saved-job", `${username}/${jobId}`,
+        { username, jobId, ...result.rows[0] }, null);
+  }
+
+  /** Which of jobs `jobIds` has user saved? Returns a Set of their ids. */
+
+  static async whichSaved(username, jobIds) {
+    const result = await db.query(
+          `SELECT job_id AS "jobId"
+           FROM saved_jobs
+           WHERE username = $1 AND job_id = ANY($2::integer[])`,
+        [username, jobIds]);
+
+    return new Set(result.rows.map(r => r.jobId));
+  }
+}
+
+
+module.exports = SavedJob;
@@ -0,0 +1,144 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const SavedJob = require("./savedJob.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** save */
+
+describe("save", function () {
+  test("works", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    const jobs = await SavedJob.findForUser("u1");
+    expect(jobs).toEqual([
+      {
+        id: testJobIds[0],
+        title: "Job1",
+        companyHandle: "c1",
+        companyName: "C1",
+        status: "published",
+        savedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("saving again does nothing", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    await SavedJob.save("u1", testJobIds[0]);
+    const jobs = await SavedJob.findForUser("u1");
+    expect(jobs.length).toEqual(1);
+  });
+
+  test("not found if draft", async function () {
+    await db.query("UPDATE jobs SET status = 'draft' WHERE id = $1",
+        [testJobIds[0]]);
+    try {
+      await SavedJob.save("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await SavedJob.save("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedJob.save("nope", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works: most recently saved first", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    await db.query(
+          `INSERT INTO saved_jobs (username, job_id, saved_at)
+           VALUES ('u1', $1, NOW() + INTERVAL '1 minute')`,
+        [testJobIds[1]]);
+    const jobs = await SavedJob.findForUser("u1");
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[1], testJobIds[0]]);
+  });
+
+  test("leaves out jobs in the trash, not closed ones", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    await SavedJob.save("u1", testJobIds[1]);
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1",
+        [testJobIds[0]]);
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = $1",
+        [testJobIds[1]]);
+    const jobs = await SavedJob.findForUser("u1");
+    expect(jobs.map(j => [j.id, j.status]))
+        .toEqual([[testJobIds[1], "closed"]]);
+  });
+
+  test("works: none saved", async function () {
+    const jobs = await SavedJob.findForUser("u2");
+    expect(jobs).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedJob.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    await SavedJob.remove("u1", testJobIds[0]);
+    const jobs = await SavedJob.findForUser("u1");
+    expect(jobs).toEqual([]);
+  });
+
+  test("not found if not saved", async function () {
+    try {
+      await SavedJob.remove("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** whichSaved */
+
+describe("whichSaved", function () {
+  test("works", async function () {
+    await SavedJob.save("u1", testJobIds[0]);
+    await SavedJob.save("u1", testJobIds[2]);
+    await SavedJob.save("u2", testJobIds[1]);
+    const saved = await SavedJob.whichSaved("u1", testJobIds.slice(0, 2));
+    expect([...saved]).toEqual([testJobIds[0]]);
+  });
+});
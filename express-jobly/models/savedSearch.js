@@ -0,0 +1,287 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { notify } = require("../helpers/notifier");
+const { checkUser } = require("../helpers/checks");
+const Job = require("./job");
+const Audit = require("./audit");
+
+/** A saved search's columns, as returned by create, get and the rest. */
+
+const SAVED_SEARCH_FIELDS = `id,
+                             name,
+                             params,
+                             created_at AS "createdAt",
+                             last_run_at AS "lastRunAt"`;
+
+/** An alert tells of at most this many new jobs, the newest; any more are
+ * left for later alerts. */
+
+const ALERT_MAX_JOBS = 20;
+
+/** Find all the jobs a search's params match now, newest first. Only the
+ * filters count: any sort, paging or facets in params are ignored.
+ *
+ * Returns [{ id, title, companyName, ... }, ...], as from Job.findAll.
+ *
+ * Throws BadRequestError if the params can't be searched on (e.g. a min
+ * filter is greater than its max). */
+
+async function findMatches(username, params) {
+  if (params.status !== undefined) {
+    throw new BadRequestError("Saved searches can't filter on status");
+  }
+
+  const { facets, sort, limit, page, cursor, ...filters } = params;
+  return await Job.findAll(
+      { ...Job.searchFiltersFor(filters, username), sort: "-id" });
+}
+
+/** Record jobs `jobIds` as matched by search `searchId`, so alerts don't tell
+ * of them again; returns undefined. */
+
+async function recordMatches(searchId, jobIds) {
+  await db.query(
+        `INSERT INTO saved_search_matches (search_id, job_id)
+         SELECT $1, unnest($2::integer[])
+         ON CONFLICT DO NOTHING`,
+      [searchId, jobIds]);
+}
+
+/** Throw BadRequestError if user already has a saved search called name,
+ * other than search `id`. */
+
+async function checkDuplicate(username, name, id = null) {
+  const duplicateCheck = await db.query(
+        `SELECT id
+         FROM saved_searches
+         WHERE username = $1 AND name = $2 AND id IS DISTINCT FROM $3`,
+      [username, name, id]);
+
+  if (duplicateCheck.rows[0]) {
+    throw new BadRequestError(`Duplicate saved search: ${name}`);
+  }
+}
+
+/** The text of an alert about `jobs`, new for saved search `name`, with
+ * `more` new jobs left for the next alert. */
+
+function alertText(name, jobs, more) {
+  const lines = jobs.map(j => `- ${j.title} at ${j.companyName} (job ${j.id})`);
+  if (more > 0) lines.push(`...and ${more} more next time.`);
+
+  return `New jobs match your saved search "${name}":\n\n`
+      + lines.join("\n") + "\n";
+}
+
+/** Run saved search `search` ({ id, username, name, params, email }), and
+ * notify its user of the jobs it matches that they haven't been told of (up
+ * to ALERT_MAX_JOBS of them).
+ *
+ * The jobs are only counted as told of once the notification is sent, so
+ * if sending fails they're in the next alert instead.
+ *
+ * Returns true if an alert was sent, false if there was nothing new.
+ */
+
+async function sendAlert(search) {
+  const matches = await findMatches(search.username, search.params);
+  const seenRes = await db.query(
+        `SELECT job_id AS "jobId"
+         FROM saved_search_matches
+         WHERE search_id = $1`, [search.id]);
+  const seen = new Set(seenRes.rows.map(r => r.jobId));
+  const newJobs = matches.filter(j => !seen.has(j.id));
+  const jobs = newJobs.slice(0, ALERT_MAX_JOBS);
+
+  if (jobs.length > 0) {
+    await notify({
+      username: search.username,
+      email: search.email,
+      subject: `${jobs.length} new job${jobs.length === 1 ? "" : "s"} `
+          + `for "${search.name}"`,
+      text: alertText(search.name, jobs, newJobs.length - jobs.length),
+    });
+    await recordMatches(search.id, jobs.map(j => j.id));
+  }
+
+  await db.query(
+        `UPDATE saved_searches SET last_run_at = NOW() WHERE id = $1`,
+      [search.id]);
+
+  return jobs.length > 0;
+}
+
+/** Related functions for saved searches: GET /jobs searches users keep, and
+ * are told about new matches for (see sendAlerts).
+ *
+ * Jobs a search matches when it's saved (or its params change) don't count
+ * as new; every job it matches later does, once.
+ */
+
+class SavedSearch {
+  /** Save a search for user.
+   *
+   * data should be { name, params }, where params are GET /jobs search
+   * parameters (schemas/jobSearch.json). Only the filters count; status
+   * isn't allowed.
+   *
+   * Returns { id, name, params, createdAt, lastRunAt }
+   *
+   * Throws NotFoundError if no such user; BadRequestError if they have a
+   * search with that name, or the params can't be searched on.
+   **/
+
+  static async create(username, { name, params }) {
+    await checkUser(username);
+    await checkDuplicate(username, name);
+    const matches = await findMatches(username, params);
+
+    const result = await db.query(
+          `INSERT INTO saved_searches (username, name, params)
+           VALUES ($1, $2, $3)
+           RETURNING ${SAVED_SEARCH_FIELDS}`,
+        [username, name, params]);
+    const search = result.rows[0];
+
+    await recordMatches(search.id, matches.map(j => j.id));
+
+    await Audit.record("create", "saved-search", search.id,
+        null, { username, ...search });
+
+    return search;
+  }
+
+  /** Find user's saved searches, by name.
+   *
+   * Returns [{ id, name, params, createdAt, lastRunAt }, ...]
+   **/
+
+  static async findForUser(username) {
+    const result = await db.query(
+          `SELECT ${SAVED_SEARCH_FIELDS}
+           FROM saved_searches
+           WHERE username = $1
+           ORDER BY name`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Given a username and saved search id, return the search.
+   *
+   * Returns { id, name, params, createdAt, lastRunAt }
+   *
+   * Throws NotFoundError if user has no such search.
+   **/
+
+  static async get(username, id) {
+    const result = await db.query(
+          `SELECT ${SAVED_SEARCH_FIELDS}
+           FROM saved_searches
+           WHERE id = $1 AND username = $2`,
+        [id, username]);
+    const search = result.rows[0];
+
+    if (!search) throw new NotFoundError(`No saved search: ${id}`);
+
+    return search;
+  }
+
+  /** Update user's saved search `id` with `data` (a partial update).
+   *
+   * Data can include: { name, params }. New params replace the old ones
+   * entirely, and the jobs they match now don't count as new.
+   *
+   * Returns { id, name, params, createdAt, lastRunAt }
+   *
+   * Throws NotFoundError if user has no such search; BadRequestError if
+   * they have another with the new name, or the params can't be searched
+   * on.
+   **/
+
+  static async update(username, id, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const before = await SavedSearch.get(username, id);
+
+    if (data.name !== undefined) await checkDuplicate(username, data.name, id);
+    const matches = data.params !== undefined
+        ? await findMatches(username, data.params)
+        : [];
+
+    const idVarIdx = "$" + (values.length + 1);
+    const result = await db.query(
+          `UPDATE saved_searches
+           SET ${setCols}
+           WHERE id = ${idVarIdx}
+           RETURNING ${SAVED_SEARCH_FIELDS}`,
+        [...values, id]);
+    const search = result.rows[0];
+
+    await recordMatches(id, matches.map(j => j.id));
+
+    await Audit.record("update", "saved-search", id, before, search);
+
+    return search;
+  }
+
+  /** Delete user's saved search `id`; returns undefined.
+   *
+   * Throws NotFoundError if user has no such search.
+   **/
+
+  static async remove(username, id) {
+    const result = await db.query(
+          `DELETE FROM saved_searches
+           WHERE id = $1 AND username = $2
+           RETURNING ${SAVED_SEARCH_FIELDS}`,
+        [id, username]);
+    const search = result.rows[0];
+
+    if (!search) throw new NotFoundError(`No saved search: ${id}`);
+
+    await Audit.record("remove", "saved-search", id,
+        { username, ...search }, null);
+  }
+
+  /** Run every saved search, and notify each user (see helpers/notifier.js)
+   * of jobs their searches match that they haven't been told of yet: one
+   * alert per search with new matches. Searches of deleted users are
+   * skipped.
+   *
+   * A search that fails (say, the notifier throws) is skipped; its new jobs
+   * are left for the next run.
+   *
+   * Returns { sent, failed }
+   *   where sent is the number of alerts sent, and failed is
+   *   [{ id, error }, ...], the searches that failed and why
+   **/
+
+  static async sendAlerts() {
+    const searchesRes = await db.query(
+          `SELECT s.id, s.username, s.name, s.params, u.email
+           FROM saved_searches AS s
+             JOIN users AS u ON u.username = s.username
+           WHERE u.deleted_at IS NULL
+           ORDER BY s.id`);
+
+    let sent = 0;
+    const failed = [];
+    for (const search of searchesRes.rows) {
+      // one search failing (e.g. its params no longer search) doesn't stop
+      // the rest; it's tried again next run
+      try {
+        if (await sendAlert(search)) sent++;
+      } catch (err) {
+        failed.push({ id: search.id, error: err });
+      }
+    }
+
+    return { sent, failed };
+  }
+}
+
+
+module.exports = SavedSearch;
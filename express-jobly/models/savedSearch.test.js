@@ -0,0 +1,288 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { setNotifier } = require("../helpers/notifier");
+const SavedSearch = require("./savedSearch.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(async function () {
+  await commonAfterEach();
+  setNotifier();
+});
+afterAll(commonAfterAll);
+
+/** Add a published job to company c2; returns its id. */
+
+async function addJob(title, salary = null) {
+  const result = await db.query(
+        `INSERT INTO jobs (title, salary_min, company_handle, status)
+         VALUES ($1, $2, 'c2', 'published')
+         RETURNING id`,
+      [title, salary]);
+  return result.rows[0].id;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create(
+        "u1", { name: "Well paid", params: { minSalary: 150 } });
+    expect(search).toEqual({
+      id: expect.any(Number),
+      name: "Well paid",
+      params: { minSalary: 150 },
+      createdAt: expect.any(Date),
+      lastRunAt: expect.any(Date),
+    });
+  });
+
+  test("bad request with dupe name", async function () {
+    await SavedSearch.create("u1", { name: "Mine", params: {} });
+    try {
+      await SavedSearch.create("u1", { name: "Mine", params: {} });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request with params that can't be searched on", async function () {
+    for (const params of [{ minSalary: 300, maxSalary: 100 }, { status: ["draft"] }]) {
+      try {
+        await SavedSearch.create("u1", { name: "Bad", params });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedSearch.create("nope", { name: "Mine", params: {} });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    await SavedSearch.create("u1", { name: "B", params: {} });
+    await SavedSearch.create("u1", { name: "A", params: { hasEquity: true } });
+    await SavedSearch.create("u2", { name: "C", params: {} });
+
+    const searches = await SavedSearch.findForUser("u1");
+    expect(searches.map(s => [s.name, s.params])).toEqual(
+        [["A", { hasEquity: true }], ["B", {}]]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "Mine", params: {} });
+    const search = await SavedSearch.get("u1", id);
+    expect(search.name).toEqual("Mine");
+  });
+
+  test("not found for another user's search", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "Mine", params: {} });
+    try {
+      await SavedSearch.get("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "Mine", params: {} });
+    const search = await SavedSearch.update(
+        "u1", id, { name: "Equity", params: { hasEquity: true } });
+    expect(search).toEqual(expect.objectContaining(
+        { id, name: "Equity", params: { hasEquity: true } }));
+  });
+
+  test("jobs new params match now aren't new", async function () {
+    const sent = [];
+    setNotifier(async notification => sent.push(notification));
+    const { id } = await SavedSearch.create(
+        "u1", { name: "Mine", params: { title: "Nothing like it" } });
+    await SavedSearch.update("u1", id, { params: { companyHandle: ["c1"] } });
+
+    expect(await SavedSearch.sendAlerts()).toEqual({ sent: 0, failed: [] });
+  });
+
+  test("bad request with another search's name", async function () {
+    await SavedSearch.create("u1", { name: "Taken", params: {} });
+    const { id } = await SavedSearch.create("u1", { name: "Mine", params: {} });
+    try {
+      await SavedSearch.update("u1", id, { name: "Taken" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such search", async function () {
+    try {
+      await SavedSearch.update("u1", 0, { name: "New" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "Mine", params: {} });
+    await SavedSearch.remove("u1", id);
+    expect(await SavedSearch.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found for another user's search", async function () {
+    const { id } = await SavedSearch.create("u1", { name: "Mine", params: {} });
+    try {
+      await SavedSearch.remove("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** sendAlerts */
+
+describe("sendAlerts", function () {
+  test("tells of new matches, once", async function () {
+    const sent = [];
+    setNotifier(async notification => sent.push(notification));
+    await SavedSearch.create(
+        "u1", { name: "Well paid", params: { minSalary: 150 } });
+
+    const newId = await addJob("Job5", 500);
+    await addJob("Job6", 50);
+
+    expect(await SavedSearch.sendAlerts()).toEqual({ sent: 1, failed: [] });
+    expect(sent).toEqual([{
+      username: "u1",
+      email: "u1@email.com",
+      subject: `1 new job for "Well paid"`,
+      text: `New jobs match your saved search "Well paid":\n\n`
+          + `- Job5 at C2 (job ${newId})\n`,
+    }]);
+
+    expect(await SavedSearch.sendAlerts()).toEqual({ sent: 0, failed: [] });
+    expect(sent.length).toEqual(1);
+  });
+
+  test("tells of jobs published after the search was saved", async function () {
+    const sent = [];
+    setNotifier(async notification => sent.push(notification));
+    await db.query("UPDATE jobs SET status = 'draft' WHERE id = $1",
+        [testJobIds[1]]);
+    await SavedSearch.create("u1", { name: "All", params: {} });
+
+    await db.query("UPDATE jobs SET status = 'published' WHERE id = $1",
+        [testJobIds[1]]);
+
+    expect(await SavedSearch.sendAlerts()).toEqual({ sent: 1, failed: [] });
+    expect(sent[0].text).toContain(`- Job2 at C1 (job ${testJobIds[1]})`);
+  });
+
+  test("goes to the mail outbox by default", async function () {
+    await SavedSearch.create("u2", { name: "All", params: {} });
+    await addJob("Job5");
+
+    await SavedSearch.sendAlerts();
+    const res = await db.query(
+        "SELECT to_address AS \"to\", subject FROM mail_outbox");
+    expect(res.rows).toEqual(
+        [{ to: "u2@email.com", subject: `1 new job for "All"` }]);
+  });
+
+  test("tells of at most 20 jobs, leaving the rest for later", async function () {
+    const sent = [];
+    setNotifier(async notification => sent.push(notification));
+    await SavedSearch.create("u1", { name: "All", params: {} });
+    for (let i = 0; i < 22; i++) await addJob(`New ${i}`);
+
+    await SavedSearch.sendAlerts();
+    expect(sent[0].subject).toEqual(`20 new jobs for "All"`);
+    expect(sent[0].text).toContain("- New 21 at C2");
+    expect(sent[0].text).not.toContain("- New 1 at C2");
+    expect(sent[0].text).toContain("...and 2 more next time.");
+
+    await SavedSearch.sendAlerts();
+    expect(sent[1].subject).toEqual(`2 new jobs for "All"`);
+    expect(sent[1].text).toContain("- New 1 at C2");
+    expect(sent[1].text).toContain("- New 0 at C2");
+    expect(sent[1].text).not.toContain("more next time");
+  });
+
+  test("ignores sort, paging and facets in params", async function () {
+    const sent = [];
+    setNotifier(async notification => sent.push(notification));
+    await db.query(
+          `INSERT INTO saved_searches (username, name, params)
+           VALUES ('u1', 'Paged', $1)`,
+        [{ sort: "title", limit: 1, page: 2, facets: true }]);
+    await addJob("Job5");
+    await addJob("Job6");
+
+    await SavedSearch.sendAlerts();
+    expect(sent[0].subject).toEqual(`6 new jobs for "Paged"`);
+  });
+
+  test("a failed alert doesn't stop the others, and is sent next run", async function () {
+    const sent = [];
+    setNotifier(async notification => {
+      if (notification.username === "u1") throw new Error("transport down");
+      sent.push(notification);
+    });
+    await SavedSearch.create("u1", { name: "All", params: {} });
+    await SavedSearch.create("u2", { name: "All", params: {} });
+    await addJob("Job5");
+
+    const [u1Search] = await SavedSearch.findForUser("u1");
+    expect(await SavedSearch.sendAlerts()).toEqual({
+      sent: 1,
+      failed: [{ id: u1Search.id, error: new Error("transport down") }],
+    });
+    expect(sent.map(n => n.username)).toEqual(["u2"]);
+
+    setNotifier(async notification => sent.push(notification));
+    expect(await SavedSearch.sendAlerts()).toEqual({ sent: 1, failed: [] });
+    expect(sent.map(n => n.username)).toEqual(["u2", "u1"]);
+  });
+
+  test("skips deleted users", async function () {
+    await SavedSearch.create("u1", { name: "All", params: {} });
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    await addJob("Job5");
+
+    expect(await SavedSearch.sendAlerts()).toEqual({ sent: 0, failed: [] });
+  });
+});
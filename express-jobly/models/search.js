@@ -0,0 +1,110 @@
+"use strict";
+
+const db = require("../db");
+const Job = require("./job");
+
+/** ts_headline options: matches are marked with control characters, which
+ * snippet() turns into <b></b> once the text around them is escaped. */
+
+const HEADLINE_OPTIONS = 'StartSel="\x02", StopSel="\x03"';
+
+/** Characters that aren't safe in HTML, and what to write instead. */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#39;",
+};
+
+/** Turn a headline from ts_headline (with HEADLINE_OPTIONS) into HTML: the
+ * text escaped, and matches wrapped in <b></b>. */
+
+function snippet(headline) {
+  return headline
+      .replace(/[&<>"']/g, ch => HTML_ESCAPES[ch])
+      .replace(/\x02/g, "<b>")
+      .replace(/\x03/g, "</b>");
+}
+
+/** Full-text search across jobs and companies.
+ *
+ * Only listed jobs are searched (see Job.LISTED).
+ *
+ * Searches the search_vector columns of jobs (title) and companies (name,
+ * then description), which Postgres keeps up to date itself.
+ */
+
+class Search {
+  /** Search for `q`, a web-style query ("senior engineer", "data -science").
+   *
+   * options (all optional):
+   * - type: "job" or "company" to search only one kind
+   * - limit: most results to return (default 20)
+   *
+   * Returns [result, ...], best match first, where result is
+   *   { type: "job", id, title, companyHandle, rank, snippet } or
+   *   { type: "company", handle, name, rank, snippet }
+   *   and snippet is the matching text as HTML: escaped, with matches
+   *   wrapped in <b></b>
+   **/
+
+  static async search(q, { type, limit = 20 } = {}) {
+    const selects = [];
+
+    if (type === undefined || type === "job") {
+      selects.push(`SELECT 'job' AS type,
+                           j.id::text AS key,
+                           j.title AS label,
+                           j.company_handle AS "companyHandle",
+                           ts_rank(j.search_vector, query) AS rank,
+                           ts_headline('english', j.title, query, $3) AS snippet
+                    FROM jobs AS j,
+                         websearch_to_tsquery('english', $1) AS query
+                    WHERE j.search_vector @@ query
+                      AND j.deleted_at IS NULL
+                      AND ${Job.LISTED}`);
+    }
+
+    if (type === undefined || type === "company") {
+      selects.push(`SELECT 'company' AS type,
+                           c.handle AS key,
+                           c.name AS label,
+                           NULL AS "companyHandle",
+                           ts_rank(c.search_vector, query) AS rank,
+                           ts_headline('english',
+                                       c.name || ': ' || c.description,
+                                       query, $3) AS snippet
+                    FROM companies AS c,
+                         websearch_to_tsquery('english', $1) AS query
+                    WHERE c.search_vector @@ query AND c.deleted_at IS NULL`);
+    }
+
+    const result = await db.query(
+        `${selects.join(" UNION ALL ")}
+         ORDER BY rank DESC, type, key
+         LIMIT $2`,
+        [q, limit, HEADLINE_OPTIONS]);
+
+    return result.rows.map(r => (r.type === "job"
+        ? {
+          type: "job",
+          id: +r.key,
+          title: r.label,
+          companyHandle: r.companyHandle,
+          rank: r.rank,
+          snippet: snippet(r.snippet),
+        }
+        : {
+          type: "company",
+          handle: r.key,
+          name: r.label,
+          rank: r.rank,
+          snippet: snippet(r.snippet),
+        }));
+  }
+}
+
+
+module.exports = Search;
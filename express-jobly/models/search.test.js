@@ -0,0 +1,82 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** search */
+
+describe("search", function () {
+  test("works: job", async function () {
+    const results = await Search.search("job1");
+    expect(results).toEqual([
+      {
+        type: "job",
+        id: testJobIds[0],
+        title: "Job1",
+        companyHandle: "c1",
+        rank: expect.any(Number),
+        snippet: "<b>Job1</b>",
+      },
+    ]);
+  });
+
+  test("works: company description, stemmed", async function () {
+    await db.query(`
+      INSERT INTO companies(handle, name, num_employees, description)
+      VALUES ('eng', 'Engineers Inc', 5, 'We build bridges')`);
+    const results = await Search.search("building");
+    expect(results).toEqual([
+      {
+        type: "company",
+        handle: "eng",
+        name: "Engineers Inc",
+        rank: expect.any(Number),
+        snippet: "Engineers Inc: We <b>build</b> bridges",
+      },
+    ]);
+  });
+
+  test("snippets escape the text around matches", async function () {
+    await db.query(`
+      INSERT INTO companies(handle, name, num_employees, description)
+      VALUES ('xss', 'X & Y', 5, '<img src=x onerror=alert(1)> We build')`);
+    const results = await Search.search("build");
+    expect(results[0].snippet).toEqual(
+        "X &amp; Y: &lt;img src=x onerror=alert(1)&gt; We <b>build</b>");
+  });
+
+  test("works: mixed, ranked", async function () {
+    await db.query(`
+      INSERT INTO companies(handle, name, num_employees, description)
+      VALUES ('eng', 'Engineers Inc', 5, 'We hire engineers'),
+             ('acme', 'Acme', 5, 'Hiring engineers')`);
+    await db.query(`
+      INSERT INTO jobs(title, company_handle, status)
+      VALUES ('Software Engineer', 'c1', 'published')`);
+    const results = await Search.search("engineer");
+    expect(results.map(r => r.type)).toEqual(["company", "job", "company"]);
+    expect(results[0].handle).toEqual("eng");
+  });
+
+  test("works: filter by type", async function () {
+    const results = await Search.search("job1 OR desc1", { type: "company" });
+    expect(results.map(r => r.handle)).toEqual(["c1"]);
+  });
+
+  test("works: no matches", async function () {
+    const results = await Search.search("nope");
+    expect(results).toEqual([]);
+  });
+});
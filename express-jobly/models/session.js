@@ -0,0 +1,104 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { createRandomToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for sessions.
+ *
+ * A session is one login. Its id is the jti of every access token issued
+ * for it, so revoking the session rejects those tokens at once (see
+ * authenticateJWT). A session lasts as long as its latest refresh token.
+ */
+
+class Session {
+  /** Start a session for user; userAgent is the client's User-Agent header.
+   *
+   * Returns the new session's id.
+   **/
+
+  static async create(username, userAgent = null) {
+    const id = createRandomToken();
+
+    await db.query(
+          `INSERT INTO sessions (id, username, user_agent, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(days => $4))`,
+        [id, username, userAgent, REFRESH_TOKEN_TTL_DAYS]);
+
+    return id;
+  }
+
+  /** Is session `id` neither revoked nor expired? Returns true/false. */
+
+  static async isActive(id) {
+    const result = await db.query(
+          `SELECT id
+           FROM sessions
+           WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+        [id]);
+
+    return result.rows.length > 0;
+  }
+
+  /** Push back a session's expiry, as when its refresh token is rotated. */
+
+  static async extend(id) {
+    await db.query(
+          `UPDATE sessions
+           SET expires_at = NOW() + make_interval(days => $2)
+           WHERE id = $1`,
+        [id, REFRESH_TOKEN_TTL_DAYS]);
+  }
+
+  /** Find a user's active sessions, newest first.
+   *
+   * Returns [{ id, userAgent, createdAt, expiresAt }, ...]
+   **/
+
+  static async findForUser(username) {
+    const result = await db.query(
+          `SELECT id,
+                  user_agent AS "userAgent",
+                  created_at AS "createdAt",
+                  expires_at AS "expiresAt"
+           FROM sessions
+           WHERE username = $1 AND revoked_at IS NULL AND expires_at > NOW()
+           ORDER BY created_at DESC, id`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Revoke one of a user's sessions; returns undefined.
+   *
+   * Throws NotFoundError if user has no such active session.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE id = $1 AND username = $2 AND revoked_at IS NULL
+           RETURNING id`,
+        [id, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No session: ${id}`);
+  }
+
+  /** Revoke all of a user's sessions; returns how many were active. */
+
+  static async revokeAll(username) {
+    const result = await db.query(
+          `UPDATE sessions
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL
+           RETURNING expires_at > NOW() AS "wasActive"`,
+        [username]);
+
+    return result.rows.filter(r => r.wasActive).length;
+  }
+}
+
+
+module.exports = Session;
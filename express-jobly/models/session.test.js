@@ -0,0 +1,110 @@
+"use strict";
+
+const { NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const Session = require("./session.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const id = await Session.create("u1", "test-agent");
+    expect(await Session.isActive(id)).toEqual(true);
+  });
+});
+
+/************************************** isActive */
+
+describe("isActive", function () {
+  test("false for unknown session", async function () {
+    expect(await Session.isActive("nope")).toEqual(false);
+  });
+
+  test("false for expired session", async function () {
+    const id = await Session.create("u1");
+    await db.query("UPDATE sessions SET expires_at = NOW() - INTERVAL '1 day'");
+    expect(await Session.isActive(id)).toEqual(false);
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    const id = await Session.create("u1", "test-agent");
+    await Session.create("u2");
+    const sessions = await Session.findForUser("u1");
+    expect(sessions).toEqual([
+      {
+        id,
+        userAgent: "test-agent",
+        createdAt: expect.any(Date),
+        expiresAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("leaves out revoked sessions", async function () {
+    const id = await Session.create("u1");
+    await Session.revoke("u1", id);
+    expect(await Session.findForUser("u1")).toEqual([]);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const id = await Session.create("u1");
+    await Session.revoke("u1", id);
+    expect(await Session.isActive(id)).toEqual(false);
+  });
+
+  test("not found for another user's session", async function () {
+    const id = await Session.create("u2");
+    try {
+      await Session.revoke("u1", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    const id1 = await Session.create("u1");
+    const id2 = await Session.create("u1");
+    const other = await Session.create("u2");
+    expect(await Session.revokeAll("u1")).toEqual(2);
+    expect(await Session.isActive(id1)).toEqual(false);
+    expect(await Session.isActive(id2)).toEqual(false);
+    expect(await Session.isActive(other)).toEqual(true);
+  });
+
+  test("on password change", async function () {
+    const id = await Session.create("u1");
+    await User.update("u1", { password: "new-password" });
+    expect(await Session.isActive(id)).toEqual(false);
+  });
+
+  test("not on other changes", async function () {
+    const id = await Session.create("u1");
+    await User.update("u1", { firstName: "New" });
+    expect(await Session.isActive(id)).toEqual(true);
+  });
+});
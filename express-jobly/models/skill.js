@@ -0,0 +1,321 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const Audit = require("./audit");
+
+/** How well a user knows a skill, least to most. */
+
+const PROFICIENCIES = ["beginner", "intermediate", "advanced", "expert"];
+
+/** Throw BadRequestError if a skill other than `id` is already called
+ * name (names are unique regardless of case). */
+
+async function checkDuplicate(name, id = null) {
+  const duplicateCheck = await db.query(
+        `SELECT id
+         FROM skills
+         WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2`,
+      [name, id]);
+
+  if (duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate skill: ${name}`);
+}
+
+/** Throw NotFoundError unless there's a skill `id`. */
+
+async function checkSkill(id) {
+  const skillCheck = await db.query(
+        `SELECT id
+         FROM skills
+         WHERE id = $1`, [id]);
+
+  if (!skillCheck.rows[0]) throw new NotFoundError(`No skill: ${id}`);
+}
+
+/** Related functions for skills: what jobs ask for (required or
+ * nice-to-have) and what users have (at some proficiency). */
+
+class Skill {
+  /** Create a skill from data, and return it.
+   *
+   * data should be { name, description }
+   *
+   * Returns { id, name, description }
+   *
+   * Throws BadRequestError if there's already a skill with that name.
+   **/
+
+  static async create({ name, description = null }) {
+    await checkDuplicate(name);
+
+    const result = await db.query(
+          `INSERT INTO skills (name, description)
+           VALUES ($1, $2)
+           RETURNING id, name, description`,
+        [name, description]);
+    const skill = result.rows[0];
+
+    await Audit.record("create", "skill", skill.id, null, skill);
+
+    return skill;
+  }
+
+  /** Find all skills, by name (optional filter on name: a case-insensitive,
+   * partial match).
+   *
+   * Returns [{ id, name, description }, ...]
+   **/
+
+  static async findAll({ name } = {}) {
+    const queryValues = [];
+    let where = "";
+    if (name !== undefined) {
+      queryValues.push(`%${name}%`);
+      where = "WHERE name ILIKE $1";
+    }
+
+    const result = await db.query(
+          `SELECT id, name, description
+           FROM skills
+           ${where}
+           ORDER BY LOWER(name)`, queryValues);
+
+    return result.rows;
+  }
+
+  /** Given a skill id, return it.
+   *
+   * Returns { id, name, description }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(id) {
+    const result = await db.query(
+          `SELECT id, name, description
+           FROM skills
+           WHERE id = $1`, [id]);
+    const skill = result.rows[0];
+
+    if (!skill) throw new NotFoundError(`No skill: ${id}`);
+
+    return skill;
+  }
+
+  /** Update skill data with `data` (a partial update).
+   *
+   * Data can include: { name, description }
+   *
+   * Returns { id, name, description }
+   *
+   * Throws NotFoundError if not found; BadRequestError if another skill
+   * has the new name.
+   **/
+
+  static async update(id, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const before = await Skill.get(id);
+    if (data.name !== undefined) await checkDuplicate(data.name, id);
+
+    const idVarIdx = "$" + (values.length + 1);
+    const result = await db.query(
+          `UPDATE skills
+           SET ${setCols}
+           WHERE id = ${idVarIdx}
+           RETURNING id, name, description`,
+        [...values, id]);
+    const skill = result.rows[0];
+
+    await Audit.record("update", "skill", id, before, skill);
+
+    return skill;
+  }
+
+  /** Delete given skill, taking it off all jobs and users; returns
+   * undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async remove(id) {
+    const result = await db.query(
+          `DELETE FROM skills
+           WHERE id = $1
+           RETURNING id, name, description`, [id]);
+    const skill = result.rows[0];
+
+    if (!skill) throw new NotFoundError(`No skill: ${id}`);
+
+    await Audit.record("remove", "skill", id, skill, null);
+  }
+
+  /** Find the skills job `jobId` asks for, required ones first.
+   *
+   * Returns [{ id, name, required }, ...]
+   **/
+
+  static async findForJob(jobId) {
+    const result = await db.query(
+          `SELECT s.id, s.name, js.is_required AS "required"
+           FROM job_skills AS js
+             JOIN skills AS s ON s.id = js.skill_id
+           WHERE js.job_id = $1
+           ORDER BY js.is_required DESC, LOWER(s.name)`,
+        [jobId]);
+
+    return result.rows;
+  }
+
+  /** Add skill `skillId` to job `jobId`, as required (the default) or
+   * nice-to-have; if the job already asks for it, change which. Returns
+   * undefined.
+   *
+   * Throws NotFoundError if no such job or skill.
+   **/
+
+  static async setForJob(jobId, skillId, { required = true } = {}) {
+    const jobCheck = await db.query(
+          `SELECT id
+           FROM jobs
+           WHERE id = $1 AND deleted_at IS NULL`, [jobId]);
+    if (!jobCheck.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+    await checkSkill(skillId);
+
+    const oldRes = await db.query(
+          `SELECT is_required AS "required"
+           FROM job_skills
+           WHERE job_id = $1 AND skill_id = $2`,
+        [jobId, skillId]);
+
+    await db.query(
+          `INSERT INTO job_skills (job_id, skill_id, is_required)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (job_id, skill_id) DO UPDATE
+           SET is_required = $3`,
+        [jobId, skillId, required]);
+
+    const entityId = `${jobId}/${skillId}`;
+    if (oldRes.rows[0]) {
+      await Audit.record("update", "job-skill", entityId,
+          oldRes.rows[0], { required });
+    } else {
+      await Audit.record("create", "job-skill", entityId,
+          null, { jobId, skillId, required });
+    }
+  }
+
+  /** Take skill `skillId` off job `jobId`; returns undefined.
+   *
+   * Throws NotFoundError if the job doesn't ask for it.
+   **/
+
+  static async removeFromJob(jobId, skillId) {
+    const result = await db.query(
+          `DELETE FROM job_skills
+           WHERE job_id = $1 AND skill_id = $2
+           RETURNING is_required AS "required"`,
+        [jobId, skillId]);
+    const jobSkill = result.rows[0];
+
+    if (!jobSkill) {
+      throw new NotFoundError(`Job ${jobId} doesn't ask for skill ${skillId}`);
+    }
+
+    await Audit.record("remove", "job-skill", `${jobId}/${skillId}`,
+        { jobId, skillId, required: jobSkill.required }, null);
+  }
+
+  /** Find user's skills, by name.
+   *
+   * Returns [{ id, name, proficiency }, ...]
+   *
+   * Throws NotFoundError if no such user.
+   **/
+
+  static async findForUser(username) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `SELECT s.id, s.name, us.proficiency
+           FROM user_skills AS us
+             JOIN skills AS s ON s.id = us.skill_id
+           WHERE us.username = $1
+           ORDER BY LOWER(s.name)`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Give user skill `skillId` at `proficiency`, or change their
+   * proficiency if they already have it; returns undefined.
+   *
+   * Throws BadRequestError if the proficiency is unknown; NotFoundError if
+   * no such user or skill.
+   **/
+
+  static async setForUser(username, skillId, proficiency) {
+    if (!PROFICIENCIES.includes(proficiency)) {
+      throw new BadRequestError(`Unknown proficiency: ${proficiency}`);
+    }
+
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+    await checkSkill(skillId);
+
+    const oldRes = await db.query(
+          `SELECT proficiency
+           FROM user_skills
+           WHERE username = $1 AND skill_id = $2`,
+        [username, skillId]);
+
+    await db.query(
+          `INSERT INTO user_skills (username, skill_id, proficiency)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (username, skill_id) DO UPDATE
+           SET proficiency = $3`,
+        [username, skillId, proficiency]);
+
+    const entityId = `${username}/${skillId}`;
+    if (oldRes.rows[0]) {
+      await Audit.record("update", "user-skill", entityId,
+          oldRes.rows[0], { proficiency });
+    } else {
+      await Audit.record("create", "user-skill", entityId,
+          null, { username, skillId, proficiency });
+    }
+  }
+
+  /** Take skill `skillId` away from user; returns undefined.
+   *
+   * Throws NotFoundError if they don't have it.
+   **/
+
+  static async removeFromUser(username, skillId) {
+    const result = await db.query(
+          `DELETE FROM user_skills
+           WHERE username = $1 AND skill_id = $2
+           RETURNING proficiency`,
+        [username, skillId]);
+    const userSkill = result.rows[0];
+
+    if (!userSkill) {
+      throw new NotFoundError(`${username} doesn't have skill ${skillId}`);
+    }
+
+    await Audit.record("remove", "user-skill", `${username}/${skillId}`,
+        { username, skillId, proficiency: userSkill.proficiency }, null);
+  }
+}
+
+Skill.PROFICIENCIES = PROFICIENCIES;
+
+
+module.exports = Skill;
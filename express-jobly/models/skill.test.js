@@ -0,0 +1,250 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Skill = require("./skill.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  testSkillIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const skill = await Skill.create({ name: "Rust", description: "Systems" });
+    expect(skill).toEqual(
+        { id: expect.any(Number), name: "Rust", description: "Systems" });
+  });
+
+  test("bad request with dupe, in any case", async function () {
+    try {
+      await Skill.create({ name: "sql" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: no filter", async function () {
+    const skills = await Skill.findAll();
+    expect(skills.map(s => s.name)).toEqual(["Go", "Python", "SQL"]);
+  });
+
+  test("works: by name", async function () {
+    const skills = await Skill.findAll({ name: "q" });
+    expect(skills).toEqual(
+        [{ id: testSkillIds[0], name: "SQL", description: "Databases" }]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const skill = await Skill.get(testSkillIds[1]);
+    expect(skill).toEqual(
+        { id: testSkillIds[1], name: "Python", description: null });
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.get(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const skill = await Skill.update(
+        testSkillIds[0], { name: "PostgreSQL", description: "Postgres" });
+    expect(skill).toEqual(
+        { id: testSkillIds[0], name: "PostgreSQL", description: "Postgres" });
+  });
+
+  test("works: changing only the case of its name", async function () {
+    const skill = await Skill.update(testSkillIds[0], { name: "sql" });
+    expect(skill.name).toEqual("sql");
+  });
+
+  test("bad request if another skill has the name", async function () {
+    try {
+      await Skill.update(testSkillIds[0], { name: "python" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.update(0, { name: "Rust" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works, taking it off jobs and users", async function () {
+    await Skill.remove(testSkillIds[0]);
+    expect(await Skill.findForJob(testJobIds[0])).toEqual(
+        [{ id: testSkillIds[1], name: "Python", required: false }]);
+    expect(await Skill.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if no such skill", async function () {
+    try {
+      await Skill.remove(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** setForJob */
+
+describe("setForJob", function () {
+  test("works: adding and changing", async function () {
+    await Skill.setForJob(testJobIds[2], testSkillIds[2], { required: false });
+    expect(await Skill.findForJob(testJobIds[2])).toEqual(
+        [{ id: testSkillIds[2], name: "Go", required: false }]);
+
+    await Skill.setForJob(testJobIds[2], testSkillIds[2]);
+    expect(await Skill.findForJob(testJobIds[2])).toEqual(
+        [{ id: testSkillIds[2], name: "Go", required: true }]);
+  });
+
+  test("not found if no such job or skill", async function () {
+    for (const [jobId, skillId] of [[0, testSkillIds[0]], [testJobIds[0], 0]]) {
+      try {
+        await Skill.setForJob(jobId, skillId);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+
+  test("not found for a deleted job", async function () {
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1",
+        [testJobIds[2]]);
+    try {
+      await Skill.setForJob(testJobIds[2], testSkillIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** removeFromJob */
+
+describe("removeFromJob", function () {
+  test("works", async function () {
+    await Skill.removeFromJob(testJobIds[0], testSkillIds[0]);
+    expect(await Skill.findForJob(testJobIds[0])).toEqual(
+        [{ id: testSkillIds[1], name: "Python", required: false }]);
+  });
+
+  test("not found if the job doesn't ask for it", async function () {
+    try {
+      await Skill.removeFromJob(testJobIds[0], testSkillIds[2]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    expect(await Skill.findForUser("u1")).toEqual(
+        [{ id: testSkillIds[0], name: "SQL", proficiency: "advanced" }]);
+    expect(await Skill.findForUser("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Skill.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** setForUser */
+
+describe("setForUser", function () {
+  test("works: adding and changing", async function () {
+    await Skill.setForUser("u1", testSkillIds[1], "beginner");
+    await Skill.setForUser("u1", testSkillIds[0], "expert");
+    expect(await Skill.findForUser("u1")).toEqual([
+      { id: testSkillIds[1], name: "Python", proficiency: "beginner" },
+      { id: testSkillIds[0], name: "SQL", proficiency: "expert" },
+    ]);
+  });
+
+  test("bad request for an unknown proficiency", async function () {
+    try {
+      await Skill.setForUser("u1", testSkillIds[1], "guru");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user or skill", async function () {
+    for (const [username, skillId] of [["nope", testSkillIds[0]], ["u1", 0]]) {
+      try {
+        await Skill.setForUser(username, skillId, "beginner");
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** removeFromUser */
+
+describe("removeFromUser", function () {
+  test("works", async function () {
+    await Skill.removeFromUser("u1", testSkillIds[0]);
+    expect(await Skill.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if they don't have it", async function () {
+    try {
+      await Skill.removeFromUser("u2", testSkillIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,308 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const totp = require("../helpers/totp");
+const config = require("../config");
+const Session = require("./session");
+
+/** How many recovery codes a user gets, and how long a login challenge
+ * lasts and how many guesses it allows. */
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+/** Make a recovery code like "3f9a1-0c2e7". */
+
+function createRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString("hex");
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+/** Recovery codes are compared ignoring case and punctuation. */
+
+function hashRecoveryCode(code) {
+  return hashToken(code.toLowerCase().replace(/[^0-9a-f]/g, ""));
+}
+
+/** Replace user's recovery codes with new ones; returns the new codes. */
+
+async function replaceRecoveryCodes(username) {
+  await db.query(
+        `DELETE FROM totp_recovery_codes
+         WHERE username = $1`, [username]);
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = createRecoveryCode();
+    await db.query(
+          `INSERT INTO totp_recovery_codes (username, code_hash)
+           VALUES ($1, $2)`,
+        [username, hashRecoveryCode(code)]);
+    codes.push(code);
+  }
+
+  return codes;
+}
+
+/** Related functions for TOTP two-factor authentication.
+ *
+ * A user enrolls by adding the secret to an authenticator app and
+ * confirming with a code from it. From then on, logging in takes a password
+ * and then a code (or one of their single-use recovery codes) — see
+ * createChallenge.
+ */
+
+class TwoFactor {
+  /** Start enrolling user, replacing any unconfirmed enrollment.
+   *
+   * Returns { secret, otpauthUri }
+   *
+   * Throws NotFoundError if no such user; BadRequestError if 2FA is
+   * already enabled.
+   **/
+
+  static async enroll(username) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1`, [username]);
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    if (await TwoFactor.isEnabled(username)) {
+      throw new BadRequestError("Two-factor authentication already enabled");
+    }
+
+    const secret = totp.generateSecret();
+    await db.query(
+          `INSERT INTO user_totp (username, secret)
+           VALUES ($1, $2)
+           ON CONFLICT (username) DO UPDATE
+           SET secret = $2, created_at = NOW()`,
+        [username, secret]);
+
+    return {
+      secret,
+      otpauthUri: totp.otpauthUri(secret, username, config.TOTP_ISSUER),
+    };
+  }
+
+  /** Finish enrolling user with a code from their authenticator.
+   *
+   * Enabling 2FA logs the user out everywhere, so no session started with
+   * only a password outlives it.
+   *
+   * Returns the user's recovery codes, which are only available now.
+   *
+   * Throws BadRequestError if there's no enrollment to confirm, or the code
+   * is wrong.
+   **/
+
+  static async confirm(username, code) {
+    const result = await db.query(
+          `SELECT secret
+           FROM user_totp
+           WHERE username = $1 AND enabled_at IS NULL`,
+        [username]);
+    const pending = result.rows[0];
+
+    if (!pending) throw new BadRequestError("No two-factor enrollment to confirm");
+
+    const step = totp.verifyCode(pending.secret, code);
+    if (step === null) throw new BadRequestError("Invalid code");
+
+    await db.query(
+          `UPDATE user_totp
+           SET enabled_at = NOW(), last_used_step = $2
+           WHERE username = $1`,
+        [username, step]);
+
+    const recoveryCodes = await replaceRecoveryCodes(username);
+    await Session.revokeAll(username);
+
+    return recoveryCodes;
+  }
+
+  /** Does user have 2FA enabled? Returns true/false. */
+
+  static async isEnabled(username) {
+    const result = await db.query(
+          `SELECT username
+           FROM user_totp
+           WHERE username = $1 AND enabled_at IS NOT NULL`,
+        [username]);
+
+    return result.rows.length > 0;
+  }
+
+  /** Must user (a { username, isAdmin } object) use 2FA?
+   *
+   * Only admins, and only when REQUIRE_ADMIN_2FA is set.
+   **/
+
+  static isRequiredFor(user) {
+    // config's copy, read at call time so tests can change it; the env var
+    // itself is only read at startup (see config.js)
+    return config.REQUIRE_ADMIN_2FA && user.isAdmin === true;
+  }
+
+  /** Check a code from user's authenticator, or one of their recovery codes.
+   *
+   * Each code works only once; a recovery code is used up.
+   *
+   * Returns true/false.
+   **/
+
+  static async verify(username, code) {
+    const result = await db.query(
+          `SELECT secret
+           FROM user_totp
+           WHERE username = $1 AND enabled_at IS NOT NULL`,
+        [username]);
+    const enabled = result.rows[0];
+
+    if (!enabled) return false;
+
+    if (/^\d{6}$/.test(code)) {
+      const step = totp.verifyCode(enabled.secret, code);
+      if (step === null) return false;
+
+      // only move forward, so a code (or an older one) can't be replayed
+      const used = await db.query(
+            `UPDATE user_totp
+             SET last_used_step = $2
+             WHERE username = $1
+               AND (last_used_step IS NULL OR last_used_step < $2)
+             RETURNING username`,
+          [username, step]);
+      return used.rows.length > 0;
+    }
+
+    const used = await db.query(
+          `UPDATE totp_recovery_codes
+           SET used_at = NOW()
+           WHERE username = $1 AND code_hash = $2 AND used_at IS NULL
+           RETURNING id`,
+        [username, hashRecoveryCode(code)]);
+    return used.rows.length > 0;
+  }
+
+  /** Replace user's recovery codes; returns the new ones.
+   *
+   * Throws BadRequestError if 2FA isn't enabled.
+   **/
+
+  static async regenerateRecoveryCodes(username) {
+    if (!await TwoFactor.isEnabled(username)) {
+      throw new BadRequestError("Two-factor authentication not enabled");
+    }
+
+    return await replaceRecoveryCodes(username);
+  }
+
+  /** Turn off 2FA for user; returns undefined.
+   *
+   * Throws BadRequestError if it isn't enabled.
+   **/
+
+  static async disable(username) {
+    const result = await db.query(
+          `DELETE FROM user_totp
+           WHERE username = $1 AND enabled_at IS NOT NULL
+           RETURNING username`,
+        [username]);
+
+    if (!result.rows[0]) {
+      throw new BadRequestError("Two-factor authentication not enabled");
+    }
+
+    await db.query(
+          `DELETE FROM totp_recovery_codes
+           WHERE username = $1`, [username]);
+  }
+
+  /** Start the second step of logging in, after user's password checked out.
+   *
+   * Returns a challenge token, to be sent back with a code.
+   **/
+
+  static async createChallenge(username) {
+    const token = createRandomToken();
+
+    await db.query(
+          `INSERT INTO login_challenges (token_hash, username, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [hashToken(token), username, CHALLENGE_TTL_MINUTES]);
+
+    return token;
+  }
+
+  /** Find who a challenge is for.
+   *
+   * Returns { username, isAdmin }
+   *
+   * Throws UnauthorizedError if the challenge is unknown, answered, expired
+   * or out of attempts.
+   **/
+
+  static async getChallenge(token) {
+    const result = await db.query(
+          `SELECT u.username, u.is_admin AS "isAdmin"
+           FROM login_challenges AS c
+             JOIN users AS u ON u.username = c.username
+           WHERE c.token_hash = $1
+             AND c.used_at IS NULL
+             AND c.expires_at > NOW()
+             AND c.attempts < $2`,
+        [hashToken(token), CHALLENGE_MAX_ATTEMPTS]);
+    const user = result.rows[0];
+
+    if (!user) throw new UnauthorizedError("Invalid or expired login challenge");
+
+    return user;
+  }
+
+  /** Answer a challenge with a code (see verify).
+   *
+   * Returns true, using up the challenge, if the code is right; otherwise
+   * counts the attempt and returns false.
+   *
+   * Throws UnauthorizedError if the challenge isn't valid (see getChallenge),
+   * including if another answer used it up first.
+   **/
+
+  static async answerChallenge(token, code) {
+    const { username } = await TwoFactor.getChallenge(token);
+
+    const isValid = await TwoFactor.verify(username, code);
+
+    // only if it's still valid, so two answers at once can't both pass the
+    // check above
+    const result = await db.query(
+          `UPDATE login_challenges
+           SET attempts = attempts + 1,
+               used_at = CASE WHEN $2 THEN NOW() END
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+             AND attempts < $3
+           RETURNING username`,
+        [hashToken(token), isValid, CHALLENGE_MAX_ATTEMPTS]);
+
+    if (!result.rows[0]) {
+      throw new UnauthorizedError("Invalid or expired login challenge");
+    }
+
+    return isValid;
+  }
+}
+
+
+module.exports = TwoFactor;
@@ -0,0 +1,227 @@
+"use strict";
+
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const TwoFactor = require("./twoFactor.js");
+const Session = require("./session.js");
+const { codeAt, stepAt } = require("../helpers/totp");
+const config = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Enroll u1 and confirm; returns { secret, recoveryCodes }.
+ *
+ * Confirming uses the current code, so tests use the next step's code
+ * (still accepted, allowing for clock drift) to log in. */
+
+async function enable() {
+  const { secret } = await TwoFactor.enroll("u1");
+  const recoveryCodes = await TwoFactor.confirm("u1", codeAt(secret, stepAt()));
+  return { secret, recoveryCodes };
+}
+
+/************************************** enroll */
+
+describe("enroll", function () {
+  test("works", async function () {
+    const result = await TwoFactor.enroll("u1");
+    expect(result).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]{32}$/),
+      otpauthUri: expect.stringContaining(`secret=${result.secret}`),
+    });
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("bad request if already enabled", async function () {
+    await enable();
+    try {
+      await TwoFactor.enroll("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await TwoFactor.enroll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const sessionId = await Session.create("u1");
+    const { recoveryCodes } = await enable();
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(await TwoFactor.isEnabled("u1")).toEqual(true);
+    expect(await Session.isActive(sessionId)).toEqual(false);
+  });
+
+  test("bad request with wrong code", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    try {
+      await TwoFactor.confirm("u1", codeAt(secret, stepAt() - 5));
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if not enrolling", async function () {
+    try {
+      await TwoFactor.confirm("u1", "123456");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works: code, once", async function () {
+    const { secret } = await enable();
+    const code = codeAt(secret, stepAt() + 1);
+    expect(await TwoFactor.verify("u1", code)).toEqual(true);
+    expect(await TwoFactor.verify("u1", code)).toEqual(false);
+  });
+
+  test("rejects the code used to confirm", async function () {
+    const { secret } = await enable();
+    expect(await TwoFactor.verify("u1", codeAt(secret, stepAt()))).toEqual(false);
+  });
+
+  test("works: recovery code, once", async function () {
+    const { recoveryCodes } = await enable();
+    const code = recoveryCodes[0].toUpperCase();
+    expect(await TwoFactor.verify("u1", code)).toEqual(true);
+    expect(await TwoFactor.verify("u1", code)).toEqual(false);
+  });
+
+  test("false if not enabled", async function () {
+    expect(await TwoFactor.verify("u1", "123456")).toEqual(false);
+  });
+});
+
+/************************************** isRequiredFor */
+
+describe("isRequiredFor", function () {
+  afterEach(function () {
+    config.REQUIRE_ADMIN_2FA = false;
+  });
+
+  test("only for admins, when the policy is on", function () {
+    const admin = { username: "a", isAdmin: true };
+    expect(TwoFactor.isRequiredFor(admin)).toEqual(false);
+    config.REQUIRE_ADMIN_2FA = true;
+    expect(TwoFactor.isRequiredFor(admin)).toEqual(true);
+    expect(TwoFactor.isRequiredFor({ username: "u", isAdmin: false }))
+        .toEqual(false);
+  });
+});
+
+/************************************** regenerateRecoveryCodes */
+
+describe("regenerateRecoveryCodes", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enable();
+    const newCodes = await TwoFactor.regenerateRecoveryCodes("u1");
+    expect(newCodes).toHaveLength(10);
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toEqual(false);
+    expect(await TwoFactor.verify("u1", newCodes[0])).toEqual(true);
+  });
+
+  test("bad request if not enabled", async function () {
+    try {
+      await TwoFactor.regenerateRecoveryCodes("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    await enable();
+    await TwoFactor.disable("u1");
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("bad request if not enabled", async function () {
+    try {
+      await TwoFactor.disable("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** challenges */
+
+describe("challenges", function () {
+  test("works", async function () {
+    const { secret } = await enable();
+    const challenge = await TwoFactor.createChallenge("u1");
+    expect(await TwoFactor.getChallenge(challenge))
+        .toEqual({ username: "u1", isAdmin: false });
+    expect(await TwoFactor.answerChallenge(challenge, codeAt(secret, stepAt() + 1)))
+        .toEqual(true);
+    try {
+      await TwoFactor.getChallenge(challenge);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("only one of two answers at once uses it", async function () {
+    const { recoveryCodes } = await enable();
+    const challenge = await TwoFactor.createChallenge("u1");
+
+    const results = await Promise.allSettled([
+      TwoFactor.answerChallenge(challenge, recoveryCodes[0]),
+      TwoFactor.answerChallenge(challenge, recoveryCodes[1]),
+    ]);
+    expect(results.map(r => r.status)).toEqual(["fulfilled", "rejected"]);
+    expect(results[0].value).toEqual(true);
+    expect(results[1].reason instanceof UnauthorizedError).toBeTruthy();
+  });
+
+  test("allows only a few wrong answers", async function () {
+    const { secret } = await enable();
+    const challenge = await TwoFactor.createChallenge("u1");
+    for (let i = 0; i < 5; i++) {
+      expect(await TwoFactor.answerChallenge(challenge, "000000")).toEqual(false);
+    }
+    try {
+      await TwoFactor.answerChallenge(challenge, codeAt(secret, stepAt() + 1));
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
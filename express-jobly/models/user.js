@@ -57,6 +57,10 @@ This documentation provides a comprehensive overview of the User class, detailin
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { parseSort, paginate } = require("../helpers/pagination");
+const Application = require("./application");
+const Session = require("./session");
+const Audit = require("./audit");
 const {
   NotFoundError,
   BadRequestError,
@@ -65,6 +69,15 @@ const {
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
+/** Fields users can be sorted by, with their SQL and value types. */
+
+const SORTABLE = {
+  username: { col: "username", type: "string" },
+  firstName: { col: "first_name", type: "string" },
+  lastName: { col: "last_name", type: "string" },
+  email: { col: "email", type: "string" },
+};
+
 /** Related functions for users. */
 
 class User {
@@ -85,7 +98,7 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -147,37 +160,58 @@ class User {
 
     const user = result.rows[0];
 
+    await Audit.record("create", "user", user.username, null, user);
+
     return user;
   }
 
   /** Find all users.
+   *
+   * options (all optional):
+   * - sort: comma-separated fields, "-" prefix for descending (of username,
+   *   firstName, lastName, email; default "username")
+   * - limit, page, cursor: see paginate in helpers/pagination.js
    *
    * Returns [{ username, first_name, last_name, email, is_admin }, ...]
    **/
 
-  static async findAll() {
-    const result = await db.query(
-          `SELECT username,
-                  first_name AS "firstName",
-                  last_name AS "lastName",
-                  email,
-                  is_admin AS "isAdmin"
-           FROM users
-           ORDER BY username`,
-    );
+  static async findAll(options = {}) {
+    const { rows } = await User.findPage(options);
+    return rows;
+  }
 
-    return result.rows;
+  /** Like findAll, but also returns paging information.
+   *
+   * Returns { rows, total, nextCursor, prevCursor }
+   *   where rows is [{ username, first_name, last_name, email, is_admin }, ...]
+   **/
+
+  static async findPage({ sort = "username", limit, page, cursor } = {}) {
+    const query = `SELECT username,
+                          first_name AS "firstName",
+                          last_name AS "lastName",
+                          email,
+                          is_admin AS "isAdmin"
+                   FROM users`;
+
+    const sortKeys = parseSort(sort, SORTABLE, "username");
+    return await paginate(query, ["deleted_at IS NULL"], [], sortKeys,
+        { limit, page, cursor });
   }
 
   /** Given a username, return data about user.
+   *
+   * jobFilters (all optional) narrow and order the user's applications:
+   * - states: only applications in one of these states
+   * - sort: "appliedAt" or "-appliedAt" (default, newest first)
    *
    * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   *   where jobs is { id, title, company_handle, company_name, state, appliedAt }
    *
    * Throws NotFoundError if user not found.
    **/
 
-  static async get(username) {
+  static async get(username, jobFilters = {}) {
     const userRes = await db.query(
           `SELECT username,
                   first_name AS "firstName",
@@ -185,7 +219,7 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -193,6 +227,8 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    user.jobs = await Application.findForUser(username, jobFilters);
+
     return user;
   }
 
@@ -208,6 +244,11 @@ class User {
    *
    * Throws NotFoundError if not found.
    *
+   * Changing password or isAdmin (to a new value) revokes all the user's
+   * sessions, so tokens issued before the change stop working.
+   *
+   * Changing email marks the new address unverified.
+   *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
@@ -218,6 +259,14 @@ class User {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
 
+    if (data.email !== undefined) {
+      await db.query(
+            `UPDATE users
+             SET email_verified_at = NULL
+             WHERE username = $1 AND email <> $2`,
+          [username, data.email]);
+    }
+
     const { setCols, values } = sqlForPartialUpdate(
         data,
         {
@@ -227,9 +276,22 @@ class User {
         });
     const usernameVarIdx = "$" + (values.length + 1);
 
+    const beforeRes = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  email,
+                  is_admin AS "isAdmin",
+                  password
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`, [username]);
+    const before = beforeRes.rows[0];
+
+    if (!before) throw new NotFoundError(`No user: ${username}`);
+
     const querySql = `UPDATE users 
                       SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
+                      WHERE username = ${usernameVarIdx} AND deleted_at IS NULL
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
@@ -240,23 +302,128 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    if (data.password !== undefined || user.isAdmin !== before.isAdmin) {
+      await Session.revokeAll(username);
+    }
+
+    // the hash changes with the password; the log shows only that it did
+    const after = data.password ? { ...user, password: data.password } : user;
+    await Audit.record("update", "user", username, before, after);
+
     delete user.password;
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Move given user to the trash, logging them out everywhere; returns
+   * undefined.
+   *
+   * They're kept (and their username stays taken) until purged (see purge),
+   * and can be restored until then.
+   *
+   * Throws NotFoundError if user not found.
+   **/
 
   static async remove(username) {
     let result = await db.query(
-          `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
+          `UPDATE users
+           SET deleted_at = NOW()
+           WHERE username = $1 AND deleted_at IS NULL
+           RETURNING username,
+                     first_name AS "firstName",
+                     last_name AS "lastName",
+                     email,
+                     is_admin AS "isAdmin"`,
         [username],
     );
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await Session.revokeAll(username);
+    await Audit.record("remove", "user", username, user, null);
+  }
+
+  /** Find users in the trash, most recently deleted first.
+   *
+   * Returns [{ username, firstName, lastName, email, deletedAt }, ...]
+   **/
+
+  static async findDeleted() {
+    const result = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  email,
+                  deleted_at AS "deletedAt"
+           FROM users
+           WHERE deleted_at IS NOT NULL
+           ORDER BY deleted_at DESC, username`);
+
+    return result.rows;
+  }
+
+  /** Take a user out of the trash.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws NotFoundError if there's no such user in the trash.
+   **/
+
+  static async restore(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET deleted_at = NULL
+           WHERE username = $1 AND deleted_at IS NOT NULL
+           RETURNING username,
+                     first_name AS "firstName",
+                     last_name AS "lastName",
+                     email,
+                     is_admin AS "isAdmin"`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+    await Audit.record("restore", "user", username, null, user);
+
+    return user;
+  }
+
+  /** Permanently delete users that have been in the trash for more than
+   * `days` days, along with their applications; each is logged as purged.
+   *
+   * Returns the number of users deleted.
+   **/
+
+  static async purge(days) {
+    const result = await db.query(
+          `DELETE
+           FROM users
+           WHERE deleted_at < NOW() - make_interval(days => $1)
+           RETURNING username`,
+        [days]);
+
+    for (const { username } of result.rows) {
+      await Audit.record("purge", "user", username, null, null);
+    }
+
+    return result.rows.length;
+  }
+
+  /** Apply for job: update db, returns the new application.
+   *
+   * - username: username applying for job
+   * - jobId: job id
+   * - state: "interested" or "applied" (default)
+   *
+   * Returns { username, jobId, state, createdAt, updatedAt }
+   *
+   * Throws NotFoundError if user or job not found, BadRequestError if the
+   * user already applied.
+   **/
+
+  static async applyToJob(username, jobId, state = "applied") {
+    return await Application.create(username, jobId, state);
   }
 }
 
@@ -7,11 +7,13 @@ const {
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const Session = require("./session.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -129,6 +131,28 @@ describe("findAll", function () {
   });
 });
 
+/************************************** findPage */
+
+describe("findPage", function () {
+  test("works", async function () {
+    const result = await User.findPage({ sort: "-username", limit: 1 });
+    expect(result).toEqual({
+      rows: [
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "u2@email.com",
+          isAdmin: false,
+        },
+      ],
+      total: 2,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+    });
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -140,9 +164,36 @@ describe("get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      jobs: [
+        {
+          id: testJobIds[0],
+          title: "Job1",
+          companyHandle: "c1",
+          companyName: "C1",
+          state: "applied",
+          appliedAt: expect.any(Date),
+        },
+      ],
     });
   });
 
+  test("works: filter jobs by state", async function () {
+    await User.applyToJob("u1", testJobIds[1], "interested");
+    let user = await User.get("u1", { states: ["interested"] });
+    expect(user.jobs.map(j => j.id)).toEqual([testJobIds[1]]);
+  });
+
+  test("works: sort jobs by application date", async function () {
+    await db.query(
+        `UPDATE applications SET created_at = NOW() - INTERVAL '1 day'
+         WHERE username = 'u1'`);
+    await User.applyToJob("u1", testJobIds[1]);
+    let user = await User.get("u1", { sort: "appliedAt" });
+    expect(user.jobs.map(j => j.id)).toEqual([testJobIds[0], testJobIds[1]]);
+    user = await User.get("u1", { sort: "-appliedAt" });
+    expect(user.jobs.map(j => j.id)).toEqual([testJobIds[1], testJobIds[0]]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -187,6 +238,18 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("changing isAdmin logs the user out everywhere", async function () {
+    const sessionId = await Session.create("u1");
+    await User.update("u1", { isAdmin: true });
+    expect(await Session.isActive(sessionId)).toEqual(false);
+  });
+
+  test("sending isAdmin unchanged doesn't log the user out", async function () {
+    const sessionId = await Session.create("u1");
+    await User.update("u1", { firstName: "NewF", isAdmin: false });
+    expect(await Session.isActive(sessionId)).toEqual(true);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -212,11 +275,28 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: moves them to the trash", async function () {
     await User.remove("u1");
     const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+
+    try {
+      await User.get("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("deleted users can't log in", async function () {
+    await User.remove("u1");
+    try {
+      await User.authenticate("u1", "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
   });
 
   test("not found if no such user", async function () {
@@ -228,3 +308,96 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** findDeleted */
+
+describe("findDeleted", function () {
+  test("works", async function () {
+    await User.remove("u2");
+    expect(await User.findDeleted()).toEqual([{
+      username: "u2",
+      firstName: "U2F",
+      lastName: "U2L",
+      email: "u2@email.com",
+      deletedAt: expect.any(Date),
+    }]);
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+    });
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await User.restore("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("deletes users deleted more than `days` ago", async function () {
+    await User.remove("u1");
+    await db.query(
+        "UPDATE users SET deleted_at = NOW() - INTERVAL '31 days' WHERE username = 'u1'");
+
+    expect(await User.purge(30)).toEqual(1);
+    expect(await User.purge(30)).toEqual(0);
+
+    const res = await db.query("SELECT username FROM users WHERE username = 'u1'");
+    expect(res.rows).toEqual([]);
+  });
+});
+
+/************************************** applyToJob */
+
+describe("applyToJob", function () {
+  test("works", async function () {
+    await User.applyToJob("u1", testJobIds[1]);
+
+    const res = await db.query(
+        "SELECT * FROM applications WHERE job_id=$1", [testJobIds[1]]);
+    expect(res.rows).toEqual([{
+      job_id: testJobIds[1],
+      username: "u1",
+      state: "applied",
+      created_at: expect.any(Date),
+      updated_at: expect.any(Date),
+    }]);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await User.applyToJob("u1", 0, "applied");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.applyToJob("nope", testJobIds[0], "applied");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
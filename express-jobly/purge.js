@@ -0,0 +1,42 @@
+"use strict";
+
+/** Permanently delete companies, jobs and users that have been in the trash
+ * longer than the retention period.
+ *
+ * Usage: npm run purge [-- days]   (default: TRASH_RETENTION_DAYS)
+ */
+
+const db = require("./db");
+const { TRASH_RETENTION_DAYS } = require("./config");
+const Company = require("./models/company");
+const Job = require("./models/job");
+const User = require("./models/user");
+
+async function purge(days) {
+  // jobs first, so the ones deleted along with a company are logged too
+  const jobs = await Job.purge(days);
+  const companies = await Company.purge(days);
+  const users = await User.purge(days);
+  return { companies, jobs, users };
+}
+
+if (require.main === module) {
+  const days = process.argv[2] !== undefined ? +process.argv[2] : TRASH_RETENTION_DAYS;
+
+  if (!Number.isInteger(days) || days < 0) {
+    console.error(`Invalid number of days: ${process.argv[2]}`);
+    process.exit(1);
+  }
+
+  purge(days)
+      .then(counts => {
+        console.log(`Purged from the trash (older than ${days} days):`, counts);
+      })
+      .catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+      })
+      .finally(() => db.end());
+}
+
+module.exports = purge;
@@ -3,13 +3,20 @@
 const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
+const Job = require("../models/job");
+const Skill = require("../models/skill");
 const { createToken } = require("../helpers/tokens");
 
+const testJobIds = [];
+const testSkillIds = [];
+
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM skills");
 
   await Company.create(
       {
@@ -60,6 +67,44 @@ async function commonBeforeAll() {
     password: "password3",
     isAdmin: false,
   });
+  await User.register({
+    username: "admin",
+    firstName: "AF",
+    lastName: "AL",
+    email: "admin@user.com",
+    password: "password-admin",
+    isAdmin: true,
+  });
+  // u3 is left unverified
+  await db.query(
+      "UPDATE users SET email_verified_at = NOW() WHERE username IN ('u1', 'u2')");
+
+  testJobIds[0] = (await Job.create(
+      { title: "J1", salaryMin: 1, equity: "0.1", companyHandle: "c1",
+        status: "published" })).id;
+  testJobIds[1] = (await Job.create(
+      { title: "J2", salaryMin: 2, equity: "0.2", companyHandle: "c1",
+        status: "published" })).id;
+  testJobIds[2] = (await Job.create(
+      { title: "J3", salaryMin: 3, /* equity null */ companyHandle: "c1",
+        status: "published" })).id;
+
+  await User.applyToJob("u1", testJobIds[0]);
+
+  testSkillIds[0] = (await Skill.create({ name: "SQL" })).id;
+  testSkillIds[1] = (await Skill.create({ name: "Python" })).id;
+  await Skill.setForJob(testJobIds[0], testSkillIds[0]);
+  await Skill.setForJob(testJobIds[1], testSkillIds[1], { required: false });
+  await Skill.setForUser("u1", testSkillIds[0], "intermediate");
+
+  // the sessions of the tokens below
+  await db.query(`
+    INSERT INTO sessions (id, username, expires_at)
+    VALUES ('test-u1', 'u1', NOW() + INTERVAL '1 day'),
+           ('test-u2', 'u2', NOW() + INTERVAL '1 day'),
+           ('test-u3', 'u3', NOW() + INTERVAL '1 day'),
+           ('test-admin', 'admin', NOW() + INTERVAL '1 day'),
+           ('test-recruiter', 'u2', NOW() + INTERVAL '1 day')`);
 }
 
 async function commonBeforeEach() {
@@ -75,7 +120,14 @@ async function commonAfterAll() {
 }
 
 
-const u1Token = createToken({ username: "u1", isAdmin: false });
+// tokens are only accepted while their session is active; commonBeforeAll
+// starts the sessions these are for
+const u1Token = createToken({ username: "u1", isAdmin: false }, "test-u1");
+const u2Token = createToken({ username: "u2", isAdmin: false }, "test-u2");
+const u3Token = createToken({ username: "u3", isAdmin: false }, "test-u3");
+const adminToken = createToken({ username: "admin", isAdmin: true }, "test-admin");
+const recruiterToken = createToken(
+    { username: "u2", isAdmin: false, roles: ["recruiter"] }, "test-recruiter");
 
 
 module.exports = {
@@ -83,5 +135,11 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
+  testSkillIds,
   u1Token,
+  u2Token,
+  u3Token,
+  adminToken,
+  recruiterToken,
 };
@@ -0,0 +1,212 @@
+"use strict";
+
+/** Routes for admin tools. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensureAdmin } = require("../middleware/auth");
+const { checkIdParam } = require("../middleware/params");
+const { BASE_CURRENCY } = require("../config");
+const { DEFAULT_LIMIT, pageLinks } = require("../helpers/pagination");
+const Audit = require("../models/audit");
+const Company = require("../models/company");
+const ExchangeRate = require("../models/exchangeRate");
+const Job = require("../models/job");
+const User = require("../models/user");
+const auditSearchSchema = require("../schemas/auditSearch.json");
+const exchangeRateUpdateSchema = require("../schemas/exchangeRateUpdate.json");
+
+const router = new express.Router();
+
+router.param("id", checkIdParam);
+
+
+/** GET /audit  =>  { entries, total, next, prev }
+ *
+ * The audit log of creates, updates, removes, restores and purges, newest
+ * first.
+ *
+ * entries is [{ id, actor, action, entityType, entityId, before, after,
+ *               requestId, createdAt }, ...]
+ *   where actor is a username, "api-key:<prefix>", or null (anonymous,
+ *   e.g. registering), and before/after hold the fields that changed
+ *
+ * Can filter in query:
+ * - actor
+ * - entityType (one of Audit.ENTITY_TYPES, e.g. "company") and entityId
+ * - action ("create", "update", "remove", "restore" or "purge")
+ * - from, to (ISO date-times; from is inclusive, to exclusive)
+ *
+ * Can page with:
+ * - limit (default 20, at most 100)
+ * - cursor (from next/prev links) or page (1-based)
+ *
+ * Authorization required: admin
+ */
+
+router.get("/audit", ensureAdmin, async function (req, res, next) {
+  const q = req.query;
+  // arrive as strings from querystring, but we want as ints
+  if (q.limit !== undefined) q.limit = +q.limit;
+  if (q.page !== undefined) q.page = +q.page;
+
+  try {
+    const validator = jsonschema.validate(q, auditSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const limit = q.limit || DEFAULT_LIMIT;
+    const result = await Audit.findPage({ ...q, limit });
+    const { next, prev } = pageLinks(req, result, { limit, page: q.page });
+    return res.json({ entries: result.rows, total: result.total, next, prev });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /trash  =>  { companies, jobs, users }
+ *
+ * What's been deleted and can still be restored, most recently deleted
+ * first:
+ *   companies is [{ handle, name, deletedAt }, ...]
+ *   jobs is [{ id, title, companyHandle, deletedAt }, ...]
+ *   users is [{ username, firstName, lastName, email, deletedAt }, ...]
+ *
+ * Jobs deleted along with their company are listed too; restoring the
+ * company restores them.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/trash", ensureAdmin, async function (req, res, next) {
+  try {
+    const companies = await Company.findDeleted();
+    const jobs = await Job.findDeleted();
+    const users = await User.findDeleted();
+    return res.json({ companies, jobs, users });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /trash/companies/[handle]/restore  =>  { company }
+ *
+ * Restores the company and the jobs deleted along with it.
+ *
+ * company is { handle, name, description, numEmployees, logoUrl, jobs }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/trash/companies/:handle/restore", ensureAdmin, async function (req, res, next) {
+  try {
+    const company = await Company.restore(req.params.handle);
+    return res.json({ company });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /trash/jobs/[id]/restore  =>  { job }
+ *
+ * job is as from POST /jobs. A job whose company
+ * is deleted can't be restored on its own; restore the company.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/trash/jobs/:id/restore", ensureAdmin, async function (req, res, next) {
+  try {
+    const job = await Job.restore(req.params.id);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /trash/users/[username]/restore  =>  { user }
+ *
+ * user is { username, firstName, lastName, email, isAdmin }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/trash/users/:username/restore", ensureAdmin, async function (req, res, next) {
+  try {
+    const user = await User.restore(req.params.username);
+    return res.json({ user });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /exchange-rates  =>  { baseCurrency, rates }
+ *
+ * The rates used to compare salaries in baseCurrency (see
+ * models/exchangeRate.js).
+ *
+ * rates is [{ currency, rate, updatedAt }, ...]
+ *
+ * Authorization required: admin
+ */
+
+router.get("/exchange-rates", ensureAdmin, async function (req, res, next) {
+  try {
+    const rates = await ExchangeRate.findAll();
+    return res.json({ baseCurrency: BASE_CURRENCY, rates });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT /exchange-rates/[currency] { rate }  =>  { rate }
+ *
+ * Sets (or adds) the rate for currency, an ISO code like "EUR".
+ *
+ * Returns { currency, rate, updatedAt }
+ *
+ * Authorization required: admin
+ */
+
+router.put("/exchange-rates/:currency", ensureAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, exchangeRateUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    if (!/^[A-Z]{3}$/.test(req.params.currency)) {
+      throw new BadRequestError(`Invalid currency: ${req.params.currency}`);
+    }
+
+    const rate = await ExchangeRate.set(req.params.currency, req.body.rate);
+    return res.json({ rate });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /exchange-rates/[currency]  =>  { deleted: currency }
+ *
+ * Fails for the base currency, and while any job is paid in that currency.
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/exchange-rates/:currency", ensureAdmin, async function (req, res, next) {
+  try {
+    await ExchangeRate.remove(req.params.currency);
+    return res.json({ deleted: req.params.currency });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,222 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  await commonBeforeEach();
+  // setting up the fixtures was logged too
+  await db.query("DELETE FROM audit_log");
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  test("records who changed what, in which request", async function () {
+    const patch = await request(app)
+        .patch("/companies/c1")
+        .send({ name: "C1-new" })
+        .set("X-Request-Id", "req-123")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(patch.headers["x-request-id"]).toEqual("req-123");
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      entries: [{
+        id: expect.any(Number),
+        actor: "admin",
+        action: "update",
+        entityType: "company",
+        entityId: "c1",
+        before: { name: "C1" },
+        after: { name: "C1-new" },
+        requestId: "req-123",
+        createdAt: expect.any(String),
+      }],
+      total: 1,
+      next: null,
+      prev: null,
+    });
+  });
+
+  test("makes up request ids", async function () {
+    const resp = await request(app).get("/companies");
+    expect(resp.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test("filters", async function () {
+    await request(app)
+        .patch("/companies/c1")
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+
+    let resp = await request(app)
+        .get("/admin/audit?entityType=user&action=create")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.entries.map(e => [e.entityId, e.actor])).toEqual([["new", null]]);
+    expect(resp.body.entries[0].after).not.toHaveProperty("password");
+
+    resp = await request(app)
+        .get("/admin/audit?actor=admin&from=2000-01-01T00:00:00Z")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.entries.map(e => e.entityId)).toEqual(["c1"]);
+  });
+
+  test("bad request with invalid filters", async function () {
+    const resp = await request(app)
+        .get("/admin/audit?entityType=planet")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /admin/trash */
+
+describe("/admin/trash", function () {
+  test("lists and restores deleted companies with their jobs", async function () {
+    await request(app)
+        .delete("/companies/c1")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    let resp = await request(app)
+        .get("/admin/trash")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c1"]);
+    expect(resp.body.jobs.map(j => j.id).sort()).toEqual(testJobIds.slice().sort());
+    expect(resp.body.users).toEqual([]);
+
+    resp = await request(app)
+        .post("/admin/trash/companies/c1/restore")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.company.jobs.length).toEqual(testJobIds.length);
+
+    resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("restores jobs and users", async function () {
+    await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .delete("/users/u2")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    let resp = await request(app)
+        .post(`/admin/trash/jobs/${testJobIds[0]}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.id).toEqual(testJobIds[0]);
+
+    resp = await request(app)
+        .post("/admin/trash/users/u2/restore")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.user.username).toEqual("u2");
+
+    const audit = await request(app)
+        .get("/admin/audit?action=restore")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(audit.body.entries.map(e => e.entityId)).toEqual(
+        ["u2", String(testJobIds[0])]);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post("/admin/trash/companies/c1/restore")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for job ids that aren't numbers", async function () {
+    const resp = await request(app)
+        .post("/admin/trash/jobs/nope/restore")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+        .get("/admin/trash")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /admin/exchange-rates */
+
+describe("/admin/exchange-rates", function () {
+  test("set, list and remove rates", async function () {
+    const put = await request(app)
+        .put("/admin/exchange-rates/EUR")
+        .send({ rate: 1.1 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(put.body).toEqual({
+      rate: { currency: "EUR", rate: 1.1, updatedAt: expect.any(String) },
+    });
+
+    const list = await request(app)
+        .get("/admin/exchange-rates")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(list.body.baseCurrency).toEqual("USD");
+    expect(list.body.rates.map(r => r.currency)).toContain("EUR");
+
+    const del = await request(app)
+        .delete("/admin/exchange-rates/EUR")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(del.body).toEqual({ deleted: "EUR" });
+  });
+
+  test("bad request with an invalid rate or currency", async function () {
+    let resp = await request(app)
+        .put("/admin/exchange-rates/EUR")
+        .send({ rate: 0 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+        .put("/admin/exchange-rates/euro")
+        .send({ rate: 1.1 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+        .put("/admin/exchange-rates/EUR")
+        .send({ rate: 1.1 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
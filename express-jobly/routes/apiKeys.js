@@ -0,0 +1,82 @@
+"use strict";
+
+/** Routes for API keys. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensureAdmin } = require("../middleware/auth");
+const { checkIdParam } = require("../middleware/params");
+const ApiKey = require("../models/apiKey");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+
+const router = new express.Router();
+
+router.param("id", checkIdParam);
+
+
+/** POST / { name, scopes, expiresAt } => { apiKey, key }
+ *
+ * Issues a key for an integration to use instead of a JWT, as
+ * "Authorization: Bearer <key>". scopes is a list of:
+ *   companies:read, companies:write, jobs:read, jobs:write,
+ *   applications:read
+ * expiresAt (optional) is an ISO date-time.
+ *
+ * apiKey is { id, prefix, name, scopes, createdBy, createdAt, expiresAt }.
+ * key is only returned now; store it safely.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/", ensureAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, apiKeyNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { apiKey, key } = await ApiKey.create(req.body, res.locals.user.username);
+    return res.status(201).json({ apiKey, key });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET / => { apiKeys: [ apiKey, ... ] }
+ *
+ * apiKey is { id, prefix, name, scopes, createdBy, createdAt, expiresAt,
+ *             lastUsedAt, revokedAt }
+ *
+ * Authorization required: admin
+ */
+
+router.get("/", ensureAdmin, async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findAll();
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[id] => { revoked: id }
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/:id", ensureAdmin, async function (req, res, next) {
+  try {
+    await ApiKey.revoke(+req.params.id);
+    return res.json({ revoked: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,188 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function createKey(scopes) {
+  const resp = await request(app)
+      .post("/api-keys")
+      .send({ name: "ATS", scopes })
+      .set("authorization", `Bearer ${adminToken}`);
+  return resp.body;
+}
+
+/************************************** POST /api-keys */
+
+describe("POST /api-keys", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({
+          name: "ATS",
+          scopes: ["jobs:write"],
+          expiresAt: "2100-01-01T00:00:00Z",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        prefix: expect.any(String),
+        name: "ATS",
+        scopes: ["jobs:write"],
+        createdBy: "admin",
+        createdAt: expect.any(String),
+        expiresAt: "2100-01-01T00:00:00.000Z",
+      },
+      key: expect.stringMatching(/^jobly_/),
+    });
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ name: "ATS", scopes: ["jobs:write"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for API keys", async function () {
+    const { key } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ name: "ATS", scopes: ["jobs:write"] })
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown scope", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ name: "ATS", scopes: ["users:write"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /api-keys */
+
+describe("GET /api-keys", function () {
+  test("works for admin", async function () {
+    const { apiKey } = await createKey(["jobs:read"]);
+    const resp = await request(app)
+        .get("/api-keys")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.apiKeys.map(k => k.id)).toEqual([apiKey.id]);
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+        .get("/api-keys")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /api-keys/:id */
+
+describe("DELETE /api-keys/:id", function () {
+  test("works for admin, and the key stops working", async function () {
+    const { apiKey, key } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .delete(`/api-keys/${apiKey.id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ revoked: apiKey.id });
+
+    const jobResp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${key}`);
+    expect(jobResp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such key", async function () {
+    const resp = await request(app)
+        .delete("/api-keys/0")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for ids that aren't numbers", async function () {
+    const resp = await request(app)
+        .delete("/api-keys/nope")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** using API keys */
+
+describe("using API keys", function () {
+  test("key with the scope works", async function () {
+    const { key } = await createKey(["jobs:write"]);
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.body.job.title).toEqual("J-New");
+  });
+
+  test("key without the scope is unauth", async function () {
+    const { key } = await createKey(["jobs:read"]);
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+
+    const readResp = await request(app)
+        .get(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${key}`);
+    expect(readResp.statusCode).toEqual(200);
+  });
+
+  test("applicants need the applications:read scope", async function () {
+    let { key } = await createKey(["jobs:read"]);
+    let resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applicants`)
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+
+    ({ key } = await createKey(["applications:read"]));
+    resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applicants`)
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("key can't act as a user", async function () {
+    const { key } = await createKey(["companies:read", "jobs:read"]);
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unknown key is anonymous", async function () {
+    const resp = await request(app)
+        .get("/companies/c1/applicants")
+        .set("authorization", "Bearer jobly_nope");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -51,16 +51,44 @@ This setup is a standard approach in modern web applications for handling user a
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const LoginAttempt = require("../models/loginAttempt");
+const TwoFactor = require("../models/twoFactor");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { startSession, sessionToken } = require("../helpers/sessions");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerifySchema = require("../schemas/emailVerify.json");
+const authChallengeSchema = require("../schemas/authChallenge.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+
+/** POST /auth/token:  { username, password }
+ *   => { token, refreshToken } or { challenge, twoFactorRequired: true }
+ *
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token to get a new JWT from POST /auth/refresh once it
+ * expires.
+ *
+ * If the user has two-factor authentication enabled, returns a challenge
+ * instead; send it with a code to POST /auth/token/2fa to get the tokens.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * The token carries the user's roles (see helpers/permissions.js). If 2FA
+ * is mandatory for admins (REQUIRE_ADMIN_2FA) and this admin hasn't enabled
+ * it, the token has isAdmin false and no super-admin role, and the response
+ * includes twoFactorSetupRequired: true.
+ *
+ * Repeated failures slow down and then lock out further attempts (see
+ * models/loginAttempt.js): 429 when it's too soon to try again or this
+ * address is blocked, 423 when the account is locked. Either way the
+ * Retry-After header says how many seconds to wait.
  *
  * Authorization required: none
  */
@@ -74,20 +102,77 @@ router.post("/token", async function (req, res, next) {
     }
 
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    await LoginAttempt.check(username, req.ip);
+
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        await LoginAttempt.recordFailure(username, req.ip);
+      }
+      throw err;
+    }
+
+    // failures keep counting until the second step succeeds, so knowing
+    // the password doesn't buy unlimited guesses at codes
+    if (await TwoFactor.isEnabled(user.username)) {
+      const challenge = await TwoFactor.createChallenge(user.username);
+      return res.json({ challenge, twoFactorRequired: true });
+    }
+
+    await LoginAttempt.recordSuccess(username);
+    return res.json(await startSession(user, req));
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/token/2fa:  { challenge, code } => { token, refreshToken }
+ *
+ * Second step of logging in with two-factor authentication. code is from
+ * the user's authenticator app, or is one of their recovery codes.
+ *
+ * A challenge allows a few wrong codes, which count as failed logins.
+ *
+ * Authorization required: none
+ */
+
+router.post("/token/2fa", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authChallengeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { challenge, code } = req.body;
+    const user = await TwoFactor.getChallenge(challenge);
+    await LoginAttempt.check(user.username, req.ip);
+
+    if (!await TwoFactor.answerChallenge(challenge, code)) {
+      await LoginAttempt.recordFailure(user.username, req.ip);
+      throw new UnauthorizedError("Invalid code");
+    }
+
+    await LoginAttempt.recordSuccess(user.username);
+    return res.json(await startSession(user, req));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token, as for POST /auth/token.
+ *
+ * Also emails the user a link to verify their address; until they do, they
+ * can't apply to jobs.
  *
  * Authorization required: none
  */
@@ -101,8 +186,153 @@ router.post("/register", async function (req, res, next) {
     }
 
     const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    await EmailVerification.request(newUser.username);
+    return res.status(201).json(await startSession(newUser, req));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:  { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT and a new refresh token; the old
+ * refresh token can't be used again. Reusing one revokes every refresh
+ * token descended from the same login.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { user, sessionId, refreshToken } =
+        await RefreshToken.rotate(req.body.refreshToken);
+    const token = await sessionToken(user, sessionId);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:  { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token's session: the refresh token, any it was
+ * traded for, and the JWTs issued with them.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await RefreshToken.revoke(req.body.refreshToken);
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:  { email } => { requested: true }
+ *
+ * Emails a single-use password reset link to the users with this address.
+ * Responds the same whether or not the address is registered.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.request(req.body.email);
+    return res.json({ requested: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:  { token, password } => { reset: username }
+ *
+ * Sets a new password using the token from a reset email. Logs the user
+ * out of every session; they log in again with the new password.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } =
+        await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ reset: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email:  { token } => { verified: username }
+ *
+ * Verifies the email address a verification token was sent to.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify-email", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, emailVerifySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = await EmailVerification.confirm(req.body.token);
+    return res.json({ verified: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email/resend:  {} => { sent: true }
+ *
+ * Emails the logged-in user a new verification link.
+ *
+ * Authorization required: logged in, with an unverified address
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { username } = res.locals.user;
+    if (await EmailVerification.isVerified(username)) {
+      throw new BadRequestError("Email address already verified");
+    }
+
+    await EmailVerification.request(username);
+    return res.json({ sent: true });
   } catch (err) {
     return next(err);
   }
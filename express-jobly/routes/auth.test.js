@@ -3,6 +3,11 @@
 const request = require("supertest");
 
 const app = require("../app");
+const db = require("../db");
+const User = require("../models/user");
+const TwoFactor = require("../models/twoFactor");
+const { codeAt, stepAt } = require("../helpers/totp");
+const config = require("../config");
 
 const {
   commonBeforeAll,
@@ -28,6 +33,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -71,6 +77,51 @@ describe("POST /auth/token", function () {
   });
 });
 
+/************************************** POST /auth/token lockout */
+
+describe("POST /auth/token lockout", function () {
+  async function failLogin() {
+    // skip the wait between attempts
+    await db.query(
+        "UPDATE login_failures SET last_failed_at = last_failed_at - INTERVAL '1 minute'");
+    return await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "wrong" });
+  }
+
+  test("slows down repeated failures", async function () {
+    for (let i = 0; i < 3; i++) await failLogin();
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+  });
+
+  test("locks the account", async function () {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) statuses.push((await failLogin()).statusCode);
+    expect(statuses).toEqual([401, 401, 401, 401, 401, 423]);
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(423);
+    expect(+resp.headers["retry-after"]).toBeGreaterThan(0);
+  });
+
+  test("success clears failures", async function () {
+    await failLogin();
+    await failLogin();
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const res = await db.query(
+        "SELECT key FROM login_failures WHERE scope = 'account'");
+    expect(res.rows).toEqual([]);
+  });
+});
+
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
@@ -87,7 +138,13 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
+
+    const mail = await db.query("SELECT to_address, subject FROM mail_outbox");
+    expect(mail.rows).toEqual([
+      { to_address: "new@email.com", subject: "Verify your Jobly email address" },
+    ]);
   });
 
   test("bad request with missing fields", async function () {
@@ -112,3 +169,309 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("unauth on reuse, and family revoked", async function () {
+    const refreshToken = await login();
+    const resp1 = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    const resp2 = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp2.statusCode).toEqual(401);
+    const resp3 = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: resp1.body.refreshToken });
+    expect(resp3.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const { token, refreshToken } = loginResp.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  async function requestToken() {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    const res = await db.query(
+        "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+    return res.rows[0].body.match(/token=([\w-]+)/)[1];
+  }
+
+  test("works", async function () {
+    const token = await requestToken();
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ reset: "u1" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("same response for unknown email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nope@user.com" });
+    expect(resp.body).toEqual({ requested: true });
+  });
+
+  test("bad request if token reused", async function () {
+    const token = await requestToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "not-an-email" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with short password", async function () {
+    const token = await requestToken();
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  async function register() {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    return resp.body.token;
+  }
+
+  async function latestToken() {
+    const res = await db.query(
+        "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+    return res.rows[0].body.match(/token=([\w-]+)/)[1];
+  }
+
+  test("works", async function () {
+    await register();
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: await latestToken() });
+    expect(resp.body).toEqual({ verified: "new" });
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("resend works", async function () {
+    const token = await register();
+    const first = await latestToken();
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ sent: true });
+    expect(await latestToken()).not.toEqual(first);
+  });
+
+  test("resend: bad request if already verified", async function () {
+    const token = await register();
+    await request(app)
+        .post("/auth/verify-email")
+        .send({ token: await latestToken() });
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("resend: unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** two-factor login */
+
+describe("two-factor login", function () {
+  async function enable(username) {
+    const { secret } = await TwoFactor.enroll(username);
+    const recoveryCodes = await TwoFactor.confirm(username, codeAt(secret, stepAt()));
+    return { secret, recoveryCodes };
+  }
+
+  async function passwordStep() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body;
+  }
+
+  afterEach(function () {
+    config.REQUIRE_ADMIN_2FA = false;
+  });
+
+  test("works", async function () {
+    const { secret } = await enable("u1");
+    const first = await passwordStep();
+    expect(first).toEqual({ challenge: expect.any(String), twoFactorRequired: true });
+
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challenge: first.challenge, code: codeAt(secret, stepAt() + 1) });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+  });
+
+  test("works with a recovery code", async function () {
+    const { recoveryCodes } = await enable("u1");
+    const { challenge } = await passwordStep();
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challenge, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth with wrong code, counted as a failed login", async function () {
+    await enable("u1");
+    const { challenge } = await passwordStep();
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challenge, code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+    const res = await db.query(
+        "SELECT failures FROM login_failures WHERE scope = 'account'");
+    expect(res.rows).toEqual([{ failures: 1 }]);
+  });
+
+  test("unauth with unknown challenge", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challenge: "nope", code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("admins without 2FA get user access when it's required", async function () {
+    await User.register({
+      username: "a1",
+      firstName: "A1F",
+      lastName: "A1L",
+      email: "a1@user.com",
+      password: "password",
+      isAdmin: true,
+    });
+    config.REQUIRE_ADMIN_2FA = true;
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "a1", password: "password" });
+    expect(resp.body.twoFactorSetupRequired).toEqual(true);
+
+    const adminResp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(adminResp.statusCode).toEqual(401);
+
+    const { secret } = await enable("a1");
+    const { challenge } = (await request(app)
+        .post("/auth/token")
+        .send({ username: "a1", password: "password" })).body;
+    const loginResp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challenge, code: codeAt(secret, stepAt() + 1) });
+    const usersResp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${loginResp.body.token}`);
+    expect(usersResp.statusCode).toEqual(200);
+  });
+});
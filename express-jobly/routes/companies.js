@@ -62,27 +62,49 @@ This file effectively sets up a RESTful API for company-related operations, leve
 const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureAdmin } = require("../middleware/auth");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const {
+  requirePermission,
+  requirePermissionOrMembership,
+} = require("../middleware/auth");
+const { checkIdParam } = require("../middleware/params");
+const { DEFAULT_LIMIT, pageLinks } = require("../helpers/pagination");
+const { hasPermission } = require("../helpers/permissions");
 const Company = require("../models/company");
+const Application = require("../models/application");
+const CompanyMember = require("../models/companyMember");
+const CompanyInvitation = require("../models/companyInvitation");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
 const companySearchSchema = require("../schemas/companySearch.json");
+const applicantSearchSchema = require("../schemas/applicantSearch.json");
+const companyInvitationNewSchema = require("../schemas/companyInvitationNew.json");
 
 const router = new express.Router();
 
+router.param("id", checkIdParam);
+
+/** The requesting user's role in company :handle (for
+ * requirePermissionOrMembership). */
+
+const companyRole =
+    (req, username) => CompanyMember.getRole(req.params.handle, username);
+
 
 /** POST / { company } =>  { company }
  *
- * company should be { handle, name, description, numEmployees, logoUrl }
+ * company should be { handle, name, description, numEmployees, logoUrl,
+ *                     city, region, country, latitude, longitude,
+ *                     workplaceType }
  *
- * Returns { handle, name, description, numEmployees, logoUrl }
+ * Returns { handle, name, description, numEmployees, logoUrl, city, region,
+ *           country, latitude, longitude, workplaceType }
  *
- * Authorization required: admin
+ * Authorization required: companies:create permission
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requirePermission("companies:create"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyNewSchema);
     if (!validator.valid) {
@@ -98,13 +120,22 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, next, prev }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
  *
+ * Can sort and page with:
+ * - sort (e.g. "-numEmployees,name"; default "name")
+ * - limit (default 20, at most 100)
+ * - cursor (from next/prev links) or page (1-based)
+ *
+ * total is the number of matching companies; next and prev are links to
+ * the neighboring pages, or null.
+ *
  * Authorization required: none
  */
 
@@ -113,6 +144,8 @@ router.get("/", async function (req, res, next) {
   // arrive as strings from querystring, but we want as ints
   if (q.minEmployees !== undefined) q.minEmployees = +q.minEmployees;
   if (q.maxEmployees !== undefined) q.maxEmployees = +q.maxEmployees;
+  if (q.limit !== undefined) q.limit = +q.limit;
+  if (q.page !== undefined) q.page = +q.page;
 
   try {
     const validator = jsonschema.validate(q, companySearchSchema);
@@ -121,8 +154,10 @@ router.get("/", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const companies = await Company.findAll(q);
-    return res.json({ companies });
+    const limit = q.limit || DEFAULT_LIMIT;
+    const result = await Company.findPage({ ...q, limit });
+    const { next, prev } = pageLinks(req, result, { limit, page: q.page });
+    return res.json({ companies: result.rows, total: result.total, next, prev });
   } catch (err) {
     return next(err);
   }
@@ -130,8 +165,10 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[handle]  =>  { company }
  *
- *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *  Company is { handle, name, description, numEmployees, logoUrl, city,
+ *              region, country, latitude, longitude, workplaceType, jobs }
+ *   where jobs is [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+ *                    equity }, ...]
  *
  * Authorization required: none
  */
@@ -145,18 +182,165 @@ router.get("/:handle", async function (req, res, next) {
   }
 });
 
+/** GET /[handle]/applicants  =>  { applicants, counts }
+ *
+ * applicants is [{ username, firstName, lastName, email, jobId, jobTitle,
+ *                  state, appliedAt }, ...]
+ * counts is { interested, applied, interviewing, offered, accepted,
+ *             rejected, withdrawn }, the number of applications per state
+ *
+ * Can filter in query:
+ * - jobId (only applicants to that one of the company's jobs)
+ * - state (may be repeated; doesn't change counts)
+ *
+ * Authorization required: applications:read permission, or membership of
+ * the company
+ */
+
+router.get("/:handle/applicants", requirePermissionOrMembership("applications:read", companyRole), async function (req, res, next) {
+  const q = req.query;
+  // arrive as strings from querystring, but we want as int/array
+  if (q.jobId !== undefined) q.jobId = +q.jobId;
+  if (q.state !== undefined) q.state = [].concat(q.state);
+
+  try {
+    const validator = jsonschema.validate(q, applicantSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { applicants, counts } = await Application.findApplicants({
+      companyHandle: req.params.handle,
+      jobId: q.jobId,
+      states: q.state,
+    });
+    return res.json({ applicants, counts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[handle]/members  =>  { members }
+ *
+ * members is [{ username, firstName, lastName, email, role, addedAt }, ...],
+ * owners first; role is "owner" or "recruiter". Members manage the
+ * company's jobs; owners also manage its members.
+ *
+ * Authorization required: companies:read permission, or membership of the
+ * company
+ */
+
+router.get("/:handle/members", requirePermissionOrMembership("companies:read", companyRole), async function (req, res, next) {
+  try {
+    const members = await CompanyMember.findForCompany(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: companies:update permission, ownership of the
+ * company, or same-user-as-:username (leaving the company)
+ */
+
+router.delete("/:handle/members/:username", async function (req, res, next) {
+  try {
+    const user = res.locals.user;
+    const username = user && user.username;
+    if (username !== req.params.username
+        && !hasPermission(user, "companies:update")
+        && !(username && await companyRole(req, username) === "owner")) {
+      throw new UnauthorizedError();
+    }
+
+    await CompanyMember.remove(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/invitations { email, role }  =>  { invitation }
+ *
+ * Emails an invitation to join the company as role ("owner" or
+ * "recruiter"). Whoever has that address can accept it once they've
+ * verified it; see POST /invitations/accept.
+ *
+ * invitation is { id, companyHandle, email, role, invitedBy, createdAt,
+ *                 expiresAt }
+ *
+ * Authorization required: companies:update permission, or ownership of the
+ * company
+ */
+
+router.post("/:handle/invitations", requirePermissionOrMembership("companies:update", companyRole, ["owner"]), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, companyInvitationNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const invitation = await CompanyInvitation.create(
+        req.params.handle, req.body, res.locals.user.username || null);
+    return res.status(201).json({ invitation });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[handle]/invitations  =>  { invitations }
+ *
+ * Lists invitations still waiting for an answer, newest first.
+ * invitations is [{ id, email, role, invitedBy, createdAt, expiresAt }, ...]
+ *
+ * Authorization required: companies:update permission, or ownership of the
+ * company
+ */
+
+router.get("/:handle/invitations", requirePermissionOrMembership("companies:update", companyRole, ["owner"]), async function (req, res, next) {
+  try {
+    const invitations = await CompanyInvitation.findPending(req.params.handle);
+    return res.json({ invitations });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/invitations/[id]  =>  { revoked: id }
+ *
+ * Withdraws an invitation that hasn't been answered.
+ *
+ * Authorization required: companies:update permission, or ownership of the
+ * company
+ */
+
+router.delete("/:handle/invitations/:id", requirePermissionOrMembership("companies:update", companyRole, ["owner"]), async function (req, res, next) {
+  try {
+    await CompanyInvitation.revoke(req.params.handle, +req.params.id);
+    return res.json({ revoked: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** PATCH /[handle] { fld1, fld2, ... } => { company }
  *
  * Patches company data.
  *
- * fields can be: { name, description, numEmployees, logo_url }
+ * fields can be: { name, description, numEmployees, logo_url, city, region,
+ *                  country, latitude, longitude, workplaceType }
  *
- * Returns { handle, name, description, numEmployees, logo_url }
+ * Returns { handle, name, description, numEmployees, logo_url, city, region,
+ *           country, latitude, longitude, workplaceType }
  *
- * Authorization required: admin
+ * Authorization required: companies:update permission
  */
 
-router.patch("/:handle", ensureAdmin, async function (req, res, next) {
+router.patch("/:handle", requirePermission("companies:update"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyUpdateSchema);
     if (!validator.valid) {
@@ -173,10 +357,10 @@ router.patch("/:handle", ensureAdmin, async function (req, res, next) {
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: admin
+ * Authorization: companies:delete permission
  */
 
-router.delete("/:handle", ensureAdmin, async function (req, res, next) {
+router.delete("/:handle", requirePermission("companies:delete"), async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -2,7 +2,9 @@
 
 const request = require("supertest");
 
+const db = require("../db.js");
 const app = require("../app");
+const { createToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll,
@@ -11,7 +13,9 @@ const {
   commonAfterAll,
   testJobIds,
   u1Token,
+  u2Token,
   adminToken,
+  recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -19,6 +23,12 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+async function addMember(handle, username, role) {
+  await db.query(
+      `INSERT INTO company_members (company_handle, username, role)
+       VALUES ($1, $2, $3)`, [handle, username, role]);
+}
+
 /************************************** POST /companies */
 
 describe("POST /companies", function () {
@@ -94,9 +104,33 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      total: 3,
+      next: null,
+      prev: null,
     });
   });
 
+  test("works: sorting and paging", async function () {
+    const resp1 = await request(app)
+        .get("/companies")
+        .query({ sort: "-numEmployees", limit: 2 });
+    expect(resp1.body.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(resp1.body.total).toEqual(3);
+
+    const resp2 = await request(app).get(resp1.body.next);
+    expect(resp2.body.companies.map(c => c.handle)).toEqual(["c1"]);
+    expect(resp2.body.next).toEqual(null);
+    expect(resp2.body.prev).toEqual(expect.any(String));
+  });
+
+  test("bad request with both page and cursor", async function () {
+    const resp1 = await request(app)
+        .get("/companies")
+        .query({ limit: 1 });
+    const resp2 = await request(app).get(`${resp1.body.next}&page=2`);
+    expect(resp2.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -144,6 +178,229 @@ describe("GET /companies/:handle", function () {
   });
 });
 
+/************************************** GET /companies/:handle/applicants */
+
+describe("GET /companies/:handle/applicants", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      applicants: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          jobId: testJobIds[0],
+          jobTitle: "J1",
+          state: "applied",
+          appliedAt: expect.any(String),
+        },
+      ],
+      counts: {
+        interested: 0,
+        applied: 1,
+        interviewing: 0,
+        offered: 0,
+        accepted: 0,
+        rejected: 0,
+        withdrawn: 0,
+      },
+    });
+  });
+
+  test("works: filtering on job and state", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants?jobId=${testJobIds[1]}&state=applied`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applicants).toEqual([]);
+    expect(resp.body.counts.applied).toEqual(0);
+  });
+
+  test("works for company members", async function () {
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.counts.applied).toEqual(1);
+  });
+
+  test("works for recruiters", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for company editors", async function () {
+    const editorToken = createToken(
+        { username: "u1", isAdmin: false, roles: ["company-editor"] }, "test-u1");
+    const resp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${editorToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid state", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants?state=nope`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/applicants`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /companies/:handle/members */
+
+describe("/companies/:handle/members", function () {
+  test("members can list members", async function () {
+    await addMember("c1", "u1", "owner");
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.members.map(m => [m.username, m.role])).toEqual(
+        [["u1", "owner"], ["u2", "recruiter"]]);
+  });
+
+  test("unauth for non-members", async function () {
+    await addMember("c2", "u1", "owner");
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("owners can remove members", async function () {
+    await addMember("c1", "u1", "owner");
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: "u2" });
+  });
+
+  test("members can leave", async function () {
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ removed: "u2" });
+  });
+
+  test("bad request for the last owner leaving", async function () {
+    await addMember("c1", "u1", "owner");
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for recruiters removing others", async function () {
+    await addMember("c1", "u1", "owner");
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /companies/:handle/invitations */
+
+describe("/companies/:handle/invitations", function () {
+  test("owners can invite, list and revoke", async function () {
+    await addMember("c1", "u1", "owner");
+    let resp = await request(app)
+        .post(`/companies/c1/invitations`)
+        .send({ email: "new@user.com", role: "recruiter" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.invitation).toEqual({
+      id: expect.any(Number),
+      companyHandle: "c1",
+      email: "new@user.com",
+      role: "recruiter",
+      invitedBy: "u1",
+      createdAt: expect.any(String),
+      expiresAt: expect.any(String),
+    });
+    const { id } = resp.body.invitation;
+
+    resp = await request(app)
+        .get(`/companies/c1/invitations`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.invitations.map(i => i.id)).toEqual([id]);
+
+    resp = await request(app)
+        .delete(`/companies/c1/invitations/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ revoked: id });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/invitations`)
+        .send({ email: "new@user.com", role: "owner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for recruiters", async function () {
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+        .post(`/companies/c1/invitations`)
+        .send({ email: "new@user.com", role: "recruiter" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/invitations`)
+        .send({ email: "not-an-email", role: "boss" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such company", async function () {
+    const resp = await request(app)
+        .post(`/companies/nope/invitations`)
+        .send({ email: "new@user.com", role: "owner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for invitation ids that aren't numbers", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/invitations/nope`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** PATCH /companies/:handle */
 
 describe("PATCH /companies/:handle", function () {
@@ -165,6 +422,16 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  test("unauth for recruiters", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
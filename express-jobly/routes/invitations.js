@@ -0,0 +1,67 @@
+"use strict";
+
+/** Routes for answering invitations to join a company. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { ensureLoggedIn } = require("../middleware/auth");
+const CompanyInvitation = require("../models/companyInvitation");
+const invitationAnswerSchema = require("../schemas/invitationAnswer.json");
+
+const router = new express.Router();
+
+
+/** POST /accept { token } => { membership }
+ *
+ * Joins the company with the role the invitation was for. The invitation
+ * must have been sent to the user's email address, which they must have
+ * verified.
+ *
+ * membership is { companyHandle, role }
+ *
+ * Authorization required: logged in as a user
+ */
+
+router.post("/accept", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, invitationAnswerSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    // API keys can't join companies
+    const { username } = res.locals.user;
+    if (!username) throw new UnauthorizedError();
+
+    const membership = await CompanyInvitation.accept(req.body.token, username);
+    return res.json({ membership });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /decline { token } => { declined: companyHandle }
+ *
+ * Authorization required: none (the token is the invitation)
+ */
+
+router.post("/decline", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, invitationAnswerSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { companyHandle } = await CompanyInvitation.decline(req.body.token);
+    return res.json({ declined: companyHandle });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,113 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+  u3Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Invite email to c1 and return the token from the email sent. */
+
+async function invite(email, role = "recruiter") {
+  await request(app)
+      .post(`/companies/c1/invitations`)
+      .send({ email, role })
+      .set("authorization", `Bearer ${adminToken}`);
+  const res = await db.query(
+      "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+  return res.rows[0].body.match(/token=([\w-]+)/)[1];
+}
+
+/************************************** POST /invitations/accept */
+
+describe("POST /invitations/accept", function () {
+  test("works", async function () {
+    const token = await invite("user1@user.com");
+    const resp = await request(app)
+        .post("/invitations/accept")
+        .send({ token })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ membership: { companyHandle: "c1", role: "recruiter" } });
+
+    const companies = await request(app)
+        .get("/users/u1/companies")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(companies.body).toEqual({
+      companies: [{ handle: "c1", name: "C1", role: "recruiter" }],
+    });
+  });
+
+  test("forbidden for someone else", async function () {
+    const token = await invite("user1@user.com");
+    const resp = await request(app)
+        .post("/invitations/accept")
+        .send({ token })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden with unverified address", async function () {
+    const token = await invite("user3@user.com");
+    const resp = await request(app)
+        .post("/invitations/accept")
+        .send({ token })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const token = await invite("user1@user.com");
+    const resp = await request(app)
+        .post("/invitations/accept")
+        .send({ token });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/invitations/accept")
+        .send({ token: "nope" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /invitations/decline */
+
+describe("POST /invitations/decline", function () {
+  test("works for anon", async function () {
+    const token = await invite("user1@user.com");
+    const resp = await request(app)
+        .post("/invitations/decline")
+        .send({ token });
+    expect(resp.body).toEqual({ declined: "c1" });
+
+    const accept = await request(app)
+        .post("/invitations/accept")
+        .send({ token })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(accept.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing token", async function () {
+    const resp = await request(app)
+        .post("/invitations/decline")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
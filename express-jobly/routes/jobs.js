@@ -8,8 +8,8 @@ Routes
 POST /
 
 Function: Creates a new job posting.
-Request Body: Should include title, salary, equity, companyHandle.
-Response: Returns created job data including id, title, salary, equity, companyHandle.
+Request Body: Should include title, salaryMin, salaryMax, currency, payPeriod, equity, companyHandle.
+Response: Returns created job data including id, title, salaryMin, salaryMax, currency, payPeriod, equity, companyHandle.
 Authorization: Admin rights required.
 Validation: Uses jobNewSchema for validating the request body.
 GET /
@@ -29,7 +29,7 @@ PATCH /[jobId]
 
 Function: Updates data for an existing job posting.
 URL Parameters: jobId of the job to update.
-Request Body: Can include title, salary, equity.
+Request Body: Can include title, salaryMin, salaryMax, currency, payPeriod, equity.
 Response: Returns updated job data.
 Authorization: Admin rights required.
 Validation: Uses jobUpdateSchema for validating the request body.
@@ -62,26 +62,70 @@ This file effectively sets up a RESTful API for job-related operations, leveragi
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { BadRequestError } = require("../expressError");
-const { ensureAdmin } = require("../middleware/auth");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const { requirePermissionOrMembership } = require("../middleware/auth");
+const { checkIdParam } = require("../middleware/params");
+const { hasPermission } = require("../helpers/permissions");
+const { DEFAULT_LIMIT, pageLinks } = require("../helpers/pagination");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const CompanyMember = require("../models/companyMember");
+const Skill = require("../models/skill");
+const SavedJob = require("../models/savedJob");
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
 const jobSearchSchema = require("../schemas/jobSearch.json");
+const jobPublishSchema = require("../schemas/jobPublish.json");
+const jobCloseSchema = require("../schemas/jobClose.json");
+const jobSkillSetSchema = require("../schemas/jobSkillSet.json");
+const applicantSearchSchema = require("../schemas/applicantSearch.json");
 
 const router = express.Router({ mergeParams: true });
 
+router.param("id", checkIdParam);
+router.param("skillId", checkIdParam);
+
+/** The requesting user's role in the company posting the new job, or in
+ * the company that posted job :id (for requirePermissionOrMembership). */
+
+const newJobCompanyRole =
+    (req, username) => CompanyMember.getRole(req.body.companyHandle, username);
+const jobCompanyRole =
+    (req, username) => CompanyMember.getRoleForJob(req.params.id, username);
+
+/** Can user see job :id even as a draft? They need jobs:read permission, or
+ * membership of the company that posted it. */
+
+async function canSeeDrafts(req, user) {
+  if (hasPermission(user, "jobs:read")) return true;
+  if (!(user && user.username)) return false;
+  return (await jobCompanyRole(req, user.username)) !== null;
+}
+
 
 /** POST / { job } => { job }
  *
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *                 companyHandle, status, expiresAt, city, region, country,
+ *                 latitude, longitude, workplaceType }
+ * Only title and companyHandle are required. currency is an ISO code with
+ * an exchange rate (default: the base currency); payPeriod is hourly,
+ * monthly or yearly (the default); status is "draft" (the default) or
+ * "published"; workplaceType is remote, hybrid or onsite.
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, expiresAt, city, region, country,
+ *           latitude, longitude, workplaceType }
  *
- * Authorization required: admin
+ * Authorization required: jobs:create permission, or membership of the
+ * company
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requirePermissionOrMembership("jobs:create", newJobCompanyRole), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, jobNewSchema);
     if (!validator.valid) {
@@ -97,21 +141,66 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 /** GET / =>
- *   { jobs: [ { id, title, salary, equity, companyHandle, companyName }, ...] }
+ *   { jobs: [ { id, title, salaryMin, salaryMax, currency, payPeriod,
+ *               annualSalary, equity, companyHandle, companyName }, ...],
+ *     total, next, prev, facets }
  *
  * Can provide search filter in query:
- * - minSalary
+ * - minSalary, maxSalary: yearly, in the base currency (BASE_CURRENCY);
+ *   matches jobs whose salary range overlaps
  * - hasEquity (true returns only jobs with equity > 0, other values ignored)
+ * - minEquity, maxEquity (e.g. 0.05)
  * - title (will find case-insensitive, partial matches)
-
- * Authorization required: none
+ * - companyHandle (may be repeated)
+ * - minEmployees, maxEmployees: the size of the company
+ * - postedAfter (e.g. "2024-01-01T00:00:00Z")
+ * - excludeApplied (true leaves out jobs the logged-in user applied to;
+ *   ignored for anonymous requests and API keys)
+ * - workplaceType (remote, hybrid or onsite; may be repeated)
+ * - near ("lat,lng") and radiusKm: only jobs within radiusKm of that point
+ * - skills (skill names; may be repeated): only jobs asking for any of
+ *   them, or all of them with skillsMatch=all
+ * - status (may be repeated): only jobs with these statuses, expired or
+ *   not; needs jobs:read permission. Without it, only published jobs that
+ *   haven't expired are listed.
+ *
+ * Can sort and page with:
+ * - sort (e.g. "-annualSalary,title"; default "title")
+ * - limit (default 20, at most 100)
+ * - cursor (from next/prev links) or page (1-based)
+ *
+ * total is the number of matching jobs; next and prev are links to the
+ * neighboring pages, or null.
+ *
+ * With facets=true, facets counts the matching jobs by company, salary,
+ * equity and posting date (see Job.findFacets); otherwise it's left out.
+ *
+ * For a logged-in user, each job also has isSaved: whether they've saved it.
+ *
+ * Authorization required: none (jobs:read permission to filter on status)
  */
 
 router.get("/", async function (req, res, next) {
   const q = req.query;
   // arrive as strings from querystring, but we want as int/bool
   if (q.minSalary !== undefined) q.minSalary = +q.minSalary;
+  if (q.maxSalary !== undefined) q.maxSalary = +q.maxSalary;
   q.hasEquity = q.hasEquity === "true";
+  if (q.minEquity !== undefined) q.minEquity = +q.minEquity;
+  if (q.maxEquity !== undefined) q.maxEquity = +q.maxEquity;
+  if (q.companyHandle !== undefined) q.companyHandle = [].concat(q.companyHandle);
+  if (q.minEmployees !== undefined) q.minEmployees = +q.minEmployees;
+  if (q.maxEmployees !== undefined) q.maxEmployees = +q.maxEmployees;
+  if (q.excludeApplied !== undefined) {
+    q.excludeApplied = q.excludeApplied === "true";
+  }
+  if (q.facets !== undefined) q.facets = q.facets === "true";
+  if (q.workplaceType !== undefined) q.workplaceType = [].concat(q.workplaceType);
+  if (q.radiusKm !== undefined) q.radiusKm = +q.radiusKm;
+  if (q.skills !== undefined) q.skills = [].concat(q.skills);
+  if (q.limit !== undefined) q.limit = +q.limit;
+  if (q.page !== undefined) q.page = +q.page;
+  if (q.status !== undefined) q.status = [].concat(q.status);
 
   try {
     const validator = jsonschema.validate(q, jobSearchSchema);
@@ -119,9 +208,23 @@ router.get("/", async function (req, res, next) {
       const errs = validator.errors.map(e => e.stack);
       throw new BadRequestError(errs);
     }
+    if (q.status !== undefined && !hasPermission(res.locals.user, "jobs:read")) {
+      throw new UnauthorizedError("Filtering on status needs jobs:read permission");
+    }
 
-    const jobs = await Job.findAll(q);
-    return res.json({ jobs });
+    const user = res.locals.user;
+    const limit = q.limit || DEFAULT_LIMIT;
+    const filters = Job.searchFiltersFor(q, user && user.username);
+    const result = await Job.findPage({ ...filters, limit });
+    const { next, prev } = pageLinks(req, result, { limit, page: q.page });
+    const facets = q.facets ? await Job.findFacets(filters) : undefined;
+    if (user && user.username) {
+      const saved = await SavedJob.whichSaved(
+          user.username, result.rows.map(j => j.id));
+      for (const job of result.rows) job.isSaved = saved.has(job.id);
+    }
+    return res.json(
+        { jobs: result.rows, total: result.total, next, prev, facets });
   } catch (err) {
     return next(err);
   }
@@ -129,8 +232,14 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[jobId] => { job }
  *
- * Returns { id, title, salary, equity, company }
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           status, expiresAt, city, region, country, latitude, longitude,
+ *           workplaceType, company, skills }
  *   where company is { handle, name, description, numEmployees, logoUrl }
+ *   and skills is [{ id, name, required }, ...]
+ *
+ * Drafts are 404 Not Found unless the user could edit them. For a logged-in
+ * user, the job also has isSaved: whether they've saved it.
  *
  * Authorization required: none
  */
@@ -138,6 +247,14 @@ router.get("/", async function (req, res, next) {
 router.get("/:id", async function (req, res, next) {
   try {
     const job = await Job.get(req.params.id);
+    if (job.status === "draft" && !(await canSeeDrafts(req, res.locals.user))) {
+      throw new NotFoundError(`No job: ${req.params.id}`);
+    }
+    const user = res.locals.user;
+    if (user && user.username) {
+      const saved = await SavedJob.whichSaved(user.username, [job.id]);
+      job.isSaved = saved.has(job.id);
+    }
     return res.json({ job });
   } catch (err) {
     return next(err);
@@ -145,16 +262,57 @@ router.get("/:id", async function (req, res, next) {
 });
 
 
+/** GET /[jobId]/applicants => { applicants, counts }
+ *
+ * applicants is [{ username, firstName, lastName, email, jobId, jobTitle,
+ *                  state, appliedAt }, ...]
+ * counts is { interested, applied, interviewing, offered, accepted,
+ *             rejected, withdrawn }, the number of applications per state
+ *
+ * Can filter on state in query (may be repeated; doesn't change counts).
+ *
+ * Authorization required: applications:read permission, or membership of
+ * the company that posted the job
+ */
+
+router.get("/:id/applicants", requirePermissionOrMembership("applications:read", jobCompanyRole), async function (req, res, next) {
+  const q = req.query;
+  if (q.state !== undefined) q.state = [].concat(q.state);
+
+  try {
+    const validator = jsonschema.validate(q, applicantSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { applicants, counts } = await Application.findApplicants({
+      jobId: +req.params.id,
+      states: q.state,
+    });
+    return res.json({ applicants, counts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** PATCH /[jobId]  { fld1, fld2, ... } => { job }
  *
- * Data can include: { title, salary, equity }
+ * Data can include: { title, salaryMin, salaryMax, currency, payPeriod,
+ *                     equity, expiresAt, city, region, country, latitude,
+ *                     longitude, workplaceType }
+ * (expiresAt may be null, for no expiry)
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, expiresAt, city, region, country,
+ *           latitude, longitude, workplaceType }
  *
- * Authorization required: admin
+ * Authorization required: jobs:update permission, or membership of the
+ * company that posted the job
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
+router.patch("/:id", requirePermissionOrMembership("jobs:update", jobCompanyRole), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, jobUpdateSchema);
     if (!validator.valid) {
@@ -169,12 +327,114 @@ router.patch("/:id", ensureAdmin, async function (req, res, next) {
   }
 });
 
+/** POST /[jobId]/publish { expiresAt } => { job }
+ *
+ * Publishes a draft or closed job. expiresAt is optional; without it, the
+ * job keeps its current expiry (so it's needed if that has passed).
+ *
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, expiresAt, city, region, country,
+ *           latitude, longitude, workplaceType }
+ *
+ * Authorization required: jobs:update permission, or membership of the
+ * company that posted the job
+ */
+
+router.post("/:id/publish", requirePermissionOrMembership("jobs:update", jobCompanyRole), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, jobPublishSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const job = await Job.publish(req.params.id, req.body);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[jobId]/close { status } => { job }
+ *
+ * Closes a published job. status is "closed" (the default) or "filled";
+ * closed jobs can be published again, filled ones can't.
+ *
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, expiresAt, city, region, country,
+ *           latitude, longitude, workplaceType }
+ *
+ * Authorization required: jobs:update permission, or membership of the
+ * company that posted the job
+ */
+
+router.post("/:id/close", requirePermissionOrMembership("jobs:update", jobCompanyRole), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, jobCloseSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const job = await Job.close(req.params.id, req.body.status);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT /[jobId]/skills/[skillId] { required } => { skills }
+ *
+ * Adds a skill to the job, as required (the default) or nice-to-have
+ * (required: false); for a skill it already asks for, changes which.
+ *
+ * Returns the job's skills: [{ id, name, required }, ...]
+ *
+ * Authorization required: jobs:update permission, or membership of the
+ * company that posted the job
+ */
+
+router.put("/:id/skills/:skillId", requirePermissionOrMembership("jobs:update", jobCompanyRole), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, jobSkillSetSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await Skill.setForJob(req.params.id, req.params.skillId, req.body);
+    const skills = await Skill.findForJob(req.params.id);
+    return res.json({ skills });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[jobId]/skills/[skillId] => { skills }
+ *
+ * Returns the job's remaining skills.
+ *
+ * Authorization required: jobs:update permission, or membership of the
+ * company that posted the job
+ */
+
+router.delete("/:id/skills/:skillId", requirePermissionOrMembership("jobs:update", jobCompanyRole), async function (req, res, next) {
+  try {
+    await Skill.removeFromJob(req.params.id, req.params.skillId);
+    const skills = await Skill.findForJob(req.params.id);
+    return res.json({ skills });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** DELETE /[handle]  =>  { deleted: id }
  *
- * Authorization required: admin
+ * Authorization required: jobs:delete permission, or membership of the
+ * company that posted the job
  */
 
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.delete("/:id", requirePermissionOrMembership("jobs:delete", jobCompanyRole), async function (req, res, next) {
   try {
     await Job.remove(req.params.id);
     return res.json({ deleted: +req.params.id });
@@ -2,6 +2,7 @@
 
 const request = require("supertest");
 
+const db = require("../db.js");
 const app = require("../app");
 
 const {
@@ -10,8 +11,10 @@ const {
   commonAfterEach,
   commonAfterAll,
   testJobIds,
+  testSkillIds,
   u1Token,
   adminToken,
+  recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -19,6 +22,17 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** What the location fields are when none were given. */
+
+const noLocation = {
+  city: null,
+  region: null,
+  country: null,
+  latitude: null,
+  longitude: null,
+  workplaceType: null,
+};
+
 /************************************** POST /jobs */
 
 describe("POST /jobs", function () {
@@ -28,7 +42,7 @@ describe("POST /jobs", function () {
         .send({
           companyHandle: "c1",
           title: "J-new",
-          salary: 10,
+          salaryMin: 10,
           equity: "0.2",
         })
         .set("authorization", `Bearer ${adminToken}`);
@@ -37,20 +51,76 @@ describe("POST /jobs", function () {
       job: {
         id: expect.any(Number),
         title: "J-new",
-        salary: 10,
+        salaryMin: 10,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.2",
         companyHandle: "c1",
+        status: "draft",
+        expiresAt: null,
+        ...noLocation,
       },
     });
   });
 
+  test("ok with a location", async function () {
+    const location = {
+      city: "Denver",
+      region: "CO",
+      country: "US",
+      latitude: 39.74,
+      longitude: -104.99,
+      workplaceType: "hybrid",
+    };
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({ companyHandle: "c1", title: "J-new", ...location })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job).toEqual(expect.objectContaining(location));
+  });
+
+  test("bad request with latitude but no longitude", async function () {
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({ companyHandle: "c1", title: "J-new", latitude: 39.74 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("ok for company members", async function () {
+    await db.query(
+        "INSERT INTO company_members (company_handle, username, role) VALUES ('c1', 'u1', 'recruiter')");
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({
+          companyHandle: "c1",
+          title: "J-new",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for another company's members", async function () {
+    await db.query(
+        "INSERT INTO company_members (company_handle, username, role) VALUES ('c2', 'u1', 'owner')");
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({
+          companyHandle: "c1",
+          title: "J-new",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for users", async function () {
     const resp = await request(app)
         .post(`/jobs`)
         .send({
           companyHandle: "c1",
           title: "J-new",
-          salary: 10,
+          salaryMin: 10,
           equity: "0.2",
         })
         .set("authorization", `Bearer ${u1Token}`);
@@ -73,7 +143,7 @@ describe("POST /jobs", function () {
         .send({
           companyHandle: "c1",
           title: "J-new",
-          salary: "not-a-number",
+          salaryMin: "not-a-number",
           equity: "0.2",
         })
         .set("authorization", `Bearer ${adminToken}`);
@@ -92,7 +162,11 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "J1",
-              salary: 1,
+              salaryMin: 1,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "yearly",
+              annualSalary: 1,
               equity: "0.1",
               companyHandle: "c1",
               companyName: "C1",
@@ -100,7 +174,11 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "J2",
-              salary: 2,
+              salaryMin: 2,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "yearly",
+              annualSalary: 2,
               equity: "0.2",
               companyHandle: "c1",
               companyName: "C1",
@@ -108,12 +186,19 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "J3",
-              salary: 3,
+              salaryMin: 3,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "yearly",
+              annualSalary: 3,
               equity: null,
               companyHandle: "c1",
               companyName: "C1",
             },
           ],
+          total: 3,
+          next: null,
+          prev: null,
         },
     );
   });
@@ -127,7 +212,11 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "J1",
-              salary: 1,
+              salaryMin: 1,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "yearly",
+              annualSalary: 1,
               equity: "0.1",
               companyHandle: "c1",
               companyName: "C1",
@@ -135,12 +224,19 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "J2",
-              salary: 2,
+              salaryMin: 2,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "yearly",
+              annualSalary: 2,
               equity: "0.2",
               companyHandle: "c1",
               companyName: "C1",
             },
           ],
+          total: 2,
+          next: null,
+          prev: null,
         },
     );
   });
@@ -154,12 +250,19 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "J3",
-              salary: 3,
+              salaryMin: 3,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "yearly",
+              annualSalary: 3,
               equity: null,
               companyHandle: "c1",
               companyName: "C1",
             },
           ],
+          total: 1,
+          next: null,
+          prev: null,
         },
     );
   });
@@ -170,6 +273,181 @@ describe("GET /jobs", function () {
         .query({ minSalary: 2, nope: "nope" });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("works: sorting", async function () {
+    const resp = await request(app)
+        .get(`/jobs`)
+        .query({ sort: "-annualSalary" });
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["J3", "J2", "J1"]);
+  });
+
+  test("works: paging by cursor", async function () {
+    const resp1 = await request(app)
+        .get(`/jobs`)
+        .query({ limit: 2 });
+    expect(resp1.body.jobs.map(j => j.title)).toEqual(["J1", "J2"]);
+    expect(resp1.body.total).toEqual(3);
+    expect(resp1.body.prev).toEqual(null);
+
+    const resp2 = await request(app).get(resp1.body.next);
+    expect(resp2.body.jobs.map(j => j.title)).toEqual(["J3"]);
+    expect(resp2.body.next).toEqual(null);
+
+    const resp3 = await request(app).get(resp2.body.prev);
+    expect(resp3.body.jobs.map(j => j.title)).toEqual(["J1", "J2"]);
+  });
+
+  test("works: paging by page", async function () {
+    const resp = await request(app)
+        .get(`/jobs`)
+        .query({ limit: 2, page: 2 });
+    expect(resp.body).toEqual({
+      jobs: [
+        {
+          id: testJobIds[2],
+          title: "J3",
+          salaryMin: 3,
+          salaryMax: null,
+          currency: "USD",
+          payPeriod: "yearly",
+          annualSalary: 3,
+          equity: null,
+          companyHandle: "c1",
+          companyName: "C1",
+        },
+      ],
+      total: 3,
+      next: null,
+      prev: "/jobs?limit=2&page=1&hasEquity=false",
+    });
+  });
+
+  test("bad request on unknown sort field", async function () {
+    const resp = await request(app)
+        .get(`/jobs`)
+        .query({ sort: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid cursor", async function () {
+    const resp = await request(app)
+        .get(`/jobs`)
+        .query({ cursor: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on limit too large", async function () {
+    const resp = await request(app)
+        .get(`/jobs`)
+        .query({ limit: 1000 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: repeated companyHandle", async function () {
+    const c2Job = await db.query(
+        `INSERT INTO jobs (title, company_handle, status)
+         VALUES ('J4', 'c2', 'published')
+         RETURNING id`);
+    const resp = await request(app)
+        .get("/jobs?companyHandle=c2&companyHandle=c3");
+    expect(resp.body.jobs.map(j => j.id)).toEqual([c2Job.rows[0].id]);
+  });
+
+  test("works: skills", async function () {
+    let resp = await request(app).get("/jobs?skills=sql&skills=python");
+    expect(resp.body.jobs.map(j => j.id)).toEqual(testJobIds.slice(0, 2));
+
+    resp = await request(app)
+        .get("/jobs?skills=sql&skills=python&skillsMatch=all");
+    expect(resp.body.jobs).toEqual([]);
+  });
+
+  test("bad request for skillsMatch without skills", async function () {
+    const resp = await request(app).get("/jobs?skillsMatch=all");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: salary and equity ranges", async function () {
+    const resp = await request(app)
+        .get("/jobs?minSalary=2&maxSalary=3&maxEquity=0.25");
+    expect(resp.body.jobs.map(j => j.id)).toEqual([testJobIds[1]]);
+  });
+
+  test("works: excludeApplied", async function () {
+    const resp = await request(app)
+        .get("/jobs?excludeApplied=true")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map(j => j.id)).toEqual(testJobIds.slice(1));
+  });
+
+  test("works: isSaved for logged-in users", async function () {
+    await db.query("INSERT INTO saved_jobs (username, job_id) VALUES ('u1', $1)",
+        [testJobIds[1]]);
+    const resp = await request(app)
+        .get("/jobs")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.jobs.map(j => [j.id, j.isSaved])).toEqual([
+      [testJobIds[0], false],
+      [testJobIds[1], true],
+      [testJobIds[2], false],
+    ]);
+  });
+
+  test("works: facets", async function () {
+    const resp = await request(app).get("/jobs?facets=true&minSalary=2");
+    expect(resp.body.total).toEqual(2);
+    expect(resp.body.facets.companies).toEqual(
+        [{ handle: "c1", name: "C1", count: 2 }]);
+    expect(resp.body.facets.equity).toEqual({ withEquity: 1, withoutEquity: 1 });
+    expect(resp.body.facets.posted).toEqual(
+        [{ days: 1, count: 2 }, { days: 7, count: 2 }, { days: 30, count: 2 }]);
+  });
+
+  test("works: near and workplaceType", async function () {
+    await db.query(
+        `UPDATE jobs
+         SET latitude = 40.01, longitude = -105.27, workplace_type = 'hybrid'
+         WHERE id = ANY($1)`,
+        [testJobIds.slice(0, 2)]);
+    await db.query(
+        "UPDATE jobs SET workplace_type = 'onsite' WHERE id = $1", [testJobIds[1]]);
+    const resp = await request(app)
+        .get("/jobs?near=39.74,-104.99&radiusKm=50&workplaceType=hybrid&workplaceType=remote");
+    expect(resp.body.jobs.map(j => j.id)).toEqual([testJobIds[0]]);
+  });
+
+  test("bad request for near without radiusKm", async function () {
+    const resp = await request(app).get("/jobs?near=39.74,-104.99");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for invalid near", async function () {
+    const resp = await request(app).get("/jobs?near=95,10&radiusKm=5");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for a radius of 0", async function () {
+    const resp = await request(app).get("/jobs?near=39.74,-104.99&radiusKm=0");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid posting date", async function () {
+    const resp = await request(app).get("/jobs?postedAfter=yesterday");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if minSalary is greater than maxSalary", async function () {
+    const resp = await request(app).get("/jobs?minSalary=3&maxSalary=1");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for an unknown currency", async function () {
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({ companyHandle: "c1", title: "J-new", currency: "XYZ" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /************************************** GET /jobs/:id */
@@ -181,8 +459,14 @@ describe("GET /jobs/:id", function () {
       job: {
         id: testJobIds[0],
         title: "J1",
-        salary: 1,
+        salaryMin: 1,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.1",
+        status: "published",
+        expiresAt: null,
+        ...noLocation,
         company: {
           handle: "c1",
           name: "C1",
@@ -190,16 +474,120 @@ describe("GET /jobs/:id", function () {
           numEmployees: 1,
           logoUrl: "http://c1.img",
         },
+        skills: [{ id: testSkillIds[0], name: "SQL", required: true }],
       },
     });
   });
 
+  test("works: isSaved for logged-in users", async function () {
+    let resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.job.isSaved).toEqual(false);
+
+    await db.query("INSERT INTO saved_jobs (username, job_id) VALUES ('u1', $1)",
+        [testJobIds[0]]);
+    resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.job.isSaved).toEqual(true);
+  });
+
   test("not found for no such job", async function () {
     const resp = await request(app).get(`/jobs/0`);
     expect(resp.statusCode).toEqual(404);
   });
 });
 
+/************************************** GET /jobs status filter */
+
+describe("GET /jobs status filter", function () {
+  beforeEach(async function () {
+    await db.query("UPDATE jobs SET status = 'draft' WHERE id = $1",
+        [testJobIds[0]]);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get("/jobs?status=draft&status=closed")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs.map(j => j.id)).toEqual([testJobIds[0]]);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .get("/jobs?status=draft")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for unknown status", async function () {
+    const resp = await request(app)
+        .get("/jobs?status=nope")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("drafts are hidden from anon", async function () {
+    let resp = await request(app).get("/jobs");
+    expect(resp.body.jobs.map(j => j.id)).not.toContain(testJobIds[0]);
+
+    resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("drafts are shown to company members", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u1', 'recruiter')`);
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.job.status).toEqual("draft");
+  });
+});
+
+/************************************** GET /jobs/:id/applicants */
+
+describe("GET /jobs/:id/applicants", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applicants`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applicants.map(a => a.username)).toEqual(["u1"]);
+    expect(resp.body.counts.applied).toEqual(1);
+  });
+
+  test("works: filtering on state", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applicants?state=interviewing`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applicants).toEqual([]);
+    expect(resp.body.counts.applied).toEqual(1);
+  });
+
+  test("works for recruiters", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applicants`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applicants`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .get(`/jobs/0/applicants`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** PATCH /jobs/:id */
 
 describe("PATCH /jobs/:id", function () {
@@ -214,13 +602,54 @@ describe("PATCH /jobs/:id", function () {
       job: {
         id: expect.any(Number),
         title: "J-New",
-        salary: 1,
+        salaryMin: 1,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "yearly",
         equity: "0.1",
         companyHandle: "c1",
+        status: "published",
+        expiresAt: null,
+        ...noLocation,
       },
     });
   });
 
+  test("works for recruiters", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({
+          title: "J-New",
+        })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.title).toEqual("J-New");
+  });
+
+  test("works for company members", async function () {
+    await db.query(
+        "INSERT INTO company_members (company_handle, username, role) VALUES ('c1', 'u1', 'recruiter')");
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({
+          title: "J-New",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for another company's members", async function () {
+    await db.query(
+        "INSERT INTO company_members (company_handle, username, role) VALUES ('c2', 'u1', 'owner')");
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({
+          title: "J-New",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for others", async function () {
     const resp = await request(app)
         .patch(`/jobs/${testJobIds[0]}`)
@@ -255,13 +684,82 @@ describe("PATCH /jobs/:id", function () {
     const resp = await request(app)
         .patch(`/jobs/${testJobIds[0]}`)
         .send({
-          salary: "not-a-number",
+          salaryMin: "not-a-number",
         })
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 });
 
+/************************************** POST /jobs/:id/publish */
+
+describe("POST /jobs/:id/publish", function () {
+  test("works for recruiters", async function () {
+    await db.query("UPDATE jobs SET status = 'draft' WHERE id = $1",
+        [testJobIds[0]]);
+    const expiresAt = new Date(Date.now() + 86400000).toISOString();
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/publish`)
+        .send({ expiresAt })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      id: testJobIds[0],
+      status: "published",
+      expiresAt,
+    }));
+  });
+
+  test("bad request if already published", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/publish`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/publish`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /jobs/:id/close */
+
+describe("POST /jobs/:id/close", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/close`)
+        .send({ status: "filled" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("filled");
+  });
+
+  test("closed jobs don't take applications", async function () {
+    await request(app)
+        .post(`/jobs/${testJobIds[1]}/close`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid status", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/close`)
+        .send({ status: "draft" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobIds[0]}/close`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** DELETE /jobs/:id */
 
 describe("DELETE /jobs/:id", function () {
@@ -292,3 +790,61 @@ describe("DELETE /jobs/:id", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** /jobs/:id/skills */
+
+describe("/jobs/:id/skills", function () {
+  test("works for recruiters", async function () {
+    let resp = await request(app)
+        .put(`/jobs/${testJobIds[0]}/skills/${testSkillIds[1]}`)
+        .send({ required: false })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({
+      skills: [
+        { id: testSkillIds[0], name: "SQL", required: true },
+        { id: testSkillIds[1], name: "Python", required: false },
+      ],
+    });
+
+    resp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}/skills/${testSkillIds[0]}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({
+      skills: [{ id: testSkillIds[1], name: "Python", required: false }],
+    });
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+        .put(`/jobs/${testJobIds[0]}/skills/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for ids that aren't numbers", async function () {
+    let resp = await request(app)
+        .put(`/jobs/${testJobIds[0]}/skills/sql`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+
+    resp = await request(app)
+        .delete(`/jobs/nope/skills/${testSkillIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .put(`/jobs/${testJobIds[0]}/skills/${testSkillIds[1]}`)
+        .send({ required: "sometimes" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for users", async function () {
+    const resp = await request(app)
+        .put(`/jobs/${testJobIds[0]}/skills/${testSkillIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
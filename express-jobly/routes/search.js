@@ -0,0 +1,53 @@
+"use strict";
+
+/** Routes for full-text search. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const Search = require("../models/search");
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=...  =>  { results: [ result, ... ] }
+ *
+ * Searches job titles, company names and company descriptions, best match
+ * first. result is
+ *   { type: "job", id, title, companyHandle, rank, snippet } or
+ *   { type: "company", handle, name, rank, snippet }
+ *   where snippet is HTML: the matching text, escaped, with matches
+ *   wrapped in <b></b>
+ *
+ * Query:
+ * - q (required): words to search for; supports "quoted phrases", "or"
+ *   and -excluded words
+ * - type: "job" or "company" to search only one kind
+ * - limit (default 20, at most 100)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  const q = req.query;
+  // arrive as strings from querystring, but we want as int
+  if (q.limit !== undefined) q.limit = +q.limit;
+
+  try {
+    const validator = jsonschema.validate(q, searchQuerySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const results = await Search.search(q.q, { type: q.type, limit: q.limit });
+    return res.json({ results });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,67 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "j1 or desc2" });
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "job",
+          id: testJobIds[0],
+          title: "J1",
+          companyHandle: "c1",
+          rank: expect.any(Number),
+          snippet: "<b>J1</b>",
+        },
+        {
+          type: "company",
+          handle: "c2",
+          name: "C2",
+          rank: expect.any(Number),
+          snippet: "C2: <b>Desc2</b>",
+        },
+      ],
+    });
+  });
+
+  test("works: type and limit", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "j1 or j2", type: "job", limit: 1 });
+    expect(resp.body.results.length).toEqual(1);
+    expect(resp.body.results[0].type).toEqual("job");
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid type", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "j1", type: "user" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
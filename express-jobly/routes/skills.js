@@ -0,0 +1,115 @@
+"use strict";
+
+/** Routes for skills. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { requirePermission } = require("../middleware/auth");
+const { checkIdParam } = require("../middleware/params");
+const Skill = require("../models/skill");
+const skillNewSchema = require("../schemas/skillNew.json");
+const skillUpdateSchema = require("../schemas/skillUpdate.json");
+
+const router = new express.Router();
+
+router.param("id", checkIdParam);
+
+
+/** POST / { name, description } => { skill }
+ *
+ * Only name is required. Names are unique regardless of case.
+ *
+ * Returns { id, name, description }
+ *
+ * Authorization required: skills:create permission
+ */
+
+router.post("/", requirePermission("skills:create"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, skillNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const skill = await Skill.create(req.body);
+    return res.status(201).json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET / => { skills: [ { id, name, description }, ... ] }
+ *
+ * Can filter on name in query (case-insensitive, partial matches).
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const skills = await Skill.findAll({ name: req.query.name });
+    return res.json({ skills });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id] => { skill }
+ *
+ * Returns { id, name, description }
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id", async function (req, res, next) {
+  try {
+    const skill = await Skill.get(req.params.id);
+    return res.json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id] { name, description } => { skill }
+ *
+ * Returns { id, name, description }
+ *
+ * Authorization required: skills:update permission
+ */
+
+router.patch("/:id", requirePermission("skills:update"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, skillUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const skill = await Skill.update(req.params.id, req.body);
+    return res.json({ skill });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id] => { deleted: id }
+ *
+ * Also takes the skill off every job and user that had it.
+ *
+ * Authorization required: skills:delete permission
+ */
+
+router.delete("/:id", requirePermission("skills:delete"), async function (req, res, next) {
+  try {
+    await Skill.remove(req.params.id);
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
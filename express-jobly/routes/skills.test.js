@@ -0,0 +1,174 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  testSkillIds,
+  u1Token,
+  adminToken,
+  recruiterToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /skills */
+
+describe("POST /skills", function () {
+  test("ok for admin", async function () {
+    const resp = await request(app)
+        .post("/skills")
+        .send({ name: "Go", description: "The language" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      skill: { id: expect.any(Number), name: "Go", description: "The language" },
+    });
+  });
+
+  test("bad request with dupe", async function () {
+    const resp = await request(app)
+        .post("/skills")
+        .send({ name: "sql" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/skills")
+        .send({ description: "Nameless" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+        .post("/skills")
+        .send({ name: "Go" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /skills */
+
+describe("GET /skills", function () {
+  test("ok for anon", async function () {
+    const resp = await request(app).get("/skills");
+    expect(resp.body).toEqual({
+      skills: [
+        { id: testSkillIds[1], name: "Python", description: null },
+        { id: testSkillIds[0], name: "SQL", description: null },
+      ],
+    });
+  });
+
+  test("works: by name", async function () {
+    const resp = await request(app).get("/skills?name=yth");
+    expect(resp.body.skills.map(s => s.name)).toEqual(["Python"]);
+  });
+});
+
+/************************************** GET /skills/:id */
+
+describe("GET /skills/:id", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get(`/skills/${testSkillIds[0]}`);
+    expect(resp.body).toEqual(
+        { skill: { id: testSkillIds[0], name: "SQL", description: null } });
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app).get("/skills/0");
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for ids that aren't numbers", async function () {
+    let resp = await request(app).get("/skills/sql");
+    expect(resp.statusCode).toEqual(404);
+    resp = await request(app).get("/skills/99999999999");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /skills/:id */
+
+describe("PATCH /skills/:id", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/skills/${testSkillIds[0]}`)
+        .send({ description: "Databases" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual(
+        { skill: { id: testSkillIds[0], name: "SQL", description: "Databases" } });
+  });
+
+  test("works for recruiters", async function () {
+    const resp = await request(app)
+        .patch(`/skills/${testSkillIds[0]}`)
+        .send({ description: "Databases" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .patch(`/skills/${testSkillIds[0]}`)
+        .send({ name: "" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+        .patch(`/skills/${testSkillIds[0]}`)
+        .send({ description: "Databases" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /skills/:id */
+
+describe("DELETE /skills/:id", function () {
+  test("works for admin, taking it off jobs", async function () {
+    const resp = await request(app)
+        .delete(`/skills/${testSkillIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: testSkillIds[0] });
+
+    const job = await request(app).get(`/jobs/${testJobIds[0]}`);
+    expect(job.body.job.skills).toEqual([]);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+        .delete("/skills/0")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+        .delete(`/skills/${testSkillIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for recruiters", async function () {
+    const resp = await request(app)
+        .delete(`/skills/${testSkillIds[0]}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -66,15 +66,68 @@ This file effectively sets up a RESTful API for user-related operations, leverag
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureCorrectUserOrAdmin, ensureAdmin } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const {
+  ensureCorrectUserOrAdmin,
+  ensureLoggedIn,
+  ensureCorrectUser,
+  ensureAdmin,
+} = require("../middleware/auth");
+const { checkIdParam } = require("../middleware/params");
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+} = require("../expressError");
 const User = require("../models/user");
-const { createToken } = require("../helpers/tokens");
+const Job = require("../models/job");
+const Application = require("../models/application");
+const Session = require("../models/session");
+const EmailVerification = require("../models/emailVerification");
+const LoginAttempt = require("../models/loginAttempt");
+const TwoFactor = require("../models/twoFactor");
+const Role = require("../models/role");
+const CompanyMember = require("../models/companyMember");
+const Skill = require("../models/skill");
+const SavedSearch = require("../models/savedSearch");
+const SavedJob = require("../models/savedJob");
+const CompanyFollower = require("../models/companyFollower");
+const { startSession } = require("../helpers/sessions");
+const { hasPermission } = require("../helpers/permissions");
+const { DEFAULT_LIMIT, pageLinks } = require("../helpers/pagination");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userGetSchema = require("../schemas/userGet.json");
+const userSearchSchema = require("../schemas/userSearch.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const twoFactorDisableSchema = require("../schemas/twoFactorDisable.json");
+const userSkillSetSchema = require("../schemas/userSkillSet.json");
+const userRecommendationsSchema = require("../schemas/userRecommendations.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
+const savedSearchUpdateSchema = require("../schemas/savedSearchUpdate.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
+
+/** Application states only the candidate (or an admin) may move their
+ * application into; the rest (interviewing, offered, rejected) are the
+ * company's moves (see ensureCanMoveApplication). */
+
+const CANDIDATE_STATES = ["applied", "accepted", "withdrawn"];
 
 const router = express.Router();
 
+router.param("id", checkIdParam);
+router.param("skillId", checkIdParam);
+
+
+/** Throw ForbiddenError unless user has verified their email address. */
+
+async function ensureEmailVerified(username) {
+  if (!await EmailVerification.isVerified(username)) {
+    throw new ForbiddenError("Verify your email address before applying to jobs");
+  }
+}
+
 
 /** POST / { user }  => { user, token }
  *
@@ -85,6 +138,12 @@ const router = express.Router();
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
  *
+ * The new user is emailed a link to verify their address.
+ *
+ * The token carries the user's roles, as from POST /auth/token: a new admin
+ * gets no super-admin role while 2FA is required (REQUIRE_ADMIN_2FA), and
+ * the response includes twoFactorSetupRequired: true.
+ *
  * Authorization required: admin
  **/
 
@@ -97,25 +156,45 @@ router.post("/", ensureAdmin, async function (req, res, next) {
     }
 
     const user = await User.register(req.body);
-    const token = createToken(user);
-    return res.status(201).json({ user, token });
+    await EmailVerification.request(user.username);
+    const { token, twoFactorSetupRequired } = await startSession(user, req);
+    return res.status(201).json({ user, token, twoFactorSetupRequired });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / =>
+ *   { users: [ {username, firstName, lastName, email }, ... ], total, next, prev }
  *
  * Returns list of all users.
  *
+ * Can sort and page with:
+ * - sort (e.g. "lastName,firstName"; default "username")
+ * - limit (default 20, at most 100)
+ * - cursor (from next/prev links) or page (1-based)
+ *
  * Authorization required: admin
  **/
 
 router.get("/", ensureAdmin, async function (req, res, next) {
+  const q = req.query;
+  // arrive as strings from querystring, but we want as ints
+  if (q.limit !== undefined) q.limit = +q.limit;
+  if (q.page !== undefined) q.page = +q.page;
+
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const validator = jsonschema.validate(q, userSearchSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const limit = q.limit || DEFAULT_LIMIT;
+    const result = await User.findPage({ ...q, limit });
+    const { next, prev } = pageLinks(req, result, { limit, page: q.page });
+    return res.json({ users: result.rows, total: result.total, next, prev });
   } catch (err) {
     return next(err);
   }
@@ -125,14 +204,29 @@ router.get("/", ensureAdmin, async function (req, res, next) {
 /** GET /[username] => { user }
  *
  * Returns { username, firstName, lastName, isAdmin, jobs }
- *   where jobs is { id, title, companyHandle, companyName, state }
+ *   where jobs is { id, title, companyHandle, companyName, state, appliedAt }
+ *
+ * Can filter and order jobs in query:
+ * - state (may be repeated to match any of several states)
+ * - sort: "appliedAt" or "-appliedAt" (default, newest first)
  *
  * Authorization required: admin or same user-as-:username
  **/
 
 router.get("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  const q = req.query;
+  // a single ?state= arrives as a string, repeated ones as an array
+  if (q.state !== undefined) q.state = [].concat(q.state);
+
   try {
-    const user = await User.get(req.params.username);
+    const validator = jsonschema.validate(q, userGetSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const user = await User.get(req.params.username,
+        { states: q.state, sort: q.sort });
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -147,6 +241,8 @@ router.get("/:username", ensureCorrectUserOrAdmin, async function (req, res, nex
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
+ * A changed email address must be verified again; a link is sent to it.
+ *
  * Authorization required: admin or same-user-as-:username
  **/
 
@@ -159,6 +255,9 @@ router.patch("/:username", ensureCorrectUserOrAdmin, async function (req, res, n
     }
 
     const user = await User.update(req.params.username, req.body);
+    if (req.body.email !== undefined) {
+      await EmailVerification.request(user.username);
+    }
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -181,7 +280,599 @@ router.delete("/:username", ensureCorrectUserOrAdmin, async function (req, res,
 });
 
 
-/** POST /[username]/jobs/[id]  { state } => { application }
+/** GET /[username]/sessions  =>  { sessions: [ session, ... ] }
+ *
+ * Lists the user's active sessions (logins), newest first.
+ * session is { id, userAgent, createdAt, expiresAt, current }
+ *   where current is true for the session making this request
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/sessions", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const sessions = await Session.findForUser(req.params.username);
+    for (let session of sessions) {
+      session.current = session.id === res.locals.user.jti;
+    }
+    return res.json({ sessions });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/sessions  =>  { revoked: count }
+ *
+ * Revokes all of the user's sessions, including the current one; their
+ * tokens stop working immediately.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete("/:username/sessions", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const revoked = await Session.revokeAll(req.params.username);
+    return res.json({ revoked });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/sessions/[sessionId]  =>  { revoked: sessionId }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete("/:username/sessions/:sessionId", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await Session.revoke(req.params.username, req.params.sessionId);
+    return res.json({ revoked: req.params.sessionId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/lockouts  =>  { lockouts: [ lockout, ... ] }
+ *
+ * Lists the times the account was locked after failed logins, newest first.
+ * lockout is { id, ip, failures, createdAt, lockedUntil, unlockedAt,
+ *              unlockedBy }
+ *   where ip is the address of the failure that locked it
+ *
+ * Authorization required: admin
+ **/
+
+router.get("/:username/lockouts", ensureAdmin, async function (req, res, next) {
+  try {
+    const lockouts = await LoginAttempt.findLockouts(req.params.username);
+    return res.json({ lockouts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Unlocks an account locked after failed logins, and clears its count of
+ * failures.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/unlock", ensureAdmin, async function (req, res, next) {
+  try {
+    await LoginAttempt.unlock(req.params.username, res.locals.user.username);
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/roles  =>  { roles }
+ *
+ * roles is e.g. ["recruiter", "company-editor"], or ["candidate"] for users
+ * with no other role.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/roles", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const roles = await Role.findForUser(req.params.username);
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PUT /[username]/roles/[role]  =>  { roles }
+ *
+ * Gives the user a role: super-admin, recruiter or company-editor. Giving a
+ * role they already have does nothing. The user is logged out everywhere,
+ * so their next token carries the new role.
+ *
+ * Returns the user's roles.
+ *
+ * Authorization required: admin
+ **/
+
+router.put("/:username/roles/:role", ensureAdmin, async function (req, res, next) {
+  try {
+    await Role.assign(req.params.username, req.params.role, res.locals.user.username);
+    const roles = await Role.findForUser(req.params.username);
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/roles/[role]  =>  { roles }
+ *
+ * Takes a role away from the user, logging them out everywhere.
+ *
+ * Returns the user's remaining roles.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete("/:username/roles/:role", ensureAdmin, async function (req, res, next) {
+  try {
+    await Role.remove(req.params.username, req.params.role);
+    const roles = await Role.findForUser(req.params.username);
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/companies  =>  { companies }
+ *
+ * The companies the user is a member of: [{ handle, name, role }, ...]
+ * where role is "owner" or "recruiter".
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/companies", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const companies = await CompanyMember.findForUser(req.params.username);
+    return res.json({ companies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/skills  =>  { skills }
+ *
+ * The user's skills: [{ id, name, proficiency }, ...] where proficiency is
+ * beginner, intermediate, advanced or expert.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/skills", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const skills = await Skill.findForUser(req.params.username);
+    return res.json({ skills });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PUT /[username]/skills/[skillId] { proficiency }  =>  { skills }
+ *
+ * Adds a skill to the user's, or changes their proficiency in it.
+ *
+ * Returns the user's skills.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.put("/:username/skills/:skillId", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userSkillSetSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await Skill.setForUser(
+        req.params.username, req.params.skillId, req.body.proficiency);
+    const skills = await Skill.findForUser(req.params.username);
+    return res.json({ skills });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/skills/[skillId]  =>  { skills }
+ *
+ * Returns the user's remaining skills.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete("/:username/skills/:skillId", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await Skill.removeFromUser(req.params.username, req.params.skillId);
+    const skills = await Skill.findForUser(req.params.username);
+    return res.json({ skills });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/recommendations  =>  { recommendations }
+ *
+ * Open jobs the user hasn't applied to, best match first, from their
+ * skills and the jobs they've applied to (see Job.findRecommendations).
+ *
+ * recommendations is [{ job, score, reasons }, ...]
+ *   where job is { id, title, salaryMin, salaryMax, currency, payPeriod,
+ *                  annualSalary, equity, companyHandle, companyName }
+ *   and reasons is [{ type, message }, ...]
+ *
+ * Can set limit in query (default 20, at most 100).
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/recommendations", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  const q = req.query;
+  if (q.limit !== undefined) q.limit = +q.limit;
+
+  try {
+    const validator = jsonschema.validate(q, userRecommendationsSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const recommendations =
+        await Job.findRecommendations(req.params.username, q);
+    return res.json({ recommendations });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** Validate body against schema, and its params (if any) as GET /jobs search
+ * parameters; throws BadRequestError with the errors. */
+
+function validateSavedSearch(body, schema) {
+  const errs = jsonschema.validate(body, schema).errors;
+  if (body.params !== undefined) {
+    errs.push(...jsonschema.validate(body.params, jobSearchSchema).errors);
+  }
+  if (errs.length > 0) throw new BadRequestError(errs.map(e => e.stack));
+}
+
+
+/** GET /[username]/searches  =>  { searches }
+ *
+ * The user's saved searches: [{ id, name, params, createdAt, lastRunAt },
+ * ...], by name.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/searches", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const searches = await SavedSearch.findForUser(req.params.username);
+    return res.json({ searches });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/searches { name, params }  =>  { search }
+ *
+ * Saves a search. params are GET /jobs search parameters, as JSON (e.g.
+ * { "minSalary": 100000, "workplaceType": ["remote"] }): filters only, so
+ * not status, sort, limit, page, cursor or facets. The user is told of new jobs it matches from now on (see
+ * SavedSearch.sendAlerts).
+ *
+ * Returns { id, name, params, createdAt, lastRunAt }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.post("/:username/searches", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    validateSavedSearch(req.body, savedSearchNewSchema);
+
+    const search = await SavedSearch.create(req.params.username, req.body);
+    return res.status(201).json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/searches/[id]  =>  { search }
+ *
+ * Returns { id, name, params, createdAt, lastRunAt }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/searches/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const search = await SavedSearch.get(req.params.username, req.params.id);
+    return res.json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /[username]/searches/[id] { name, params }  =>  { search }
+ *
+ * New params replace the old ones entirely.
+ *
+ * Returns { id, name, params, createdAt, lastRunAt }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.patch("/:username/searches/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    validateSavedSearch(req.body, savedSearchUpdateSchema);
+
+    const search = await SavedSearch.update(
+        req.params.username, req.params.id, req.body);
+    return res.json({ search });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/searches/[id]  =>  { deleted: id }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete("/:username/searches/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await SavedSearch.remove(req.params.username, req.params.id);
+    return res.json({ deleted: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/saved-jobs  =>  { savedJobs }
+ *
+ * Jobs the user has saved: [{ id, title, companyHandle, companyName, status,
+ * savedAt }, ...], most recently saved first.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/saved-jobs", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const savedJobs = await SavedJob.findForUser(req.params.username);
+    return res.json({ savedJobs });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PUT /[username]/saved-jobs/[id]  =>  { savedJobs }
+ *
+ * Saves a job for the user (drafts can't be saved).
+ *
+ * Returns the user's saved jobs.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.put("/:username/saved-jobs/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await SavedJob.save(req.params.username, req.params.id);
+    const savedJobs = await SavedJob.findForUser(req.params.username);
+    return res.json({ savedJobs });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/saved-jobs/[id]  =>  { savedJobs }
+ *
+ * Returns the user's remaining saved jobs.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete("/:username/saved-jobs/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await SavedJob.remove(req.params.username, req.params.id);
+    const savedJobs = await SavedJob.findForUser(req.params.username);
+    return res.json({ savedJobs });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/followed-companies  =>  { companies }
+ *
+ * Companies the user follows, and is notified of new jobs from:
+ * [{ handle, name, followedAt }, ...], by name.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.get("/:username/followed-companies", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const companies = await CompanyFollower.findForUser(req.params.username);
+    return res.json({ companies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PUT /[username]/followed-companies/[handle]  =>  { companies }
+ *
+ * Returns the companies the user follows.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.put("/:username/followed-companies/:handle", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await CompanyFollower.follow(req.params.username, req.params.handle);
+    const companies = await CompanyFollower.findForUser(req.params.username);
+    return res.json({ companies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/followed-companies/[handle]  =>  { companies }
+ *
+ * Returns the companies the user still follows.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete("/:username/followed-companies/:handle", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await CompanyFollower.unfollow(req.params.username, req.params.handle);
+    const companies = await CompanyFollower.findForUser(req.params.username);
+    return res.json({ companies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa  =>  { twoFactor: { secret, otpauthUri } }
+ *
+ * Starts enrolling in two-factor authentication. Add the secret to an
+ * authenticator app (otpauthUri is for showing as a QR code), then confirm
+ * with a code from it.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.post("/:username/2fa", ensureCorrectUser, async function (req, res, next) {
+  try {
+    const twoFactor = await TwoFactor.enroll(req.params.username);
+    return res.status(201).json({ twoFactor });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/confirm  { code } => { enabled: true, recoveryCodes }
+ *
+ * Enables two-factor authentication, given a code from the authenticator
+ * app. recoveryCodes are single-use codes for when the app isn't at hand;
+ * they are only shown now. Logs the user out everywhere.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.post("/:username/2fa/confirm", ensureCorrectUser, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const recoveryCodes = await TwoFactor.confirm(req.params.username, req.body.code);
+    return res.json({ enabled: true, recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/recovery-codes  { code } => { recoveryCodes }
+ *
+ * Replaces the user's recovery codes, given a current code.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+
+router.post("/:username/2fa/recovery-codes", ensureCorrectUser, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    if (!await TwoFactor.verify(req.params.username, req.body.code)) {
+      throw new UnauthorizedError("Invalid code");
+    }
+
+    const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(req.params.username);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/2fa  { code } => { disabled: username }
+ *
+ * Turns off two-factor authentication. Users need a current code; admins
+ * turning it off for someone else (who lost their authenticator and
+ * recovery codes) don't.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+
+router.delete("/:username/2fa", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorDisableSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = req.params;
+    if (res.locals.user.username === username
+        && !(req.body.code && await TwoFactor.verify(username, req.body.code))) {
+      throw new UnauthorizedError("Invalid code");
+    }
+
+    await TwoFactor.disable(username);
+    return res.json({ disabled: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/jobs/[id]  { state } => { applied: jobId }
+ *
+ * state is optional: "interested" or "applied" (default). Applying
+ * requires a verified email address; marking interest doesn't.
  *
  * Returns {"applied": jobId}
  *
@@ -190,8 +881,17 @@ router.delete("/:username", ensureCorrectUserOrAdmin, async function (req, res,
 
 router.post("/:username/jobs/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
   try {
+    const validator = jsonschema.validate(req.body, applicationNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
     const jobId = +req.params.id;
-    await User.applyToJob(req.params.username, jobId);
+    if (req.body.state !== "interested") {
+      await ensureEmailVerified(req.params.username);
+    }
+    await User.applyToJob(req.params.username, jobId, req.body.state);
     return res.json({ applied: jobId });
   } catch (err) {
     return next(err);
@@ -199,4 +899,105 @@ router.post("/:username/jobs/:id", ensureCorrectUserOrAdmin, async function (req
 });
 
 
+/** GET /[username]/jobs/[id]  =>  { application }
+ *
+ * Returns { username, jobId, state, createdAt, updatedAt, history }
+ *   where history is [{ fromState, toState, createdAt }, ...]
+ *
+ * Authorization required: admin or same-user-as-:username
+ * */
+
+router.get("/:username/jobs/:id", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const application = await Application.get(req.params.username, +req.params.id);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** Throw UnauthorizedError unless user (res.locals.user) may move
+ * username's application to job jobId into state.
+ *
+ * Candidates make their own moves (CANDIDATE_STATES); admins can make them
+ * for them. The rest need applications:update permission (as for any
+ * company's applications), or membership of the company that posted the
+ * job, as for GET /jobs/:id/applicants.
+ */
+
+async function ensureCanMoveApplication(user, username, jobId, state) {
+  if (CANDIDATE_STATES.includes(state)) {
+    if (user.username !== username && !user.isAdmin) {
+      throw new UnauthorizedError(`Only the candidate can move applications to ${state}`);
+    }
+    return;
+  }
+
+  const canMove = hasPermission(user, "applications:update")
+      || (user.username !== undefined
+          && await CompanyMember.getRoleForJob(jobId, user.username) !== null);
+  if (!canMove) {
+    throw new UnauthorizedError(`Only recruiters can move applications to ${state}`);
+  }
+}
+
+
+/** PATCH /[username]/jobs/[id]  { state } => { application }
+ *
+ * Moves the application to a new state. Allowed moves are:
+ *   interested -> applied
+ *   applied -> interviewing | rejected
+ *   interviewing -> offered | rejected
+ *   offered -> accepted | rejected
+ * and any non-final state -> withdrawn.
+ *
+ * Returns { username, jobId, state, createdAt, updatedAt, history }
+ *
+ * Moving to applied requires a verified email address.
+ *
+ * Authorization required: admin or same-user-as-:username for moves to
+ * applied, accepted or withdrawn; for the rest, applications:update
+ * permission or membership of the company that posted the job
+ * */
+
+router.patch("/:username/jobs/:id", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { state } = req.body;
+    await ensureCanMoveApplication(
+        res.locals.user, req.params.username, +req.params.id, state);
+    if (state === "applied") await ensureEmailVerified(req.params.username);
+
+    const application = await Application.transition(
+        req.params.username, +req.params.id, state);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/jobs/[id]/withdraw  =>  { application }
+ *
+ * Returns { username, jobId, state, createdAt, updatedAt, history }
+ *
+ * Authorization required: admin or same-user-as-:username
+ * */
+
+router.post("/:username/jobs/:id/withdraw", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const application = await Application.withdraw(req.params.username, +req.params.id);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 module.exports = router;
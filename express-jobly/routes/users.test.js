@@ -1,17 +1,26 @@
 "use strict";
 
 const request = require("supertest");
+const jwt = require("jsonwebtoken");
 
 const db = require("../db.js");
 const app = require("../app");
+const config = require("../config");
 const User = require("../models/user");
+const { codeAt, stepAt } = require("../helpers/totp");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
+  testSkillIds,
   u1Token,
+  u2Token,
+  u3Token,
+  adminToken,
+  recruiterToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -70,6 +79,30 @@ describe("POST /users", function () {
     });
   });
 
+  test("new admins get user access while 2FA is required", async function () {
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      const resp = await request(app)
+          .post("/users")
+          .send({
+            username: "a-new",
+            firstName: "First-new",
+            lastName: "Last-newL",
+            password: "password-new",
+            email: "new@email.com",
+            isAdmin: true,
+          })
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(201);
+      expect(resp.body.user.isAdmin).toEqual(true);
+      expect(resp.body.twoFactorSetupRequired).toEqual(true);
+      expect(jwt.decode(resp.body.token)).toEqual(expect.objectContaining(
+          { username: "a-new", isAdmin: false, roles: ["candidate"] }));
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .post("/users")
@@ -141,9 +174,30 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      total: 3,
+      next: null,
+      prev: null,
     });
   });
 
+  test("works: sorting and paging", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ sort: "-username", limit: 2 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u3", "u2"]);
+    expect(resp.body.total).toEqual(4);
+    expect(resp.body.next).toEqual(expect.any(String));
+  });
+
+  test("bad request on unknown sort field", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ sort: "password" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get("/users");
@@ -176,10 +230,45 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        jobs: [
+          {
+            id: testJobIds[0],
+            title: "J1",
+            companyHandle: "c1",
+            companyName: "C1",
+            state: "applied",
+            appliedAt: expect.any(String),
+          },
+        ],
       },
     });
   });
 
+  test("works: filtering jobs by repeated state", async function () {
+    await User.applyToJob("u1", testJobIds[1], "interested");
+    await User.applyToJob("u1", testJobIds[2], "interested");
+    await User.applyToJob("u2", testJobIds[2], "interested");
+    const resp = await request(app)
+        .get(`/users/u1?state=interested&state=offered`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.jobs.map(j => j.id).sort())
+        .toEqual([testJobIds[1], testJobIds[2]].sort());
+  });
+
+  test("bad request on invalid state filter", async function () {
+    const resp = await request(app)
+        .get(`/users/u1?state=nope`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid sort", async function () {
+    const resp = await request(app)
+        .get(`/users/u1?sort=title`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get(`/users/u1`);
@@ -288,3 +377,858 @@ describe("DELETE /users/:username", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** /users/:username/unlock */
+
+describe("/users/:username/unlock", function () {
+  async function lockU1() {
+    for (let i = 0; i < 5; i++) {
+      await db.query(
+          "UPDATE login_failures SET last_failed_at = last_failed_at - INTERVAL '1 minute'");
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "wrong" });
+    }
+  }
+
+  test("works for admin", async function () {
+    await lockU1();
+    const resp = await request(app)
+        .post("/users/u1/unlock")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(200);
+
+    const lockoutsResp = await request(app)
+        .get("/users/u1/lockouts")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(lockoutsResp.body.lockouts).toEqual([
+      {
+        id: expect.any(Number),
+        ip: expect.any(String),
+        failures: 5,
+        createdAt: expect.any(String),
+        lockedUntil: expect.any(String),
+        unlockedAt: expect.any(String),
+        unlockedBy: "admin",
+      },
+    ]);
+  });
+
+  test("unauth for the user", async function () {
+    const resp = await request(app)
+        .post("/users/u1/unlock")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .post("/users/nope/unlock")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/roles */
+
+describe("/users/:username/roles", function () {
+  test("candidate by default", async function () {
+    const resp = await request(app)
+        .get("/users/u1/roles")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ roles: ["candidate"] });
+  });
+
+  test("admin can assign and remove roles", async function () {
+    let resp = await request(app)
+        .put("/users/u1/roles/recruiter")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ roles: ["recruiter"] });
+
+    resp = await request(app)
+        .delete("/users/u1/roles/recruiter")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ roles: ["candidate"] });
+  });
+
+  test("new token carries the role", async function () {
+    await request(app)
+        .put("/users/u1/roles/recruiter")
+        .set("authorization", `Bearer ${adminToken}`);
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("bad request with unknown role", async function () {
+    const resp = await request(app)
+        .put("/users/u1/roles/boss")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+        .put("/users/u1/roles/recruiter")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u1/roles")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/skills */
+
+describe("/users/:username/skills", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .get("/users/u1/skills")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      skills: [{ id: testSkillIds[0], name: "SQL", proficiency: "intermediate" }],
+    });
+  });
+
+  test("users can add, change and remove their skills", async function () {
+    let resp = await request(app)
+        .put(`/users/u1/skills/${testSkillIds[1]}`)
+        .send({ proficiency: "expert" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.skills).toEqual([
+      { id: testSkillIds[1], name: "Python", proficiency: "expert" },
+      { id: testSkillIds[0], name: "SQL", proficiency: "intermediate" },
+    ]);
+
+    resp = await request(app)
+        .delete(`/users/u1/skills/${testSkillIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.skills.map(s => s.name)).toEqual(["Python"]);
+  });
+
+  test("bad request with unknown proficiency", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/skills/${testSkillIds[1]}`)
+        .send({ proficiency: "guru" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such skill", async function () {
+    const resp = await request(app)
+        .put("/users/u1/skills/0")
+        .send({ proficiency: "beginner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for skill ids that aren't numbers", async function () {
+    const resp = await request(app)
+        .put("/users/u1/skills/sql")
+        .send({ proficiency: "beginner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/skills/${testSkillIds[1]}`)
+        .send({ proficiency: "expert" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /users/:username/recommendations */
+
+describe("GET /users/:username/recommendations", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .get("/users/u1/recommendations")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.recommendations.map(r => r.job.id)).toEqual(
+        [testJobIds[2], testJobIds[1]]);
+    expect(resp.body.recommendations[0].reasons.map(r => r.type)).toEqual(
+        ["company", "salary"]);
+  });
+
+  test("works: limit", async function () {
+    const resp = await request(app)
+        .get("/users/u1/recommendations?limit=1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.recommendations.map(r => r.job.id)).toEqual(
+        [testJobIds[2]]);
+  });
+
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app)
+        .get("/users/u1/recommendations?limit=0")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u1/recommendations")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/searches */
+
+describe("/users/:username/searches", function () {
+  test("users can save, list, edit and delete searches", async function () {
+    const created = await request(app)
+        .post("/users/u1/searches")
+        .send({
+          name: "Remote equity",
+          params: { hasEquity: true, workplaceType: ["remote"] },
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(created.statusCode).toEqual(201);
+    expect(created.body).toEqual({
+      search: {
+        id: expect.any(Number),
+        name: "Remote equity",
+        params: { hasEquity: true, workplaceType: ["remote"] },
+        createdAt: expect.any(String),
+        lastRunAt: expect.any(String),
+      },
+    });
+    const id = created.body.search.id;
+
+    let resp = await request(app)
+        .get("/users/u1/searches")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.searches.map(s => s.id)).toEqual([id]);
+
+    resp = await request(app)
+        .patch(`/users/u1/searches/${id}`)
+        .send({ params: { minSalary: 2 } })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.search.params).toEqual({ minSalary: 2 });
+
+    resp = await request(app)
+        .get(`/users/u1/searches/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.search.name).toEqual("Remote equity");
+
+    resp = await request(app)
+        .delete(`/users/u1/searches/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: id });
+  });
+
+  test("bad request with invalid search params", async function () {
+    for (const params of [{ minSalary: "lots" }, { status: ["draft"] }]) {
+      const resp = await request(app)
+          .post("/users/u1/searches")
+          .send({ name: "Bad", params })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request with sort, paging or facets in params", async function () {
+    const created = await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "Mine", params: {} })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    for (const params of [
+      { sort: "-id" }, { limit: 1 }, { page: 2 }, { cursor: "abc" }, { facets: true },
+    ]) {
+      let resp = await request(app)
+          .post("/users/u1/searches")
+          .send({ name: "Bad", params })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(400);
+
+      resp = await request(app)
+          .patch(`/users/u1/searches/${created.body.search.id}`)
+          .send({ params })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("not found for another user's search", async function () {
+    const created = await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "Mine", params: {} })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get(`/users/u2/searches/${created.body.search.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for search ids that aren't numbers", async function () {
+    for (const method of ["get", "patch", "delete"]) {
+      const resp = await request(app)[method]("/users/u1/searches/nope")
+          .send({ name: "Renamed" })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "Mine", params: {} })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/saved-jobs */
+
+describe("/users/:username/saved-jobs", function () {
+  test("users can save and unsave jobs", async function () {
+    let resp = await request(app)
+        .put(`/users/u1/saved-jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      savedJobs: [
+        {
+          id: testJobIds[1],
+          title: "J2",
+          companyHandle: "c1",
+          companyName: "C1",
+          status: "published",
+          savedAt: expect.any(String),
+        },
+      ],
+    });
+
+    resp = await request(app)
+        .get("/users/u1/saved-jobs")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.savedJobs.map(j => j.id)).toEqual([testJobIds[1]]);
+
+    resp = await request(app)
+        .delete(`/users/u1/saved-jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ savedJobs: [] });
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .put("/users/u1/saved-jobs/0")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if not saved", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/saved-jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for job ids that aren't numbers", async function () {
+    for (const method of ["put", "delete"]) {
+      const resp = await request(app)[method]("/users/u1/saved-jobs/nope")
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u1/saved-jobs")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/followed-companies */
+
+describe("/users/:username/followed-companies", function () {
+  test("users can follow and unfollow companies", async function () {
+    let resp = await request(app)
+        .put("/users/u1/followed-companies/c2")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      companies: [{ handle: "c2", name: "C2", followedAt: expect.any(String) }],
+    });
+
+    resp = await request(app)
+        .get("/users/u1/followed-companies")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2"]);
+
+    resp = await request(app)
+        .delete("/users/u1/followed-companies/c2")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ companies: [] });
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .put("/users/u1/followed-companies/nope")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .put("/users/u1/followed-companies/c2")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/2fa */
+
+describe("/users/:username/2fa", function () {
+  async function enroll() {
+    const resp = await request(app)
+        .post("/users/u1/2fa")
+        .set("authorization", `Bearer ${u1Token}`);
+    return resp.body.twoFactor.secret;
+  }
+
+  /** Confirm u1's 2FA with a code from secret. That logs u1 out everywhere,
+   * so returns a token from logging in again (with a recovery code). */
+  async function confirm(secret) {
+    const { recoveryCodes } = (await request(app)
+        .post("/users/u1/2fa/confirm")
+        .send({ code: codeAt(secret, stepAt()) })
+        .set("authorization", `Bearer ${u1Token}`)).body;
+    const { challenge } = (await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" })).body;
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challenge, code: recoveryCodes[0] });
+    return resp.body.token;
+  }
+
+  test("enroll and confirm", async function () {
+    const enrollResp = await request(app)
+        .post("/users/u1/2fa")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(enrollResp.statusCode).toEqual(201);
+    expect(enrollResp.body).toEqual({
+      twoFactor: {
+        secret: expect.any(String),
+        otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\/Jobly%3Au1\?/),
+      },
+    });
+
+    const { secret } = enrollResp.body.twoFactor;
+    const resp = await request(app)
+        .post("/users/u1/2fa/confirm")
+        .send({ code: codeAt(secret, stepAt()) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      enabled: true,
+      recoveryCodes: expect.any(Array),
+    });
+  });
+
+  test("unauth for admin enrolling someone else", async function () {
+    const resp = await request(app)
+        .post("/users/u1/2fa")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request confirming with wrong code", async function () {
+    const secret = await enroll();
+    const resp = await request(app)
+        .post("/users/u1/2fa/confirm")
+        .send({ code: codeAt(secret, stepAt() - 5) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("regenerate recovery codes", async function () {
+    const secret = await enroll();
+    const token = await confirm(secret);
+    const resp = await request(app)
+        .post("/users/u1/2fa/recovery-codes")
+        .send({ code: codeAt(secret, stepAt() + 1) })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body.recoveryCodes).toHaveLength(10);
+  });
+
+  test("disable needs a code from the user", async function () {
+    const secret = await enroll();
+    const token = await confirm(secret);
+
+    const noCodeResp = await request(app)
+        .delete("/users/u1/2fa")
+        .set("authorization", `Bearer ${token}`);
+    expect(noCodeResp.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .delete("/users/u1/2fa")
+        .send({ code: codeAt(secret, stepAt() + 1) })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+
+  test("admin can disable without a code", async function () {
+    const secret = await enroll();
+    await request(app)
+        .post("/users/u1/2fa/confirm")
+        .send({ code: codeAt(secret, stepAt()) })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete("/users/u1/2fa")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+});
+
+/************************************** POST /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ applied: testJobIds[1] });
+  });
+
+  test("works: interested", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ state: "interested" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ applied: testJobIds[1] });
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid state", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if already applied", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/0`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden if email unverified", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works: interested with email unverified", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/jobs/${testJobIds[1]}`)
+        .send({ state: "interested" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ applied: testJobIds[1] });
+
+    const patchResp = await request(app)
+        .patch(`/users/u3/jobs/${testJobIds[1]}`)
+        .send({ state: "applied" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(patchResp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id */
+
+describe("GET /users/:username/jobs/:id", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobIds[0],
+        state: "applied",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        history: [
+          { fromState: null, toState: "applied", createdAt: expect.any(String) },
+        ],
+      },
+    });
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for job ids that aren't numbers", async function () {
+    let resp = await request(app)
+        .get("/users/u1/jobs/nope")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+
+    resp = await request(app)
+        .post("/users/u1/jobs/nope/withdraw")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.application.state).toEqual("interviewing");
+    expect(resp.body.application.history.length).toEqual(2);
+  });
+
+  test("works for users with the recruiter role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body.application.state).toEqual("interviewing");
+  });
+
+  test("works for members of the job's company", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u2', 'recruiter')`);
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.application.state).toEqual("interviewing");
+  });
+
+  test("unauth for members of other companies", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c2', 'u2', 'recruiter')`);
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for recruiters moving to withdrawn", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u2', 'recruiter')`);
+    for (const token of [recruiterToken, u2Token]) {
+      const resp = await request(app)
+          .patch(`/users/u1/jobs/${testJobIds[0]}`)
+          .send({ state: "withdrawn" })
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(401);
+    }
+  });
+
+  test("works for admin moving to withdrawn, as POST withdraw does", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("works for the candidate moving to withdrawn", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for same user moving to admin-only state", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if move not allowed", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "accepted" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if missing state", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({})
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /users/:username/jobs/:id/withdraw */
+
+describe("POST /users/:username/jobs/:id/withdraw", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}/withdraw`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}/withdraw`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[1]}/withdraw`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/sessions */
+
+describe("/users/:username/sessions", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .set("user-agent", "test-agent")
+        .send({ username: "u1", password: "password1" });
+    return resp.body.token;
+  }
+
+  test("lists sessions for same user", async function () {
+    const token = await login();
+    await login();
+    const resp = await request(app)
+        .get("/users/u1/sessions")
+        .set("authorization", `Bearer ${token}`);
+    // u1's two logins, and the session of u1Token
+    expect(resp.body.sessions).toHaveLength(3);
+    expect(resp.body.sessions[0]).toEqual({
+      id: expect.any(String),
+      userAgent: "test-agent",
+      createdAt: expect.any(String),
+      expiresAt: expect.any(String),
+      current: expect.any(Boolean),
+    });
+    expect(resp.body.sessions.filter(s => s.current)).toHaveLength(1);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u1/sessions")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("revoking a session rejects its token", async function () {
+    const token = await login();
+    const listResp = await request(app)
+        .get("/users/u1/sessions")
+        .set("authorization", `Bearer ${token}`);
+    const id = listResp.body.sessions[0].id;
+
+    const resp = await request(app)
+        .delete(`/users/u1/sessions/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const getResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(getResp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such session", async function () {
+    const resp = await request(app)
+        .delete("/users/u1/sessions/nope")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("revokes all sessions", async function () {
+    const token = await login();
+    await login();
+    const resp = await request(app)
+        .delete("/users/u1/sessions")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ revoked: 3 });
+
+    const getResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(getResp.statusCode).toEqual(401);
+  });
+
+  test("changing password revokes sessions", async function () {
+    const token = await login();
+    await request(app)
+        .patch("/users/u1")
+        .send({ password: "new-password" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const getResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(getResp.statusCode).toEqual(401);
+  });
+});
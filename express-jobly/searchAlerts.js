@@ -0,0 +1,79 @@
+"use strict";
+
+/** Tell users of new jobs matching their saved searches (see
+ * SavedSearch.sendAlerts), and of new jobs from companies they follow (see
+ * CompanyFollower.sendNotifications).
+ *
+ * The server does this every SEARCH_ALERTS_INTERVAL_MINUTES, in process;
+ * `npm run alerts` does it once. Setting the interval to 0 turns the
+ * server's alerts off, as for all but one of several servers (otherwise
+ * each of them would send every alert).
+ */
+
+const db = require("./db");
+const { SEARCH_ALERTS_INTERVAL_MINUTES } = require("./config");
+const SavedSearch = require("./models/savedSearch");
+const CompanyFollower = require("./models/companyFollower");
+
+/** Send saved search alerts, then queued new-job notifications, logging
+ * any that failed.
+ *
+ * Returns { alerts, notifications }: how many of each were sent.
+ */
+
+async function sendAll() {
+  const { sent: alerts, failed: failedAlerts } = await SavedSearch.sendAlerts();
+  for (const { id, error } of failedAlerts) {
+    console.error(`Saved search ${id} failed:`, error.stack);
+  }
+
+  const { sent: notifications, failed: failedNotifications } =
+      await CompanyFollower.sendNotifications();
+  for (const { jobId, username, error } of failedNotifications) {
+    console.error(`New job ${jobId} notification for ${username} failed:`,
+        error.stack);
+  }
+
+  return { alerts, notifications };
+}
+
+/** Send alerts every `minutes` (skipping a turn if the last run hasn't
+ * finished), logging failures; with minutes 0, don't.
+ *
+ * Returns a function that stops it.
+ */
+
+function startSearchAlerts(minutes = SEARCH_ALERTS_INTERVAL_MINUTES) {
+  if (!(minutes > 0)) return () => {};
+
+  let running = false;
+
+  const timer = setInterval(async function () {
+    if (running) return;
+    running = true;
+    try {
+      await sendAll();
+    } catch (err) {
+      console.error(err.stack);
+    } finally {
+      running = false;
+    }
+  }, minutes * 60 * 1000);
+
+  return () => clearInterval(timer);
+}
+
+if (require.main === module) {
+  sendAll()
+      .then(({ alerts, notifications }) => {
+        console.log(`Sent ${alerts} saved search alerts and `
+            + `${notifications} new job notifications`);
+      })
+      .catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+      })
+      .finally(() => db.end());
+}
+
+module.exports = startSearchAlerts;
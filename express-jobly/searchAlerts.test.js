@@ -0,0 +1,115 @@
+"use strict";
+
+const db = require("./db");
+const SavedSearch = require("./models/savedSearch");
+const CompanyFollower = require("./models/companyFollower");
+const startSearchAlerts = require("./searchAlerts");
+
+let stop;
+
+/** Let a finished run's callbacks happen (fake timers can't). */
+
+function flushPromises() {
+  return new Promise(jest.requireActual("timers").setImmediate);
+}
+
+let sendNotifications;
+
+beforeEach(function () {
+  jest.useFakeTimers();
+  sendNotifications =
+      jest.spyOn(CompanyFollower, "sendNotifications")
+          .mockResolvedValue({ sent: 0, failed: [] });
+});
+
+afterEach(function () {
+  if (stop) stop();
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+afterAll(function () {
+  db.end();
+});
+
+
+describe("startSearchAlerts", function () {
+  test("sends alerts every interval", async function () {
+    const sendAlerts = jest.spyOn(SavedSearch, "sendAlerts")
+        .mockResolvedValue({ sent: 0, failed: [] });
+    stop = startSearchAlerts(5);
+
+    jest.advanceTimersByTime(4 * 60 * 1000);
+    expect(sendAlerts).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1 * 60 * 1000);
+    expect(sendAlerts).toHaveBeenCalledTimes(1);
+    await flushPromises();
+    expect(sendNotifications).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(sendAlerts).toHaveBeenCalledTimes(2);
+  });
+
+  test("skips a turn while the last run is going", async function () {
+    let finish;
+    const sendAlerts = jest.spyOn(SavedSearch, "sendAlerts")
+        .mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+    stop = startSearchAlerts(1);
+
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    expect(sendAlerts).toHaveBeenCalledTimes(1);
+
+    finish({ sent: 0, failed: [] });
+    await flushPromises();
+    jest.advanceTimersByTime(60 * 1000);
+    expect(sendAlerts).toHaveBeenCalledTimes(2);
+  });
+
+  test("logs searches that failed", async function () {
+    jest.spyOn(SavedSearch, "sendAlerts").mockResolvedValue(
+        { sent: 1, failed: [{ id: 7, error: new Error("transport down") }] });
+    const logError = jest.spyOn(console, "error").mockImplementation(() => {});
+    stop = startSearchAlerts(1);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+    expect(logError).toHaveBeenCalledTimes(1);
+    expect(logError.mock.calls[0][0]).toEqual("Saved search 7 failed:");
+    expect(sendNotifications).toHaveBeenCalledTimes(1);
+  });
+
+  test("logs notifications that failed", async function () {
+    jest.spyOn(SavedSearch, "sendAlerts")
+        .mockResolvedValue({ sent: 0, failed: [] });
+    sendNotifications.mockResolvedValue({
+      sent: 0,
+      failed: [{ jobId: 7, username: "u1", error: new Error("transport down") }],
+    });
+    const logError = jest.spyOn(console, "error").mockImplementation(() => {});
+    stop = startSearchAlerts(1);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+    expect(logError).toHaveBeenCalledTimes(1);
+    expect(logError.mock.calls[0][0])
+        .toEqual("New job 7 notification for u1 failed:");
+  });
+
+  test("stops", function () {
+    const sendAlerts = jest.spyOn(SavedSearch, "sendAlerts")
+        .mockResolvedValue({ sent: 0, failed: [] });
+    startSearchAlerts(1)();
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(sendAlerts).not.toHaveBeenCalled();
+  });
+
+  test("is off with an interval of 0", function () {
+    const sendAlerts = jest.spyOn(SavedSearch, "sendAlerts")
+        .mockResolvedValue({ sent: 0, failed: [] });
+    stop = startSearchAlerts(0);
+
+    jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+    expect(sendAlerts).not.toHaveBeenCalled();
+  });
+});
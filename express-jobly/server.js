@@ -2,7 +2,10 @@
 
 const app = require("./app");
 const { PORT } = require("./config");
+const startSearchAlerts = require("./searchAlerts");
 
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);
 });
+
+startSearchAlerts();